@@ -0,0 +1,425 @@
+/**
+ * Environment-agnostic async API, bound to a worker adapter by the Node
+ * (async.js) and browser (async.browser.js) entry points
+ * @module async-api
+ */
+
+import { getDefaultFeatures } from './core/constants.js';
+import { normalizeFeatures } from './core/normalizer.js';
+import { throwIfAborted } from './core/abort.js';
+import { validateNetwork } from './validators/network.js';
+import { validateFeatures, validateFeatureOptions } from './validators/features.js';
+import { WorkerPool } from './worker/WorkerPool.js';
+import { resolveWeightAttribute } from './graph/utils.js';
+import { preprocessNetwork } from './graph/preprocess.js';
+import { buildGraph } from './graph/builder.js';
+import { encodeGraph } from './graph/csr.js';
+import { calculateFeatures, partitionedFeatures } from './features/index.js';
+
+/**
+ * Default threshold for using workers (number of edges)
+ * Graphs with more edges than this will use workers by default
+ */
+const DEFAULT_WORKER_THRESHOLD = 500;
+
+/**
+ * Create the async API for an environment
+ *
+ * Each API owns a shared worker pool, created on first use with workers
+ * from `adapter`.
+ *
+ * @param {import('./worker/WorkerPool.js').WorkerAdapter} adapter - Creates workers
+ *   (nodeAdapter, createBrowserAdapter(), createSimulatedAdapter())
+ * @returns {{getNetworkStatsAsync: Function, getWorkerPool: Function, cleanup: Function}} Async API
+ *
+ * @example
+ * import { createAsyncApi } from './async-api.js';
+ * import { createSimulatedAdapter } from './worker/adapters/simulated.js';
+ *
+ * const { getNetworkStatsAsync, cleanup } = createAsyncApi(createSimulatedAdapter());
+ */
+export function createAsyncApi(adapter) {
+  let sharedPool = null;
+
+  /**
+   * Get the shared worker pool used by getNetworkStatsAsync
+   *
+   * Subscribe to its health events (`workerExit`, `workerRespawn`, `taskRetry`,
+   * `taskFailed`) or read its stats. Pool options only apply when the pool is
+   * created, i.e. on the first call (here or in getNetworkStatsAsync) after cleanup().
+   *
+   * @param {Object} [options] - Pool options (maxWorkers, taskTimeout, maxRetries, resourceLimits)
+   * @returns {WorkerPool} Shared worker pool
+   *
+   * @example
+   * getWorkerPool().on('workerExit', ({ code, error }) => {
+   *   console.warn(`Worker crashed (${code}): ${error.message}`);
+   * });
+   */
+  function getWorkerPool(options = {}) {
+    if (!sharedPool) {
+      sharedPool = new WorkerPool({ ...options, adapter });
+    }
+    return sharedPool;
+  }
+
+  /**
+   * Cleanup helper - terminates the shared worker pool
+   * Call this when you're done with async operations to free resources
+   *
+   * @example
+   * const stats = await getNetworkStatsAsync(network, ['degree']);
+   * await cleanup(); // Free worker threads
+   */
+  async function cleanup() {
+    if (sharedPool) {
+      const pool = sharedPool;
+      sharedPool = null;
+      await pool.terminate();
+    }
+  }
+
+  /**
+   * Async version of getNetworkStats with worker thread support
+   *
+   * @param {Array<Object>|Object} network - Edge array, or `{ nodes, edges }` with isolated nodes
+   *   and node attributes (see getNetworkStats)
+   * @param {Array<string>} [features] - Features to calculate (null = all)
+   * @param {Object} [options] - Configuration options
+   * @param {boolean} [options.verbose=true] - Enable console output
+   * @param {number} [options.maxIter=100000] - Max iterations for eigenvector
+   * @param {number} [options.alpha=0.85] - PageRank damping factor
+   * @param {number} [options.tolerance=1e-6] - PageRank convergence tolerance
+   * @param {boolean} [options.wfImproved=true] - Wasserman–Faust scaling for closeness
+   * @param {string|null} [options.weight='weight'] - Edge attribute used as weight (null = ignore weights)
+   * @param {boolean} [options.directed=false] - Treat edges as directed (source -> target)
+   * @param {'louvain'|'leiden'} [options.communityAlgorithm='louvain'] - Community detection algorithm
+   * @param {number} [options.communityLevel] - Louvain dendrogram level for the modularity column
+   * @param {number} [options.resolution=1] - Louvain resolution (gamma)
+   * @param {number} [options.seed] - Seed for reproducible Louvain node order, Leiden and label propagation
+   * @param {boolean} [options.randomOrder=false] - Visit nodes in random order in Louvain
+   * @param {boolean|string} [options.workers='auto'] - Worker mode: true, false, or 'auto'
+   * @param {number} [options.workerThreshold=500] - Edge count threshold for auto worker mode
+   * @param {number} [options.maxWorkers] - Maximum number of workers
+   * @param {number} [options.taskTimeout=60000] - Task timeout in milliseconds
+   * @param {number} [options.maxRetries=1] - Times a task is retried after its worker crashes
+   * @param {Object} [options.resourceLimits] - Per-worker resource limits (e.g. `{ maxOldGenerationSizeMb }`)
+   * @param {Function} [options.onProgress] - Progress callback receiving
+   *   `{ feature, completed, total, fraction }` (see ProgressInfo)
+   * @param {AbortSignal} [options.signal] - Cancels the computation: queued worker tasks are
+   *   dropped and busy workers are terminated and replaced (sync mode checks between features)
+   * @returns {Promise<Array<Object>>} Node statistics
+   * @throws {Error} AbortError if `options.signal` is aborted
+   *
+   * @example
+   * // Simple async usage
+   * const stats = await getNetworkStatsAsync(network, ['degree']);
+   *
+   * @example
+   * // With progress callback
+   * const stats = await getNetworkStatsAsync(network, ['betweenness'], {
+   *   onProgress: ({ feature, fraction }) => console.log(`${feature}: ${Math.round(fraction * 100)}%`)
+   * });
+   *
+   * @example
+   * // Force workers on
+   * const stats = await getNetworkStatsAsync(network, ['degree'], {
+   *   workers: true
+   * });
+   *
+   * @example
+   * // Force workers off (sync mode)
+   * const stats = await getNetworkStatsAsync(network, ['degree'], {
+   *   workers: false
+   * });
+   *
+   * @example
+   * // Cancel after 10 seconds
+   * const stats = await getNetworkStatsAsync(network, ['betweenness'], {
+   *   signal: AbortSignal.timeout(10000)
+   * });
+   */
+  async function getNetworkStatsAsync(
+    network,
+    features = null,
+    options = {}
+  ) {
+    const {
+      verbose = true,
+      maxIter = 100000,
+      workers = 'auto',
+      workerThreshold = DEFAULT_WORKER_THRESHOLD,
+      maxWorkers,
+      taskTimeout,
+      maxRetries,
+      resourceLimits,
+      onProgress,
+      signal,
+      ...featureOptions
+    } = options;
+
+    // Options forwarded to the feature calculators
+    const calcOptions = { ...featureOptions, maxIter };
+
+    const startTime = performance.now();
+
+    // Validate inputs
+    try {
+      validateNetwork(network, options);
+    } catch (error) {
+      if (verbose) {
+        console.error('Network validation failed:', error.message);
+      }
+      throw error;
+    }
+
+    // Default to all features that apply to the graph mode
+    if (!features) {
+      features = getDefaultFeatures(calcOptions.directed, calcOptions.multigraph);
+    }
+
+    // Validate features
+    try {
+      validateFeatures(features, { directed: calcOptions.directed });
+      validateFeatureOptions(calcOptions);
+    } catch (error) {
+      if (verbose) {
+        console.error('Features validation failed:', error.message);
+      }
+      throw error;
+    }
+
+    throwIfAborted(signal);
+
+    // Split into edges, every node (isolated ones included) and node attributes,
+    // applying the self-loop and multi-edge policies before anything reaches a worker
+    const input = preprocessNetwork(network, options);
+
+    if (verbose) {
+      console.log(`Processing ${input.edges.length} edges (async mode)...`);
+    }
+
+    // Determine whether to use workers
+    const shouldUseWorkers = adapter.isAvailable()
+      && decideWorkerUsage(workers, input.edges.length, workerThreshold);
+
+    if (verbose && shouldUseWorkers) {
+      console.log(`Using worker threads for parallel computation`);
+    }
+
+    let result;
+
+    try {
+      if (shouldUseWorkers) {
+        // Use workers
+        const pool = getWorkerPool({ maxWorkers, taskTimeout, maxRetries, resourceLimits });
+        result = await computeWithWorkers(pool, input, features, {
+          calcOptions,
+          onProgress,
+          signal,
+          verbose
+        });
+      } else {
+        // Use sync computation (wrapped in Promise for consistent API)
+        result = await computeSync(input, features, {
+          calcOptions,
+          verbose,
+          onProgress,
+          signal
+        });
+      }
+
+      if (verbose) {
+        const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
+        console.log(`✓ Completed in ${elapsed}s`);
+      }
+
+      return result;
+    } catch (error) {
+      if (verbose && error.name !== 'AbortError') {
+        console.error('Computation failed:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  return { getNetworkStatsAsync, getWorkerPool, cleanup };
+}
+
+/**
+ * Decide whether to use workers based on configuration and graph size
+ */
+function decideWorkerUsage(workersOption, edgeCount, threshold) {
+  if (workersOption === true) return true;
+  if (workersOption === false) return false;
+  if (workersOption === 'auto') {
+    return edgeCount > threshold;
+  }
+  return false;
+}
+
+/**
+ * Compute stats using worker threads
+ *
+ * Every requested feature runs as its own task, so independent features are
+ * computed concurrently on separate workers. Partitioned features
+ * (betweenness, closeness) are further split into one batch of source nodes
+ * per worker and reduced here.
+ */
+async function computeWithWorkers(pool, input, features, options) {
+  const { onProgress, signal, calcOptions } = options;
+  const { edges, nodes, attributes } = input;
+
+  // Tasks follow an internal signal, so a failed task can cancel its
+  // siblings before the sync fallback redoes their work
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) forwardAbort();
+    else signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  try {
+    const batches = splitIntoBatches(nodes, pool.maxWorkers);
+
+    // Encoded once and shared by every task
+    const graph = encodeGraph(edges, {
+      weight: resolveWeightAttribute(edges, calcOptions.weight),
+      nodes
+    });
+    const progress = createProgressTracker(onProgress, features, nodes.length);
+
+    // One task per feature, or per source batch of a partitioned feature
+    const tasks = features.flatMap(feature => (partitionedFeatures[feature]
+      ? batches.map(batch => ({ feature, sources: batch }))
+      : [{ feature, sources: null }]
+    ));
+
+    // Workers report progress within each task; a task's steps are its
+    // source nodes, or one step per node for whole-feature tasks
+    progress.start();
+    const results = await Promise.all(tasks.map(({ feature, sources }, i) => {
+      const steps = sources ? sources.length : nodes.length;
+      return pool.execute(graph, [feature], calcOptions, {
+        sources,
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => {
+          progress.update(i, feature, Math.round((steps * completed) / total));
+        }
+      }).then(result => {
+        progress.update(i, feature, steps);
+        return result;
+      });
+    }));
+
+    // Merge per-feature results, reducing the batches of partitioned features
+    const stats = {};
+    for (const feature of features) {
+      const featureResults = results.filter((_, i) => tasks[i].feature === feature);
+      if (partitionedFeatures[feature]) {
+        stats[feature] = partitionedFeatures[feature].reduce(
+          featureResults.map(result => result.stats[feature]),
+          nodes.length
+        );
+      } else {
+        Object.assign(stats, featureResults[0].stats);
+      }
+    }
+
+    // Normalize results, passing node attributes through
+    return normalizeFeatures(stats, nodes, attributes);
+  } catch (error) {
+    // Cancellation aborts every task of this call; don't redo the work in sync
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+
+    // If worker fails, cancel the remaining tasks and fall back to sync
+    controller.abort();
+    if (options.verbose) {
+      console.warn('Worker computation failed, falling back to sync:', error.message);
+    }
+    return computeSync(input, features, options);
+  } finally {
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * Split nodes into at most `count` interleaved batches of similar size
+ */
+function splitIntoBatches(nodes, count) {
+  const batches = Array.from({ length: Math.min(count, nodes.length) }, () => []);
+  nodes.forEach((node, i) => batches[i % batches.length].push(node));
+  return batches;
+}
+
+/**
+ * Compute stats synchronously (wrapped in Promise)
+ *
+ * Calculates one feature at a time on a single graph so progress can be
+ * reported per feature, and per source node for path-based features.
+ */
+async function computeSync(input, features, options) {
+  const { onProgress, signal, calcOptions } = options;
+  const { edges, nodes, attributes } = input;
+
+  const progress = createProgressTracker(onProgress, features, nodes.length);
+  progress.start();
+
+  const weight = resolveWeightAttribute(edges, calcOptions.weight);
+  const graph = buildGraph(edges, {
+    weight,
+    directed: calcOptions.directed,
+    multigraph: calcOptions.multigraph,
+    multiEdges: calcOptions.multiEdges,
+    nodes
+  });
+
+  const stats = {};
+  for (const feature of features) {
+    throwIfAborted(signal);
+    Object.assign(stats, calculateFeatures([feature], graph, nodes, edges, {
+      ...calcOptions,
+      weight,
+      verbose: false, // Already handled in async wrapper
+      onSourceProgress: (completed, total) => {
+        progress.update(feature, feature, Math.round((nodes.length * completed) / total));
+      }
+    }));
+    progress.update(feature, feature, nodes.length);
+  }
+
+  return normalizeFeatures(stats, nodes, attributes);
+}
+
+/**
+ * Tracks overall progress in steps: every feature accounts for one step per
+ * node. Path-based features advance per source node; the others complete all
+ * their steps when they finish.
+ *
+ * Reports `{ feature, completed, total, fraction }` whenever a unit of work
+ * (keyed by `key`) advances; `feature` is null in the initial report.
+ */
+function createProgressTracker(onProgress, features, nodeCount) {
+  const total = features.length * nodeCount;
+  const done = new Map();
+  let completed = 0;
+
+  const report = feature => {
+    if (onProgress) {
+      onProgress({ feature, completed, total, fraction: total === 0 ? 1 : completed / total });
+    }
+  };
+
+  return {
+    start: () => report(null),
+    update: (key, feature, steps) => {
+      const previous = done.get(key) || 0;
+      if (steps === previous) return;
+      done.set(key, steps);
+      completed += steps - previous;
+      report(feature);
+    }
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Async API for network statistics with Web Worker support (browsers)
+ * @module async.browser
+ *
+ * Same API as the Node entry point; workers are module Web Workers and the
+ * default pool size follows navigator.hardwareConcurrency. Without Web Worker
+ * support (e.g. server-side rendering), computations run synchronously.
+ *
+ * @example
+ * import { getNetworkStatsAsync } from 'js-network-stats/async/browser';
+ *
+ * const stats = await getNetworkStatsAsync(network, ['betweenness'], {
+ *   onProgress: ({ fraction }) => progressBar.value = fraction
+ * });
+ *
+ * @example
+ * // Exercise the browser code path under Node (e.g. in unit tests)
+ * import { createAsyncApi, createSimulatedAdapter } from 'js-network-stats/async/browser';
+ *
+ * const { getNetworkStatsAsync } = createAsyncApi(createSimulatedAdapter());
+ */
+
+import { createAsyncApi } from './async-api.js';
+import { createBrowserAdapter } from './worker/adapters/browser.js';
+import { createSimulatedAdapter } from './worker/adapters/simulated.js';
+
+export const { getNetworkStatsAsync, getWorkerPool, cleanup } = createAsyncApi(createBrowserAdapter());
+
+// Custom setups: another worker script URL, or simulated workers for tests under Node
+export { createAsyncApi, createBrowserAdapter, createSimulatedAdapter };
+
+export default getNetworkStatsAsync;
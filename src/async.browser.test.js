@@ -0,0 +1,137 @@
+/**
+ * Tests for the browser async API, run under Node with simulated Web Workers
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { getNetworkStats } from './index.js';
+import {
+  getNetworkStatsAsync,
+  createAsyncApi,
+  createBrowserAdapter,
+  createSimulatedAdapter
+} from './async.browser.js';
+import { FEATURES } from './core/constants.js';
+import { WorkerPool } from './worker/WorkerPool.js';
+import { SimulatedWorker } from './worker/adapters/simulated.js';
+
+const network = JSON.parse(
+  readFileSync(new URL('../data/network_caruaru.json', import.meta.url), 'utf8')
+);
+
+describe('createBrowserAdapter', () => {
+  test('sizes the pool from navigator.hardwareConcurrency', () => {
+    expect(createBrowserAdapter({ Worker: SimulatedWorker, hardwareConcurrency: 8 }).defaultWorkerCount()).toBe(7);
+    expect(createBrowserAdapter({ Worker: SimulatedWorker, hardwareConcurrency: 1 }).defaultWorkerCount()).toBe(1);
+  });
+
+  test('is unavailable without a Web Worker constructor', () => {
+    // Node has no global Worker
+    expect(createBrowserAdapter().isAvailable()).toBe(false);
+    expect(createSimulatedAdapter().isAvailable()).toBe(true);
+  });
+
+  test('loads the bundled browser worker unless workerUrl is given', () => {
+    const urls = [];
+    class RecordingWorker {
+      constructor(url, options) {
+        urls.push([String(url), options]);
+      }
+
+      terminate() {}
+    }
+
+    createBrowserAdapter({ Worker: RecordingWorker }).createWorker();
+    createBrowserAdapter({ Worker: RecordingWorker, workerUrl: '/assets/worker.js' }).createWorker();
+
+    expect(urls[0][0]).toBe(new URL('./worker/browser-worker.js', import.meta.url).href);
+    expect(urls[1][0]).toBe('/assets/worker.js');
+    expect(urls.map(([, options]) => options)).toEqual([{ type: 'module' }, { type: 'module' }]);
+  });
+
+  test('creates workers with createWebWorker when given', () => {
+    const worker = new SimulatedWorker();
+    const adapter = createBrowserAdapter({ createWebWorker: () => worker });
+
+    expect(adapter.isAvailable()).toBe(true);
+    expect(adapter.createWorker().worker).toBe(worker);
+  });
+
+  test('treats Web Worker errors as crashes', async () => {
+    class FailingWorker {
+      postMessage() {
+        setTimeout(() => this.onerror({ message: 'Script error', preventDefault: () => {} }), 0);
+      }
+
+      terminate() {}
+    }
+
+    const pool = new WorkerPool({
+      adapter: createBrowserAdapter({ Worker: FailingWorker, hardwareConcurrency: 2 }),
+      maxRetries: 1
+    });
+    const exits = [];
+    pool.on('workerExit', ({ code, error }) => exits.push([code, error.message]));
+
+    try {
+      await expect(pool.execute(network, [FEATURES.DEGREE])).rejects.toThrow('Script error');
+      expect(exits).toEqual([[1, 'Script error'], [1, 'Script error']]);
+    } finally {
+      await pool.terminate();
+    }
+  });
+});
+
+describe('browser getNetworkStatsAsync', () => {
+  const features = [FEATURES.DEGREE, FEATURES.BETWEENNESS, FEATURES.CLOSENESS, FEATURES.EIGENVECTOR];
+
+  test('computes on simulated Web Workers', async () => {
+    const api = createAsyncApi(createSimulatedAdapter({ hardwareConcurrency: 4 }));
+    const execute = vi.spyOn(WorkerPool.prototype, 'execute');
+    const fractions = [];
+
+    try {
+      const asyncResult = await api.getNetworkStatsAsync(network, features, {
+        verbose: false,
+        workers: true,
+        onProgress: ({ fraction }) => fractions.push(fraction)
+      });
+      const syncResult = getNetworkStats(network, features, { verbose: false });
+
+      // Three workers: three source batches each for betweenness and closeness
+      expect(api.getWorkerPool().maxWorkers).toBe(3);
+      expect(execute).toHaveBeenCalledTimes(8);
+      await Promise.all(execute.mock.results.map(({ value }) => value));
+
+      expect(fractions.length).toBeGreaterThan(features.length);
+      expect(fractions[fractions.length - 1]).toBe(1);
+
+      const byId = Object.fromEntries(asyncResult.map(node => [node.id, node]));
+      syncResult.forEach(node => {
+        expect(byId[node.id].degree).toBe(node.degree);
+        expect(byId[node.id].betweenness).toBeCloseTo(node.betweenness, 12);
+        expect(byId[node.id].closeness).toBeCloseTo(node.closeness, 12);
+        expect(byId[node.id].eigenvector).toBeCloseTo(node.eigenvector, 6);
+      });
+    } finally {
+      execute.mockRestore();
+      await api.cleanup();
+    }
+  });
+
+  test('runs synchronously where Web Workers are unavailable', async () => {
+    const execute = vi.spyOn(WorkerPool.prototype, 'execute');
+
+    try {
+      const stats = await getNetworkStatsAsync(network, [FEATURES.DEGREE], {
+        verbose: false,
+        workers: true
+      });
+
+      expect(execute).not.toHaveBeenCalled();
+      expect(stats).toEqual(getNetworkStats(network, [FEATURES.DEGREE], { verbose: false }));
+    } finally {
+      execute.mockRestore();
+    }
+  });
+});
@@ -2,9 +2,12 @@
  * Tests for async API with worker support
  */
 
-import { describe, it, test, expect, afterAll } from 'vitest';
-import { getNetworkStatsAsync, cleanup } from './async.js';
+import { describe, it, test, expect, afterAll, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { getNetworkStatsAsync, getWorkerPool, cleanup } from './async.js';
 import { FEATURES } from './core/constants.js';
+import { WorkerPool } from './worker/WorkerPool.js';
+import { nodeAdapter } from './worker/adapters/node.js';
 
 describe('getNetworkStatsAsync', () => {
   const simpleNetwork = [
@@ -73,6 +76,25 @@ describe('getNetworkStatsAsync', () => {
       expect(stats.length).toBe(3);
     });
 
+    test('worker threads calculate labelPropagation and component', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1 });
+      const network = [...simpleNetwork, { source: 'X', target: 'Y' }];
+
+      try {
+        const result = await pool.execute(
+          network,
+          [FEATURES.DEGREE, FEATURES.LABEL_PROPAGATION, FEATURES.COMPONENT],
+          { seed: 1 }
+        );
+
+        expect(result.stats.degree).toEqual({ A: 2, B: 2, C: 2, X: 1, Y: 1 });
+        expect(result.stats.component).toEqual({ A: 0, B: 0, C: 0, X: 1, Y: 1 });
+        expect(result.stats.labelPropagation).toEqual({ A: 0, B: 0, C: 0, X: 1, Y: 1 });
+      } finally {
+        await pool.terminate();
+      }
+    });
+
     test('workers: auto should auto-detect based on size', async () => {
       // Small network - should use sync
       const statsSmall = await getNetworkStatsAsync(
@@ -123,8 +145,13 @@ describe('getNetworkStatsAsync', () => {
       );
 
       expect(progressValues.length).toBeGreaterThan(0);
-      expect(progressValues[0]).toBe(0); // Initial
-      expect(progressValues[progressValues.length - 1]).toBe(1); // Complete
+      expect(progressValues[0]).toEqual({ feature: null, completed: 0, total: 3, fraction: 0 }); // Initial
+      expect(progressValues[progressValues.length - 1]).toEqual({
+        feature: FEATURES.DEGREE,
+        completed: 3,
+        total: 3,
+        fraction: 1
+      }); // Complete
     });
 
     test('progress values should be between 0 and 1', async () => {
@@ -136,16 +163,36 @@ describe('getNetworkStatsAsync', () => {
         {
           verbose: false,
           workers: false,
-          onProgress: (progress) => {
-            expect(progress).toBeGreaterThanOrEqual(0);
-            expect(progress).toBeLessThanOrEqual(1);
-            progressValues.push(progress);
+          onProgress: ({ fraction }) => {
+            expect(fraction).toBeGreaterThanOrEqual(0);
+            expect(fraction).toBeLessThanOrEqual(1);
+            progressValues.push(fraction);
           }
         }
       );
 
       expect(progressValues.length).toBeGreaterThan(0);
     });
+
+    test('reports per-source progress for path-based features', async () => {
+      const network = JSON.parse(
+        readFileSync(new URL('../data/network_caruaru.json', import.meta.url), 'utf8')
+      );
+      const reports = [];
+
+      await getNetworkStatsAsync(network, [FEATURES.DEGREE, FEATURES.BETWEENNESS], {
+        verbose: false,
+        workers: false,
+        onProgress: (progress) => reports.push(progress)
+      });
+
+      const betweenness = reports.filter(({ feature }) => feature === FEATURES.BETWEENNESS);
+      expect(betweenness.length).toBeGreaterThan(10);
+      for (let i = 1; i < reports.length; i++) {
+        expect(reports[i].completed).toBeGreaterThan(reports[i - 1].completed);
+      }
+      expect(reports[reports.length - 1].fraction).toBe(1);
+    });
   });
 
   describe('Options handling', () => {
@@ -221,6 +268,167 @@ describe('getNetworkStatsAsync', () => {
       expect(asyncResult).toEqual(syncResult);
     });
 
+    test('should include isolated nodes and attributes on workers', async () => {
+      const { getNetworkStats } = await import('./index.js');
+      const network = {
+        nodes: [{ id: 'Z', label: 'Zed' }],
+        edges: simpleNetwork
+      };
+      const features = [FEATURES.DEGREE, FEATURES.BETWEENNESS, FEATURES.PAGERANK];
+
+      const syncResult = getNetworkStats(network, features, { verbose: false });
+      const asyncResult = await getNetworkStatsAsync(network, features, { verbose: false, workers: true });
+
+      expect(asyncResult[0]).toMatchObject({ id: 'Z', label: 'Zed', degree: 0, betweenness: 0 });
+      expect(asyncResult.map(node => node.id)).toEqual(syncResult.map(node => node.id));
+      asyncResult.forEach((node, i) => {
+        expect(node.pagerank).toBeCloseTo(syncResult[i].pagerank, 10);
+      });
+    }, 30000);
+
+    test('should apply the edge policies and multigraph mode on the workers', async () => {
+      const { getNetworkStats } = await import('./index.js');
+      const network = [
+        ...simpleNetwork,
+        { source: 'B', target: 'A', weight: 3 },
+        { source: 'C', target: 'C' }
+      ];
+      const features = [
+        FEATURES.DEGREE,
+        FEATURES.STRENGTH,
+        FEATURES.BETWEENNESS,
+        FEATURES.MODULARITY,
+        FEATURES.MULTIPLICITY
+      ];
+
+      for (const options of [
+        {},
+        { selfLoops: 'drop', multiEdges: 'merge-max' },
+        { multigraph: true, multiEdges: 'first' }
+      ]) {
+        const syncResult = getNetworkStats(network, features, { verbose: false, ...options });
+        const asyncResult = await getNetworkStatsAsync(network, features, { verbose: false, workers: true, ...options });
+
+        expect(asyncResult).toEqual(syncResult);
+      }
+    }, 30000);
+
+    test('splits betweenness and closeness across workers', async () => {
+      const { getNetworkStats } = await import('./index.js');
+      const network = JSON.parse(
+        readFileSync(new URL('../data/network_caruaru.json', import.meta.url), 'utf8')
+      );
+      const features = [FEATURES.DEGREE, FEATURES.BETWEENNESS, FEATURES.CLOSENESS];
+
+      // Fresh shared pool with three workers
+      await cleanup();
+      const execute = vi.spyOn(WorkerPool.prototype, 'execute');
+
+      try {
+        const asyncResult = await getNetworkStatsAsync(network, features, {
+          verbose: false,
+          workers: true,
+          maxWorkers: 3
+        });
+        const syncResult = getNetworkStats(network, features, { verbose: false });
+
+        // Three source batches per path-based feature plus one task for degree
+        const batches = execute.mock.calls.filter(([, , , { sources }]) => sources);
+        expect(batches).toHaveLength(6);
+        for (const feature of [FEATURES.BETWEENNESS, FEATURES.CLOSENESS]) {
+          const sources = batches.filter(([, [name]]) => name === feature).flatMap(call => call[3].sources);
+          expect(sources).toHaveLength(syncResult.length);
+        }
+        expect(execute).toHaveBeenCalledTimes(7);
+
+        const byId = Object.fromEntries(asyncResult.map(node => [node.id, node]));
+        syncResult.forEach(node => {
+          expect(byId[node.id].degree).toBe(node.degree);
+          expect(byId[node.id].betweenness).toBeCloseTo(node.betweenness, 12);
+          expect(byId[node.id].closeness).toBeCloseTo(node.closeness, 12);
+        });
+      } finally {
+        execute.mockRestore();
+        await cleanup();
+      }
+    });
+
+    test('forwards intermediate progress from workers', async () => {
+      const network = JSON.parse(
+        readFileSync(new URL('../data/network_caruaru.json', import.meta.url), 'utf8')
+      );
+      const reports = [];
+
+      await cleanup();
+      try {
+        await getNetworkStatsAsync(network, [FEATURES.BETWEENNESS], {
+          verbose: false,
+          workers: true,
+          maxWorkers: 1,
+          onProgress: (progress) => reports.push(progress)
+        });
+
+        // Reported while the single betweenness task was still running
+        const partial = reports.filter(({ feature, fraction }) =>
+          feature === FEATURES.BETWEENNESS && fraction > 0 && fraction < 1
+        );
+        expect(partial.length).toBeGreaterThan(10);
+        expect(reports[reports.length - 1].fraction).toBe(1);
+      } finally {
+        await cleanup();
+      }
+    });
+
+    test('runs each feature as its own worker task', async () => {
+      const { getNetworkStats } = await import('./index.js');
+      const features = [FEATURES.BETWEENNESS, FEATURES.EIGENVECTOR, FEATURES.MODULARITY, FEATURES.CLIQUES];
+      const network = [
+        ...simpleNetwork,
+        { source: 'C', target: 'D' },
+        { source: 'D', target: 'E' }
+      ];
+
+      await cleanup();
+      const execute = vi.spyOn(WorkerPool.prototype, 'execute');
+      const progress = [];
+
+      try {
+        const asyncResult = await getNetworkStatsAsync(network, features, {
+          verbose: false,
+          workers: true,
+          maxWorkers: 2,
+          maxIter: 100000,
+          onProgress: ({ feature, completed, total }) => {
+            progress.push({ feature, completed, total });
+          }
+        });
+        const syncResult = getNetworkStats(network, features, { verbose: false, maxIter: 100000 });
+
+        // Every task shares the graph encoded once for this call
+        const graphs = new Set(execute.mock.calls.map(([graph]) => graph));
+        expect(graphs.size).toBe(1);
+        expect([...graphs][0].offsets).toBeInstanceOf(Int32Array);
+
+        const scheduled = execute.mock.calls.map(([, [feature]]) => feature);
+        expect(scheduled.filter(f => f !== FEATURES.BETWEENNESS).sort())
+          .toEqual([FEATURES.CLIQUES, FEATURES.EIGENVECTOR, FEATURES.MODULARITY]);
+        const reported = new Set(progress.map(({ feature }) => feature).filter(Boolean));
+        expect([...reported].sort()).toEqual([...features].sort());
+        expect(progress[progress.length - 1].completed).toBe(progress[0].total);
+
+        const byId = Object.fromEntries(asyncResult.map(node => [node.id, node]));
+        syncResult.forEach(node => {
+          expect(byId[node.id].betweenness).toBeCloseTo(node.betweenness, 12);
+          expect(byId[node.id].eigenvector).toBeCloseTo(node.eigenvector, 6);
+          expect(byId[node.id].modularity).toBe(node.modularity);
+          expect(byId[node.id].cliques).toBe(node.cliques);
+        });
+      } finally {
+        execute.mockRestore();
+        await cleanup();
+      }
+    });
+
     test('should calculate correct values', async () => {
       const stats = await getNetworkStatsAsync(
         simpleNetwork,
@@ -240,6 +448,236 @@ describe('getNetworkStatsAsync', () => {
     });
   });
 
+  describe('Cancellation', () => {
+    const loadNetwork = name => JSON.parse(
+      readFileSync(new URL(`../data/network_${name}.json`, import.meta.url), 'utf8')
+    );
+
+    test('rejects when the signal is already aborted', async () => {
+      await expect(getNetworkStatsAsync(simpleNetwork, [FEATURES.DEGREE], {
+        verbose: false,
+        workers: false,
+        signal: AbortSignal.abort()
+      })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('aborts a worker computation without falling back to sync', async () => {
+      const network = loadNetwork('caruaru');
+      const controller = new AbortController();
+      const reports = [];
+
+      await cleanup();
+      try {
+        const result = getNetworkStatsAsync(network, [FEATURES.BETWEENNESS, FEATURES.CLOSENESS], {
+          verbose: false,
+          workers: true,
+          maxWorkers: 1,
+          signal: controller.signal,
+          onProgress: (progress) => {
+            reports.push(progress);
+            if (progress.feature) controller.abort();
+          }
+        });
+
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+        expect(reports).toHaveLength(2);
+        expect(getWorkerPool().getStats()).toMatchObject({
+          busyWorkers: 0,
+          queuedTasks: 0,
+          activeTasks: 0
+        });
+
+        // The replacement worker takes new tasks
+        const stats = await getNetworkStatsAsync(simpleNetwork, [FEATURES.DEGREE], {
+          verbose: false,
+          workers: true
+        });
+        expect(stats.map(node => node.degree)).toEqual([2, 2, 2]);
+      } finally {
+        await cleanup();
+      }
+    });
+
+    test('cancels the remaining tasks before falling back to sync', async () => {
+      const network = loadNetwork('caruaru');
+      const { execute } = WorkerPool.prototype;
+
+      await cleanup();
+      const spy = vi.spyOn(WorkerPool.prototype, 'execute').mockImplementation(function (graph, features, ...rest) {
+        if (features[0] === FEATURES.DEGREE) {
+          return new Promise((_, reject) => setTimeout(() => reject(new Error('Worker lost')), 20));
+        }
+        return execute.call(this, graph, features, ...rest);
+      });
+
+      try {
+        const stats = await getNetworkStatsAsync(network, [FEATURES.BETWEENNESS, FEATURES.DEGREE], {
+          verbose: false,
+          workers: true,
+          maxWorkers: 2
+        });
+
+        // The sync fallback computed every feature
+        expect(stats.every(node => typeof node.betweenness === 'number' && node.degree > 0)).toBe(true);
+        expect(getWorkerPool().getStats()).toMatchObject({
+          busyWorkers: 0,
+          queuedTasks: 0,
+          activeTasks: 0
+        });
+      } finally {
+        spy.mockRestore();
+        await cleanup();
+      }
+    });
+
+    test('drops aborted tasks from the queue', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1 });
+      const controller = new AbortController();
+
+      try {
+        const running = pool.execute(loadNetwork('caruaru'), [FEATURES.BETWEENNESS]);
+        const queued = pool.execute(simpleNetwork, [FEATURES.DEGREE], {}, { signal: controller.signal });
+        const worker = pool.workers[0].worker;
+
+        controller.abort();
+
+        await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+        expect(pool.getStats().queuedTasks).toBe(0);
+        expect((await running).success).toBe(true);
+        expect(pool.workers[0].worker).toBe(worker);
+      } finally {
+        await pool.terminate();
+      }
+    });
+
+    test('replaces the worker of a timed-out task', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1, taskTimeout: 50 });
+
+      try {
+        pool.initialize();
+        const worker = pool.workers[0].worker;
+
+        await expect(pool.execute(loadNetwork('rj'), [FEATURES.BETWEENNESS]))
+          .rejects.toThrow('timed out after 50ms');
+        expect(pool.getStats().busyWorkers).toBe(0);
+
+        pool.taskTimeout = 60000;
+        const result = await pool.execute(simpleNetwork, [FEATURES.DEGREE]);
+        expect(result.stats.degree).toEqual({ A: 2, B: 2, C: 2 });
+        expect(pool.workers).toHaveLength(1);
+        expect(pool.workers[0].worker).not.toBe(worker);
+      } finally {
+        await pool.terminate();
+      }
+    });
+  });
+
+  describe('Self-healing pool', () => {
+    const loadNetwork = name => JSON.parse(
+      readFileSync(new URL(`../data/network_${name}.json`, import.meta.url), 'utf8')
+    );
+
+    // Kills the worker running a task as soon as it reports progress
+    const crashOnProgress = pool => () => {
+      const running = pool.workers.find(w => w.busy);
+      if (running && !running.retired) running.worker.terminate();
+    };
+
+    test('respawns a crashed worker and retries its task', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1 });
+      const events = [];
+      pool.on('workerExit', ({ code, taskId }) => events.push(['workerExit', code, taskId]));
+      pool.on('workerRespawn', () => events.push(['workerRespawn']));
+      pool.on('taskRetry', ({ taskId, attempt }) => events.push(['taskRetry', taskId, attempt]));
+
+      try {
+        let crashed = false;
+        const crash = crashOnProgress(pool);
+        const result = await pool.execute(loadNetwork('caruaru'), [FEATURES.BETWEENNESS], {}, {
+          onProgress: () => {
+            if (!crashed) {
+              crashed = true;
+              crash();
+            }
+          }
+        });
+
+        expect(result.success).toBe(true);
+        expect(Object.keys(result.stats.betweenness)).toHaveLength(105);
+        expect(events).toEqual([
+          ['workerExit', 1, 0],
+          ['taskRetry', 0, 1],
+          ['workerRespawn']
+        ]);
+        expect(pool.getStats()).toMatchObject({ crashes: 1, respawns: 1, activeTasks: 0 });
+      } finally {
+        await pool.terminate();
+      }
+    });
+
+    test('rejects a task once its retry budget is spent', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1, maxRetries: 1 });
+      const failed = [];
+      pool.on('workerExit', () => {});
+      pool.on('taskFailed', ({ taskId, error }) => failed.push([taskId, error.message]));
+
+      try {
+        await expect(pool.execute(loadNetwork('caruaru'), [FEATURES.BETWEENNESS], {}, {
+          onProgress: crashOnProgress(pool)
+        })).rejects.toThrow('Worker exited with code 1');
+
+        expect(failed).toEqual([[0, 'Worker exited with code 1']]);
+        expect(pool.getStats().crashes).toBe(2);
+
+        // The pool is back to full strength for the next task
+        const result = await pool.execute(simpleNetwork, [FEATURES.DEGREE]);
+        expect(result.stats.degree).toEqual({ A: 2, B: 2, C: 2 });
+        expect(pool.workers).toHaveLength(1);
+      } finally {
+        await pool.terminate();
+      }
+    });
+
+    test('replaces workers that exceed their resource limits', async () => {
+      // Complete graph whose cliques don't fit in a 4 MB heap
+      const network = [];
+      for (let i = 0; i < 120; i++) {
+        for (let j = i + 1; j < 120; j++) {
+          network.push({ source: `n${i}`, target: `n${j}` });
+        }
+      }
+      const pool = new WorkerPool({
+        adapter: nodeAdapter,
+        maxWorkers: 1,
+        maxRetries: 0,
+        resourceLimits: { maxOldGenerationSizeMb: 4 }
+      });
+      const exits = [];
+      pool.on('workerExit', ({ error }) => exits.push(error.code));
+
+      try {
+        await expect(pool.execute(network, [FEATURES.CLIQUES]))
+          .rejects.toMatchObject({ code: 'ERR_WORKER_OUT_OF_MEMORY' });
+        expect(exits).toEqual(['ERR_WORKER_OUT_OF_MEMORY']);
+        expect(pool.getStats()).toMatchObject({ busyWorkers: 0, queuedTasks: 0, activeTasks: 0 });
+      } finally {
+        await pool.terminate();
+      }
+    });
+
+    test('rejects pending tasks on terminate', async () => {
+      const pool = new WorkerPool({ adapter: nodeAdapter, maxWorkers: 1 });
+      const running = pool.execute(loadNetwork('caruaru'), [FEATURES.BETWEENNESS]);
+      const queued = pool.execute(simpleNetwork, [FEATURES.DEGREE]);
+
+      await Promise.all([
+        expect(running).rejects.toThrow('Worker pool terminated'),
+        expect(queued).rejects.toThrow('Worker pool terminated'),
+        pool.terminate()
+      ]);
+    });
+  });
+
   describe('Cleanup', () => {
     test('cleanup function should not throw', async () => {
       await expect(cleanup()).resolves.toBeUndefined();
@@ -0,0 +1,270 @@
+/**
+ * Command-line interface: `network-stats <file> [options]`
+ * @module cli
+ *
+ * Reads a graph file (format detected from the extension or the contents),
+ * computes per-node statistics or the graph summary, and streams the result
+ * as JSON, JSON Lines, CSV, TSV, GEXF or GraphML to stdout or a file.
+ */
+
+import { readFileSync, createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
+import { parseArgs } from 'util';
+import { DEFAULT_WEIGHT_ATTRIBUTE, getDefaultFeatures } from '../core/constants.js';
+import { validateNetwork } from '../validators/network.js';
+import { validateFeatures, validateFeatureOptions } from '../validators/features.js';
+import { getNetworkStats, getGraphSummary } from '../index.js';
+import { getNetworkStatsAsync, cleanup } from '../async.js';
+import { INPUT_FORMATS, detectFormat, readNetwork } from './input.js';
+import {
+  OUTPUT_FORMATS,
+  SUMMARY_FORMATS,
+  resolveOutputFormat,
+  formatStats,
+  formatSummary,
+  writeChunks,
+} from './output.js';
+
+/**
+ * Process exit codes
+ * @enum {number}
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  /** Computation or output failed */
+  FAILURE: 1,
+  /** Invalid command-line arguments */
+  USAGE: 2,
+  /** Input file could not be read or parsed */
+  INPUT: 3,
+  /** Network, features or options failed validation */
+  VALIDATION: 4,
+};
+
+const USAGE = `Usage: network-stats <file> [options]
+
+Computes per-node network statistics for a graph file (use - for stdin).
+Input formats: ${INPUT_FORMATS.join(', ')} (detected from the extension or contents)
+
+Options:
+  -f, --features <list>     Comma-separated features (default: getNetworkStats defaults)
+      --format <format>     Output format: ${OUTPUT_FORMATS.join(', ')}
+                            (default: from the --out extension, else json)
+  -o, --out <file>          Write to a file instead of stdout
+      --input-format <fmt>  Skip format detection
+      --directed            Treat edges as directed (default: as declared by the file)
+      --weighted            Use edge weights (the "weight" attribute)
+      --weight <attribute>  Use another edge attribute as weight (implies --weighted)
+      --multigraph          Keep repeated edges: degree and strength count each one
+      --workers <n>         Compute on n worker threads (default: 0, in-process)
+      --seed <n>            Seed for reproducible community detection
+      --summary             Print graph-level statistics instead of per-node rows
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+Exit codes: 0 success, 1 computation or output failure, 2 invalid arguments,
+3 unreadable input, 4 invalid network or features
+`;
+
+const OPTIONS = {
+  features: { type: 'string', short: 'f' },
+  format: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  'input-format': { type: 'string' },
+  directed: { type: 'boolean' },
+  weighted: { type: 'boolean' },
+  weight: { type: 'string' },
+  multigraph: { type: 'boolean' },
+  workers: { type: 'string' },
+  seed: { type: 'string' },
+  summary: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+/**
+ * Run the CLI
+ *
+ * Never throws: failures are reported on stderr and turned into an exit code.
+ *
+ * @param {Array<string>} argv - Arguments (without node and the script path)
+ * @param {Object} [io] - Streams, for embedding and tests
+ * @param {import('stream').Readable} [io.stdin=process.stdin] - Input when the file is `-`
+ * @param {import('stream').Writable} [io.stdout=process.stdout] - Output when there is no --out
+ * @param {import('stream').Writable} [io.stderr=process.stderr] - Error messages
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ *
+ * @example
+ * process.exitCode = await run(['graph.graphml', '--features', 'degree', '--format', 'csv']);
+ */
+export async function run(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (error) {
+    stderr.write(`network-stats: ${error.message}\nRun "network-stats --help" for usage.\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (args.version) {
+    stdout.write(`${readVersion()}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  const fail = (code, message) => {
+    stderr.write(`network-stats: ${message}\n`);
+    return code;
+  };
+
+  let network;
+  try {
+    const text = args.file === '-' ? await readStream(stdin) : readFileSync(args.file, 'utf-8');
+    const format = args.inputFormat ?? detectFormat(args.file === '-' ? null : args.file, text);
+    network = readNetwork(text, format, { weight: args.weight });
+  } catch (error) {
+    return fail(EXIT_CODES.INPUT, error.message);
+  }
+
+  const directed = args.directed || network.directed;
+  const input = { nodes: network.nodes, edges: network.edges };
+  const options = {
+    verbose: false,
+    directed,
+    weight: args.weighted ? args.weight : null,
+    ...(args.multigraph && { multigraph: true }),
+    ...(args.seed !== undefined && { seed: args.seed }),
+  };
+  const features = args.features ?? getDefaultFeatures(directed, args.multigraph);
+
+  try {
+    validateNetwork(input, options);
+    if (!args.summary) {
+      validateFeatures(features, { directed });
+    }
+    validateFeatureOptions(options);
+  } catch (error) {
+    return fail(EXIT_CODES.VALIDATION, error.message);
+  }
+
+  let chunks;
+  try {
+    if (args.summary) {
+      chunks = [formatSummary(getGraphSummary(input, options), args.format)];
+    } else {
+      const stats = args.workers > 0
+        ? await computeWithWorkers(input, features, options, args.workers)
+        : getNetworkStats(input, features, options);
+      chunks = formatStats(stats, args.format, { ...network, directed }, { weight: args.weight });
+    }
+  } catch (error) {
+    return fail(EXIT_CODES.FAILURE, error.message);
+  }
+
+  try {
+    if (args.out) {
+      // finished() also rejects when the file can't be opened
+      const file = createWriteStream(args.out);
+      await Promise.all([
+        finished(file),
+        writeChunks(file, chunks).then(() => file.end()),
+      ]);
+    } else {
+      await writeChunks(stdout, chunks);
+    }
+  } catch (error) {
+    // The reader went away (e.g. `| head`): stop quietly, like other CLI tools
+    if (error.code === 'EPIPE') {
+      return EXIT_CODES.OK;
+    }
+    return fail(EXIT_CODES.FAILURE, `could not write output: ${error.message}`);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Parse and check the command line
+ *
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Parsed arguments
+ * @throws {Error} If an option is unknown, malformed or missing
+ */
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (values.help || values.version) {
+    return { help: values.help, version: values.version };
+  }
+
+  if (positionals.length !== 1) {
+    throw new Error(positionals.length === 0 ? 'missing input file' : `unexpected argument: ${positionals[1]}`);
+  }
+
+  const format = resolveOutputFormat(values.format, values.out);
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (values.summary && !SUMMARY_FORMATS.has(format)) {
+    throw new Error(`--summary cannot be written as ${format}`);
+  }
+
+  const inputFormat = values['input-format']?.toLowerCase();
+  if (inputFormat !== undefined && !INPUT_FORMATS.includes(inputFormat)) {
+    throw new Error(`unknown input format: ${inputFormat} (expected ${INPUT_FORMATS.join(', ')})`);
+  }
+
+  const workers = values.workers === undefined ? 0 : Number(values.workers);
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error('--workers must be a non-negative integer');
+  }
+
+  const seed = values.seed === undefined ? undefined : Number(values.seed);
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    throw new Error('--seed must be an integer');
+  }
+
+  return {
+    file: positionals[0],
+    features: values.features?.split(',').map(feature => feature.trim()).filter(Boolean),
+    format,
+    out: values.out,
+    inputFormat,
+    directed: values.directed ?? false,
+    weighted: values.weighted === true || values.weight !== undefined,
+    weight: values.weight ?? DEFAULT_WEIGHT_ATTRIBUTE,
+    multigraph: values.multigraph ?? false,
+    workers,
+    seed,
+    summary: values.summary ?? false,
+  };
+}
+
+/**
+ * Runs getNetworkStatsAsync on a pool of `workers` threads, freeing it afterwards
+ */
+async function computeWithWorkers(network, features, options, workers) {
+  try {
+    return await getNetworkStatsAsync(network, features, { ...options, workers: true, maxWorkers: workers });
+  } finally {
+    await cleanup();
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+function readVersion() {
+  const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+  return pkg.version;
+}
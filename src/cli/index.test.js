@@ -0,0 +1,196 @@
+/**
+ * Tests for the command-line interface
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Readable, Writable } from 'stream';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { run, parseCommandLine, EXIT_CODES } from './index.js';
+import { detectFormat } from './input.js';
+
+/**
+ * Writable stream that keeps what is written to it
+ */
+function createSink() {
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      sink.text += chunk.toString();
+      callback();
+    }
+  });
+  sink.text = '';
+  return sink;
+}
+
+async function runCli(argv, stdinText = '') {
+  const stdout = createSink();
+  const stderr = createSink();
+  const code = await run(argv, { stdin: Readable.from([stdinText]), stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('detectFormat', () => {
+  it('should use the file extension when it is known', () => {
+    expect(detectFormat('graph.GEXF', '')).toBe('gexf');
+    expect(detectFormat('graph.net', '')).toBe('pajek');
+    expect(detectFormat('graph.gv', '')).toBe('dot');
+    expect(detectFormat('edges.tab', '')).toBe('tsv');
+  });
+
+  it('should sniff the contents otherwise', () => {
+    expect(detectFormat(null, '<?xml version="1.0"?>\n<gexf version="1.3">')).toBe('gexf');
+    expect(detectFormat('graph.xml', '<?xml version="1.0"?>\n<graphml>')).toBe('graphml');
+    expect(detectFormat(null, '  [{"source": "A", "target": "B"}]')).toBe('json');
+    expect(detectFormat(null, '% exported\n*Vertices 3')).toBe('pajek');
+    expect(detectFormat(null, '/* comment */ strict digraph G { a -> b }')).toBe('dot');
+    expect(detectFormat('edges.txt', 'source\ttarget\nA\tB')).toBe('tsv');
+    expect(detectFormat('edges.txt', 'source,target\nA,B')).toBe('csv');
+  });
+});
+
+describe('parseCommandLine', () => {
+  it('should parse options and defaults', () => {
+    expect(parseCommandLine(['g.csv', '-f', 'degree, betweenness', '--workers', '4', '--weighted'])).toEqual({
+      file: 'g.csv',
+      features: ['degree', 'betweenness'],
+      format: 'json',
+      out: undefined,
+      inputFormat: undefined,
+      directed: false,
+      weighted: true,
+      weight: 'weight',
+      multigraph: false,
+      workers: 4,
+      seed: undefined,
+      summary: false
+    });
+  });
+
+  it('should infer the output format from --out and let --weight imply --weighted', () => {
+    const args = parseCommandLine(['g.csv', '--out', 'result.CSV', '--weight', 'cost']);
+
+    expect(args.format).toBe('csv');
+    expect(args.weighted).toBe(true);
+    expect(args.weight).toBe('cost');
+  });
+
+  it('should reject bad arguments', () => {
+    expect(() => parseCommandLine([])).toThrow('missing input file');
+    expect(() => parseCommandLine(['a', 'b'])).toThrow('unexpected argument: b');
+    expect(() => parseCommandLine(['g.csv', '--format', 'xlsx'])).toThrow('unknown output format');
+    expect(() => parseCommandLine(['g.csv', '--summary', '--format', 'gexf'])).toThrow('--summary cannot');
+    expect(() => parseCommandLine(['g.csv', '--workers', '-1'])).toThrow('--workers');
+    expect(() => parseCommandLine(['g.csv', '--seed', '1.5'])).toThrow('--seed must be an integer');
+    expect(() => parseCommandLine(['g.csv', '--bogus'])).toThrow();
+  });
+});
+
+describe('run', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'network-stats-cli-'));
+    writeFileSync(join(dir, 'graph.csv'), 'source,target,weight\nA,B,2\nB,C,1\nC,A,3\nC,D,1\n');
+    writeFileSync(join(dir, 'bad.json'), '[{"source": "A"}]');
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should print CSV with stable columns', async () => {
+    const { code, stdout } = await runCli([join(dir, 'graph.csv'), '-f', 'betweenness,degree', '--format', 'csv']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toBe(
+      'id,degree,betweenness\n'
+      + 'A,2,0\n'
+      + 'B,2,0\n'
+      + 'C,3,0.6666666666666666\n'
+      + 'D,1,0\n'
+    );
+  });
+
+  it('should ignore weights unless --weighted', async () => {
+    const file = join(dir, 'graph.csv');
+    const unweighted = JSON.parse((await runCli([file, '-f', 'strength'])).stdout);
+    const weighted = JSON.parse((await runCli([file, '-f', 'strength', '--weighted'])).stdout);
+
+    expect(unweighted.map(row => row.strength)).toEqual([2, 2, 3, 1]);
+    expect(weighted.map(row => row.strength)).toEqual([5, 3, 5, 1]);
+  });
+
+  it('should count repeated edges with --multigraph', async () => {
+    const csv = 'source,target\nA,B\nA,B\nB,C\n';
+    const simple = JSON.parse((await runCli(['-', '-f', 'degree', '--input-format', 'csv'], csv)).stdout);
+    const multi = JSON.parse((await runCli(['-', '-f', 'degree', '--input-format', 'csv', '--multigraph'], csv)).stdout);
+
+    expect(simple.map(row => row.degree)).toEqual([1, 2, 1]);
+    expect(multi.map(row => row.degree)).toEqual([2, 3, 1]);
+  });
+
+  it('should read stdin and take direction from the file', async () => {
+    const { code, stdout } = await runCli(['-', '-f', 'outDegree', '--format', 'jsonl'], 'digraph { a -> b; b -> c }');
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toBe('{"id":"a","outDegree":1}\n{"id":"b","outDegree":1}\n{"id":"c","outDegree":0}\n');
+  });
+
+  it('should write graph formats to --out', async () => {
+    const out = join(dir, 'result.graphml');
+    const { code, stdout } = await runCli([join(dir, 'graph.csv'), '-f', 'degree', '--out', out]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toBe('');
+    expect(readFileSync(out, 'utf-8')).toContain('<key id="d0" for="node" attr.name="degree" attr.type="int"/>');
+  });
+
+  it('should fail when --out cannot be written', async () => {
+    const out = join(dir, 'missing-dir', 'result.csv');
+    const { code, stderr } = await runCli([join(dir, 'graph.csv'), '-f', 'degree', '--out', out]);
+
+    expect(code).toBe(EXIT_CODES.FAILURE);
+    expect(stderr).toContain('could not write output');
+    expect(stderr).toContain('ENOENT');
+  });
+
+  it('should print the graph summary', async () => {
+    const { code, stdout } = await runCli([join(dir, 'graph.csv'), '--summary']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toMatchObject({ nodeCount: 4, edgeCount: 4, directed: false, diameter: 2 });
+  });
+
+  it('should compute on worker threads with --workers', async () => {
+    const { code, stdout } = await runCli([join(dir, 'graph.csv'), '-f', 'degree', '--workers', '2', '--format', 'jsonl']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout.trim().split('\n')).toHaveLength(4);
+  }, 30000);
+
+  it('should exit with distinct codes for usage, input and validation errors', async () => {
+    const usage = await runCli(['--bogus']);
+    expect(usage.code).toBe(EXIT_CODES.USAGE);
+    expect(usage.stderr).toContain('network-stats --help');
+
+    const seed = await runCli([join(dir, 'graph.csv'), '--seed', '1.5']);
+    expect(seed.code).toBe(EXIT_CODES.USAGE);
+
+    const missing = await runCli([join(dir, 'missing.csv')]);
+    expect(missing.code).toBe(EXIT_CODES.INPUT);
+
+    const invalidNetwork = await runCli([join(dir, 'bad.json')]);
+    expect(invalidNetwork.code).toBe(EXIT_CODES.VALIDATION);
+    expect(invalidNetwork.stderr).toContain('missing source or target');
+
+    const invalidFeature = await runCli([join(dir, 'graph.csv'), '-f', 'hits']);
+    expect(invalidFeature.code).toBe(EXIT_CODES.VALIDATION);
+  });
+
+  it('should print help and version', async () => {
+    expect((await runCli(['--help'])).stdout).toContain('Usage: network-stats <file> [options]');
+    expect((await runCli(['-v'])).stdout).toMatch(/^\d+\.\d+\.\d+\n$/);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Output formatting for the command-line interface
+ * @module cli/output
+ */
+
+import { extname } from 'path';
+import { toGEXF, toGraphML } from '../exporters/index.js';
+import { statColumns, formatCSVRow, formatJSONLine } from '../exporters/table.js';
+
+/**
+ * Output formats by file extension
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = {
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.gexf': 'gexf',
+  '.graphml': 'graphml',
+};
+
+/**
+ * Supported output format names
+ * @type {Array<string>}
+ */
+export const OUTPUT_FORMATS = ['json', 'jsonl', 'csv', 'tsv', 'gexf', 'graphml'];
+
+/**
+ * Output formats that can hold the graph-level summary
+ * @type {Set<string>}
+ */
+export const SUMMARY_FORMATS = new Set(['json', 'jsonl', 'csv', 'tsv']);
+
+/**
+ * Resolve the output format: explicit, from the output file extension, or JSON
+ *
+ * @param {string} [format] - Format given on the command line
+ * @param {string} [out] - Output file path
+ * @returns {string} Output format (not validated when explicit)
+ */
+export function resolveOutputFormat(format, out) {
+  if (format) {
+    return format.toLowerCase();
+  }
+  return (out && EXTENSIONS[extname(out).toLowerCase()]) || 'json';
+}
+
+/**
+ * Format per-node statistics as a sequence of chunks
+ *
+ * Tables (JSON, JSON Lines, CSV, TSV) yield one chunk per row, so large
+ * results stream out without being joined into one string; GEXF and GraphML
+ * yield the whole document.
+ *
+ * @param {Array<Object>} stats - Per-node rows
+ * @param {string} format - Output format, one of OUTPUT_FORMATS
+ * @param {Object} network - `{ nodes, edges, directed }`, for the graph formats
+ * @param {Object} [options] - Export options (weight)
+ * @yields {string} Output chunks
+ */
+export function* formatStats(stats, format, network, options = {}) {
+  const columns = statColumns(stats);
+
+  switch (format) {
+    case 'json':
+      yield '[\n';
+      for (let i = 0; i < stats.length; i++) {
+        const line = formatJSONLine(stats[i], columns);
+        yield '  ' + line.slice(0, -1) + (i < stats.length - 1 ? ',\n' : '\n');
+      }
+      yield ']\n';
+      break;
+    case 'jsonl':
+      for (const row of stats) {
+        yield formatJSONLine(row, columns);
+      }
+      break;
+    case 'csv':
+    case 'tsv': {
+      const delimiter = format === 'csv' ? ',' : '\t';
+      yield formatCSVRow(columns, delimiter);
+      for (const row of stats) {
+        yield formatCSVRow(columns.map(column => row[column]), delimiter);
+      }
+      break;
+    }
+    case 'gexf':
+      yield toGEXF(network, stats, options);
+      break;
+    case 'graphml':
+      yield toGraphML(network, stats, options);
+      break;
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+/**
+ * Format the graph-level summary
+ *
+ * JSON is pretty-printed; CSV and TSV get `metric,value` rows.
+ *
+ * @param {Object} summary - Graph summary from getGraphSummary
+ * @param {string} format - Output format, one of SUMMARY_FORMATS
+ * @returns {string} Formatted summary
+ */
+export function formatSummary(summary, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(summary, null, 2) + '\n';
+    case 'jsonl':
+      return JSON.stringify(summary) + '\n';
+    case 'csv':
+    case 'tsv': {
+      const delimiter = format === 'csv' ? ',' : '\t';
+      return formatCSVRow(['metric', 'value'], delimiter)
+        + Object.entries(summary).map(entry => formatCSVRow(entry, delimiter)).join('');
+    }
+    default:
+      throw new Error(`The summary cannot be written as ${format}`);
+  }
+}
+
+/**
+ * Write chunks to a stream, waiting for it to drain when its buffer is full
+ *
+ * @param {import('stream').Writable} stream - Destination
+ * @param {Iterable<string>} chunks - Chunks to write
+ * @returns {Promise<void>} Resolves once every chunk is handed to the stream
+ */
+export async function writeChunks(stream, chunks) {
+  for (const chunk of chunks) {
+    if (!stream.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const onDrain = () => {
+          stream.off('error', onError);
+          resolve();
+        };
+        const onError = error => {
+          stream.off('drain', onDrain);
+          reject(error);
+        };
+        stream.once('drain', onDrain);
+        stream.once('error', onError);
+      });
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Cancellation helpers for AbortSignal support
+ * @module core/abort
+ */
+
+/**
+ * Create the error used to reject aborted computations
+ *
+ * Named `AbortError`, like the errors of other AbortSignal-aware APIs
+ * (fetch, timers/promises), so callers can tell cancellation from failure.
+ *
+ * @param {string} [message='Computation aborted'] - Error message
+ * @returns {Error} Error with name 'AbortError'
+ *
+ * @example
+ * try {
+ *   await getNetworkStatsAsync(network, null, { signal });
+ * } catch (error) {
+ *   if (error.name !== 'AbortError') throw error;
+ * }
+ */
+export function createAbortError(message = 'Computation aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal to check (no-op when absent)
+ * @throws {Error} AbortError if the signal is aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
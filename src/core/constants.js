@@ -9,12 +9,24 @@
  */
 export const FEATURES = {
   DEGREE: 'degree',
+  STRENGTH: 'strength',
+  IN_DEGREE: 'inDegree',
+  OUT_DEGREE: 'outDegree',
   EIGENVECTOR: 'eigenvector',
   BETWEENNESS: 'betweenness',
+  CLOSENESS: 'closeness',
+  HARMONIC: 'harmonic',
+  PAGERANK: 'pagerank',
+  HITS: 'hits',
   CLUSTERING: 'clustering',
   CLIQUES: 'cliques',
   MODULARITY: 'modularity',
+  LABEL_PROPAGATION: 'labelPropagation',
+  COMPONENT: 'component',
   TRANSITIVITY: 'transitivity',
+  STRONG_COMPONENT: 'strongComponent',
+  WEAK_COMPONENT: 'weakComponent',
+  MULTIPLICITY: 'multiplicity',
   ALL: [
     'degree',
     'eigenvector',
@@ -25,6 +37,54 @@ export const FEATURES = {
   ],
 };
 
+/**
+ * Features that only make sense on directed graphs
+ * @type {Set<string>}
+ */
+export const DIRECTED_ONLY_FEATURES = new Set([
+  FEATURES.IN_DEGREE,
+  FEATURES.OUT_DEGREE,
+  FEATURES.HITS,
+  FEATURES.STRONG_COMPONENT,
+  FEATURES.WEAK_COMPONENT,
+]);
+
+/**
+ * Features whose algorithms are only defined for undirected graphs
+ * @type {Set<string>}
+ */
+export const UNDIRECTED_ONLY_FEATURES = new Set([
+  FEATURES.CLIQUES,
+  FEATURES.MODULARITY,
+  FEATURES.LABEL_PROPAGATION,
+  FEATURES.COMPONENT,
+  FEATURES.TRANSITIVITY,
+]);
+
+/**
+ * Community detection algorithms available to the modularity feature
+ * @type {Set<string>}
+ */
+export const COMMUNITY_ALGORITHMS = new Set(['louvain', 'leiden']);
+
+/**
+ * Ways to handle self-loops (edges from a node to itself)
+ * @type {Set<string>}
+ */
+export const SELF_LOOP_POLICIES = new Set(['keep', 'drop', 'error']);
+
+/**
+ * Ways to handle multi-edges (repeated edges between the same pair of nodes)
+ * @type {Set<string>}
+ */
+export const MULTI_EDGE_POLICIES = new Set(['merge-sum', 'merge-max', 'first', 'error']);
+
+/**
+ * Edge attribute read as weight when no `weight` option is given
+ * @type {string}
+ */
+export const DEFAULT_WEIGHT_ATTRIBUTE = 'weight';
+
 /**
  * Get all valid feature names
  * @returns {Set<string>} Set of valid feature names
@@ -34,3 +94,18 @@ export function getValidFeatures() {
     Object.values(FEATURES).filter(f => typeof f === 'string')
   );
 }
+
+/**
+ * Get the features calculated when none are requested
+ *
+ * @param {boolean} [directed=false] - Whether the graph is directed
+ * @param {boolean} [multigraph=false] - Whether parallel edges are kept (adds multiplicity)
+ * @returns {Array<string>} FEATURES.ALL for undirected graphs, otherwise every
+ *   feature that applies to directed graphs
+ */
+export function getDefaultFeatures(directed = false, multigraph = false) {
+  const features = directed
+    ? [...FEATURES.ALL.filter(f => !UNDIRECTED_ONLY_FEATURES.has(f)), ...DIRECTED_ONLY_FEATURES]
+    : FEATURES.ALL;
+  return multigraph ? [...features, FEATURES.MULTIPLICITY] : features;
+}
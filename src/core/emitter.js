@@ -0,0 +1,77 @@
+/**
+ * Minimal event emitter that runs in Node and in browsers
+ * @module core/emitter
+ */
+
+/**
+ * Event emitter with the subset of Node's EventEmitter API the library uses
+ *
+ * @example
+ * class Pool extends Emitter {}
+ * const pool = new Pool();
+ * pool.on('workerExit', ({ code }) => console.warn(code));
+ * pool.emit('workerExit', { code: 1 });
+ */
+export class Emitter {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {this} The emitter, for chaining
+   */
+  on(event, listener) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Unsubscribe from an event
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   * @returns {this} The emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = this.handlers.get(event);
+    if (listeners) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener of an event
+   *
+   * @param {string} event - Event name
+   * @param {...*} args - Arguments passed to the listeners
+   * @returns {boolean} Whether the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this.handlers.get(event);
+    if (!listeners || listeners.length === 0) return false;
+    for (const listener of [...listeners]) {
+      listener(...args);
+    }
+    return true;
+  }
+
+  /**
+   * Count the listeners of an event
+   *
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const listeners = this.handlers.get(event);
+    return listeners ? listeners.length : 0;
+  }
+}
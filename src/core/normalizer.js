@@ -6,8 +6,12 @@
 /**
  * Normalizes feature statistics into per-node objects
  *
+ * Node attributes, when given, come after the ID and before the statistics;
+ * a statistic overwrites an attribute of the same name.
+ *
  * @param {Object<string, Object>} stats - Raw statistics from algorithms
  * @param {Array<string>} nodes - List of node IDs
+ * @param {Map<string|number, Object>|null} [attributes=null] - Node ID to attributes to pass through
  * @returns {Array<Object>} Normalized node statistics
  *
  * @example
@@ -22,7 +26,7 @@
  * //   { id: 'B', degree: 3, eigenvector: 0.7 }
  * // ]
  */
-export function normalizeFeatures(stats, nodes) {
+export function normalizeFeatures(stats, nodes, attributes = null) {
   if (!stats || typeof stats !== 'object') {
     throw new TypeError('Stats must be an object');
   }
@@ -36,6 +40,10 @@ export function normalizeFeatures(stats, nodes) {
   for (const node of nodes) {
     const nodeStats = { id: node };
 
+    if (attributes?.has(node)) {
+      Object.assign(nodeStats, attributes.get(node), { id: node });
+    }
+
     for (const feature in stats) {
       if (stats.hasOwnProperty(feature)) {
         nodeStats[feature] = stats[feature][node];
@@ -0,0 +1,39 @@
+/**
+ * Progress reporting helpers
+ * @module core/progress
+ */
+
+/**
+ * Default number of progress reports over a loop
+ * @type {number}
+ */
+const DEFAULT_PROGRESS_STEPS = 100;
+
+/**
+ * Wraps a progress callback so a loop of `total` steps reports at most
+ * `steps` times (plus always on the last step)
+ *
+ * @param {Function|undefined} callback - Receives (completed, total); may be undefined
+ * @param {number} total - Number of steps in the loop
+ * @param {number} [steps=100] - Maximum number of reports
+ * @returns {Function} Function to call with the number of completed steps
+ *
+ * @example
+ * const report = createProgressReporter(options.onSourceProgress, sources.length);
+ * sources.forEach((source, i) => {
+ *   // ... work ...
+ *   report(i + 1);
+ * });
+ */
+export function createProgressReporter(callback, total, steps = DEFAULT_PROGRESS_STEPS) {
+  if (!callback) {
+    return () => {};
+  }
+
+  const interval = Math.max(1, Math.ceil(total / steps));
+  return completed => {
+    if (completed === total || completed % interval === 0) {
+      callback(completed, total);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Tests for progress reporting helpers
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createProgressReporter } from './progress.js';
+
+describe('createProgressReporter', () => {
+  it('should report at most the given number of steps, always including the last', () => {
+    const callback = vi.fn();
+    const report = createProgressReporter(callback, 1000, 10);
+
+    for (let i = 1; i <= 1000; i++) {
+      report(i);
+    }
+
+    expect(callback).toHaveBeenCalledTimes(10);
+    expect(callback).toHaveBeenNthCalledWith(1, 100, 1000);
+    expect(callback).toHaveBeenLastCalledWith(1000, 1000);
+  });
+
+  it('should report every step of short loops', () => {
+    const callback = vi.fn();
+    const report = createProgressReporter(callback, 3);
+
+    [1, 2, 3].forEach(report);
+
+    expect(callback.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+
+  it('should return a no-op without a callback', () => {
+    expect(() => createProgressReporter(undefined, 10)(5)).not.toThrow();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Seeded pseudo-random number generation
+ * @module core/random
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ *
+ * The same seed always yields the same sequence, which makes randomized
+ * algorithms reproducible. Without a seed, a random one is drawn.
+ *
+ * @param {number} [seed] - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ *
+ * @example
+ * const random = createRandom(42);
+ * random(); // 0.6011037519201636 (always, for seed 42)
+ */
+export function createRandom(seed = Math.floor(Math.random() * 2 ** 32)) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher–Yates)
+ *
+ * @param {Array} array - Array to shuffle (not modified)
+ * @param {Function} random - Random number generator returning floats in [0, 1)
+ * @returns {Array} Shuffled copy
+ *
+ * @example
+ * shuffle(['A', 'B', 'C'], createRandom(1)); // e.g. ['C', 'A', 'B']
+ */
+export function shuffle(array, random) {
+  const result = array.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
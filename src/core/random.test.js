@@ -0,0 +1,34 @@
+/**
+ * Tests for seeded random number generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRandom, shuffle } from './random.js';
+
+describe('createRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+
+  it('should return floats in [0, 1)', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('shuffle', () => {
+  it('should return a permutation without modifying the input', () => {
+    const input = ['A', 'B', 'C', 'D', 'E'];
+    const result = shuffle(input, createRandom(1));
+
+    expect(input).toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect([...result].sort()).toEqual(input);
+  });
+});
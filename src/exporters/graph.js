@@ -0,0 +1,135 @@
+/**
+ * Shared groundwork of the graph exporters: merging the network with its
+ * statistics, attribute declarations and XML escaping
+ * @module exporters/graph
+ */
+
+import { getAllUniqueNodes } from '../graph/utils.js';
+import { STAT_COLUMNS } from './table.js';
+
+/**
+ * @typedef {Object} ExportGraph
+ * @property {Array<Object>} nodes - Nodes as `{ id, ...attributes, ...metrics }`, declared nodes first
+ * @property {Array<Object>} edges - Edges as given
+ * @property {boolean} directed - Whether the graph is directed
+ */
+
+/**
+ * @typedef {Object} AttributeDeclaration
+ * @property {string} name - Attribute name
+ * @property {'boolean'|'int'|'long'|'double'|'string'} type - Value type shared by every value
+ */
+
+/**
+ * Merges a network and its per-node statistics
+ *
+ * The network is an edge array or `{ nodes, edges, directed }` (as returned by
+ * the parsers); node attributes are kept, and metrics overwrite attributes of
+ * the same name. Nodes only found in the statistics are added too.
+ *
+ * @param {Array<Object>|Object} network - Edge array or `{ nodes, edges, directed }`
+ * @param {Array<Object>|null} stats - Per-node rows, as returned by getNetworkStats
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.directed] - Direction (default: network.directed, else false)
+ * @returns {ExportGraph} Merged graph
+ * @throws {TypeError} If the network or the statistics have the wrong shape
+ */
+export function mergeNetwork(network, stats, options = {}) {
+  const edges = Array.isArray(network) ? network : network?.edges;
+  if (!Array.isArray(edges)) {
+    throw new TypeError('Network must be an array of edges or an object with an edges array');
+  }
+  if (stats !== null && stats !== undefined && !Array.isArray(stats)) {
+    throw new TypeError('Stats must be an array');
+  }
+
+  const nodes = new Map();
+  const addNode = (id, values = {}) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id });
+    }
+    Object.assign(nodes.get(id), values, { id });
+  };
+
+  if (!Array.isArray(network)) {
+    for (const node of network.nodes ?? []) {
+      addNode(node.id, node);
+    }
+  }
+  for (const id of getAllUniqueNodes(edges)) {
+    addNode(id);
+  }
+  for (const row of stats ?? []) {
+    addNode(row.id, row);
+  }
+
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    directed: options.directed ?? (Array.isArray(network) ? false : network.directed ?? false)
+  };
+}
+
+/**
+ * Declares the attributes of a set of records
+ *
+ * Node records put metrics in STAT_COLUMNS order after the other attributes;
+ * edge records keep first-seen order. Each attribute gets the narrowest type
+ * holding all its values: boolean, int (32-bit), long, double or string.
+ *
+ * @param {Array<Object>} records - Nodes or edges
+ * @param {Array<string>} exclude - Keys that are not attributes (IDs, endpoints)
+ * @param {boolean} [metricsLast=false] - Order keys like a statistics table
+ * @returns {Array<AttributeDeclaration>} Attribute declarations
+ */
+export function declareAttributes(records, exclude, metricsLast = false) {
+  const values = new Map();
+  for (const record of records) {
+    for (const [key, value] of Object.entries(record)) {
+      if (exclude.includes(key) || value === undefined || value === null) continue;
+      if (!values.has(key)) values.set(key, []);
+      values.get(key).push(value);
+    }
+  }
+
+  let names = [...values.keys()];
+  if (metricsLast) {
+    const metrics = STAT_COLUMNS.filter(name => values.has(name));
+    names = [...names.filter(name => !metrics.includes(name)), ...metrics];
+  }
+
+  return names.map(name => ({ name, type: inferType(values.get(name)) }));
+}
+
+/**
+ * Escapes text for XML content and double-quoted attribute values
+ *
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats an attribute value for XML (xsd spelling of infinite doubles)
+ *
+ * @param {*} value - Attribute value
+ * @returns {string} Escaped text
+ */
+export function formatValue(value) {
+  if (value === Infinity) return 'INF';
+  if (value === -Infinity) return '-INF';
+  return escapeXml(value);
+}
+
+function inferType(values) {
+  if (values.every(value => typeof value === 'boolean')) return 'boolean';
+  if (!values.every(value => typeof value === 'number')) return 'string';
+  if (!values.every(Number.isInteger)) return 'double';
+  return values.every(value => value >= -(2 ** 31) && value < 2 ** 31) ? 'int' : 'long';
+}
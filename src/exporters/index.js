@@ -0,0 +1,12 @@
+/**
+ * Exporters writing statistics for other tools
+ * @module exporters
+ *
+ * toGEXF and toGraphML write the graph itself with the per-node metrics as
+ * node attributes (for Gephi and friends); toCSV and toJSONL write the flat
+ * statistics table. All of them order metric columns the same stable way.
+ */
+
+export { toGraphML } from './graphml.js';
+export { toGEXF } from './gexf.js';
+export { toCSV, toJSONL } from './table.js';
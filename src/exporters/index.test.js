@@ -0,0 +1,138 @@
+/**
+ * Tests for the statistics exporters
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toGraphML, toGEXF, toCSV, toJSONL } from './index.js';
+import { statColumns } from './table.js';
+import { fromGraphML, fromGEXF } from '../parsers/index.js';
+import { getNetworkStats } from '../index.js';
+
+const network = {
+  nodes: [{ id: 'A', label: 'Alice & co' }, { id: 'B' }, { id: 'C' }, { id: 'D', group: 'x' }],
+  edges: [
+    { source: 'A', target: 'B', weight: 2.5, kind: 'friend' },
+    { source: 'B', target: 'C' }
+  ],
+  directed: false
+};
+
+const stats = [
+  { id: 'A', pagerank: 0.3, degree: 1, modularity: 0 },
+  { id: 'B', pagerank: 0.5, degree: 2, modularity: 0 },
+  { id: 'C', pagerank: 0.2, degree: 1, modularity: 1 }
+];
+
+describe('statColumns', () => {
+  it('should put id first, then known metrics in a fixed order, then others alphabetically', () => {
+    expect(statColumns([{ zeta: 1, pagerank: 0.2, id: 'A', alpha: 2, degree: 2 }]))
+      .toEqual(['id', 'degree', 'pagerank', 'alpha', 'zeta']);
+  });
+
+  it('should not depend on the order features were requested in', () => {
+    const edges = [{ source: 'A', target: 'B' }, { source: 'B', target: 'C' }];
+    const first = getNetworkStats(edges, ['pagerank', 'degree', 'closeness'], { verbose: false });
+    const second = getNetworkStats(edges, ['closeness', 'pagerank', 'degree'], { verbose: false });
+
+    expect(statColumns(first)).toEqual(['id', 'degree', 'closeness', 'pagerank']);
+    expect(toCSV(first)).toBe(toCSV(second));
+  });
+});
+
+describe('toCSV', () => {
+  it('should write a header and one row per node', () => {
+    expect(toCSV(stats)).toBe(
+      'id,degree,pagerank,modularity\n'
+      + 'A,1,0.3,0\n'
+      + 'B,2,0.5,0\n'
+      + 'C,1,0.2,1\n'
+    );
+  });
+
+  it('should quote fields and leave missing values empty', () => {
+    const rows = [{ id: 'a,b', degree: 1 }, { id: 'say "hi"' }];
+
+    expect(toCSV(rows)).toBe('id,degree\n"a,b",1\n"say ""hi""",\n');
+    expect(toCSV(rows, { delimiter: '\t', columns: ['degree', 'id'] }))
+      .toBe('degree\tid\n1\ta,b\n\t"say ""hi"""\n');
+  });
+
+  it('should reject non-array stats', () => {
+    expect(() => toCSV({})).toThrow(TypeError);
+  });
+});
+
+describe('toJSONL', () => {
+  it('should write one object per line with keys in column order', () => {
+    expect(toJSONL([{ pagerank: 0.3, id: 'A', degree: 1 }, { id: 'B' }]))
+      .toBe('{"id":"A","degree":1,"pagerank":0.3}\n{"id":"B"}\n');
+  });
+});
+
+describe('toGraphML', () => {
+  it('should write typed keys and round-trip through fromGraphML', () => {
+    const graphml = toGraphML(network, stats);
+
+    expect(graphml).toContain('<key id="d0" for="node" attr.name="label" attr.type="string"/>');
+    expect(graphml).toContain('<key id="d2" for="node" attr.name="degree" attr.type="int"/>');
+    expect(graphml).toContain('<key id="d3" for="node" attr.name="pagerank" attr.type="double"/>');
+    expect(graphml).toContain('<graph id="G" edgedefault="undirected">');
+
+    expect(fromGraphML(graphml)).toEqual({
+      nodes: [
+        { id: 'A', label: 'Alice & co', degree: 1, pagerank: 0.3, modularity: 0 },
+        { id: 'B', degree: 2, pagerank: 0.5, modularity: 0 },
+        { id: 'C', degree: 1, pagerank: 0.2, modularity: 1 },
+        { id: 'D', group: 'x' }
+      ],
+      edges: network.edges,
+      directed: false
+    });
+  });
+
+  it('should export a plain edge array without statistics', () => {
+    const graphml = toGraphML([{ source: 1, target: 2 }], null, { directed: true });
+
+    expect(graphml).toContain('edgedefault="directed"');
+    expect(fromGraphML(graphml).nodes).toEqual([{ id: '1' }, { id: '2' }]);
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => toGraphML('edges')).toThrow('GraphML export failed');
+    expect(() => toGraphML([], {})).toThrow('Stats must be an array');
+  });
+});
+
+describe('toGEXF', () => {
+  it('should write labels, weights and metrics and round-trip through fromGEXF', () => {
+    const gexf = toGEXF(network, stats);
+
+    expect(gexf).toContain('<attribute id="1" title="degree" type="integer"/>');
+    expect(gexf).toContain('<node id="A" label="Alice &amp; co">');
+    expect(gexf).toContain('<edge id="0" source="A" target="B" weight="2.5">');
+
+    expect(fromGEXF(gexf)).toEqual({
+      nodes: [
+        { id: 'A', label: 'Alice & co', degree: 1, pagerank: 0.3, modularity: 0 },
+        { id: 'B', label: 'B', degree: 2, pagerank: 0.5, modularity: 0 },
+        { id: 'C', label: 'C', degree: 1, pagerank: 0.2, modularity: 1 },
+        { id: 'D', label: 'D', group: 'x' }
+      ],
+      edges: [
+        { source: 'A', target: 'B', kind: 'friend', weight: 2.5 },
+        { source: 'B', target: 'C' }
+      ],
+      directed: false
+    });
+  });
+
+  it('should let metrics overwrite node attributes of the same name', () => {
+    const gexf = toGEXF({ nodes: [{ id: 'A', degree: 'high' }], edges: [{ source: 'A', target: 'B' }] },
+      [{ id: 'A', degree: 1 }, { id: 'B', degree: 1 }]);
+
+    expect(fromGEXF(gexf).nodes).toEqual([
+      { id: 'A', label: 'A', degree: 1 },
+      { id: 'B', label: 'B', degree: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Flat exports of the statistics table (CSV, JSON Lines)
+ * @module exporters/table
+ */
+
+/**
+ * Result columns in the order exports write them, after `id`
+ *
+ * Follows the NodeStats field order, so the same features always produce the
+ * same columns in the same order, whichever order they were requested in.
+ * @type {Array<string>}
+ */
+export const STAT_COLUMNS = [
+  'degree',
+  'strength',
+  'inDegree',
+  'outDegree',
+  'eigenvector',
+  'betweenness',
+  'closeness',
+  'harmonic',
+  'pagerank',
+  'hub',
+  'authority',
+  'clustering',
+  'cliques',
+  'modularity',
+  'labelPropagation',
+  'component',
+  'transitivity',
+  'triangles',
+  'strongComponent',
+  'weakComponent',
+  'multiplicity',
+];
+
+/**
+ * Columns of a statistics table in stable order
+ *
+ * `id` comes first, then the known result columns in STAT_COLUMNS order, then
+ * any other column (e.g. node attributes) in alphabetical order.
+ *
+ * @param {Array<Object>} rows - Per-node rows, as returned by getNetworkStats
+ * @returns {Array<string>} Column names
+ *
+ * @example
+ * statColumns([{ pagerank: 0.2, id: 'A', degree: 2 }]); // ['id', 'degree', 'pagerank']
+ */
+export function statColumns(rows) {
+  const present = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      present.add(key);
+    }
+  }
+  present.delete('id');
+
+  const known = STAT_COLUMNS.filter(column => present.has(column));
+  const others = [...present].filter(column => !STAT_COLUMNS.includes(column)).sort();
+  return ['id', ...known, ...others];
+}
+
+/**
+ * Export statistics as CSV, one row per node
+ *
+ * Fields holding the delimiter, quotes or line breaks are quoted (RFC 4180);
+ * missing values are left empty. Every line, including the last, ends with
+ * `\n`.
+ *
+ * @param {Array<Object>} stats - Per-node rows, as returned by getNetworkStats
+ * @param {Object} [options] - Export options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {Array<string>} [options.columns] - Columns to write (default: statColumns(stats))
+ * @returns {string} CSV text with a header row
+ * @throws {TypeError} If stats is not an array
+ *
+ * @example
+ * toCSV([{ id: 'A', degree: 2 }, { id: 'B', degree: 1 }]);
+ * // 'id,degree\nA,2\nB,1\n'
+ */
+export function toCSV(stats, options = {}) {
+  if (!Array.isArray(stats)) {
+    throw new TypeError('Stats must be an array');
+  }
+
+  const { delimiter = ',', columns = statColumns(stats) } = options;
+
+  const lines = [formatCSVRow(columns, delimiter)];
+  for (const row of stats) {
+    lines.push(formatCSVRow(columns.map(column => row[column]), delimiter));
+  }
+  return lines.join('');
+}
+
+/**
+ * Export statistics as JSON Lines, one object per node
+ *
+ * Keys follow the same stable order as the CSV columns; missing values are
+ * omitted. Every line, including the last, ends with `\n`.
+ *
+ * @param {Array<Object>} stats - Per-node rows, as returned by getNetworkStats
+ * @param {Object} [options] - Export options
+ * @param {Array<string>} [options.columns] - Columns to write (default: statColumns(stats))
+ * @returns {string} JSON Lines text
+ * @throws {TypeError} If stats is not an array
+ *
+ * @example
+ * toJSONL([{ degree: 2, id: 'A' }]); // '{"id":"A","degree":2}\n'
+ */
+export function toJSONL(stats, options = {}) {
+  if (!Array.isArray(stats)) {
+    throw new TypeError('Stats must be an array');
+  }
+
+  const { columns = statColumns(stats) } = options;
+  return stats.map(row => formatJSONLine(row, columns)).join('');
+}
+
+/**
+ * Formats one CSV line (with trailing newline)
+ *
+ * @param {Array<*>} values - Field values
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} CSV line
+ */
+export function formatCSVRow(values, delimiter = ',') {
+  return values.map(value => formatCSVField(value, delimiter)).join(delimiter) + '\n';
+}
+
+/**
+ * Formats one row as a JSON line (with trailing newline), keys in column order
+ *
+ * @param {Object} row - Per-node row
+ * @param {Array<string>} columns - Keys to write, in order
+ * @returns {string} JSON line
+ */
+export function formatJSONLine(row, columns) {
+  const ordered = {};
+  for (const column of columns) {
+    if (row[column] !== undefined) {
+      ordered[column] = row[column];
+    }
+  }
+  return JSON.stringify(ordered) + '\n';
+}
+
+function formatCSVField(value, delimiter) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
@@ -3,13 +3,19 @@
  * @module features/betweenness
  */
 
-import jsnetworkx from 'jsnetworkx';
+import { shortestPathCounts } from '../graph/paths.js';
+import { createProgressReporter } from '../core/progress.js';
 
 /**
  * Calculate betweenness centrality for all nodes in a graph
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * Uses Brandes' algorithm. Scores are normalized by (n - 1)(n - 2), the
+ * number of ordered node pairs a node can lie between.
+ *
+ * @param {Object} graph - Graph instance
  * @param {Object} [options] - Calculation options
+ * @param {string|null} [options.weight=null] - Edge attribute used as distance (null = unweighted)
+ * @param {Function} [options.onSourceProgress] - Receives (completed, total) source nodes processed
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to betweenness centrality mapping
  *
@@ -18,14 +24,15 @@ import jsnetworkx from 'jsnetworkx';
  * // { 'A': 0.0, 'B': 0.5, 'C': 0.0 }
  */
 export function calculateBetweenness(graph, options = {}) {
-  const { verbose = false } = options;
+  const { weight = null, onSourceProgress, verbose = false } = options;
 
   if (verbose) {
     console.log('Calculating betweenness centrality...');
   }
 
   try {
-    return jsnetworkx.betweennessCentrality(graph)._stringValues;
+    const raw = accumulateBetweenness(graph, graph.nodes(), weight, onSourceProgress);
+    return rescaleBetweenness(raw, graph.numberOfNodes());
   } catch (error) {
     if (verbose) {
       console.warn('Error calculating betweenness centrality:', error.message);
@@ -33,3 +40,59 @@ export function calculateBetweenness(graph, options = {}) {
     throw new Error(`Betweenness calculation failed: ${error.message}`);
   }
 }
+
+/**
+ * Accumulate unnormalized betweenness over the shortest paths from some sources
+ *
+ * Contributions of disjoint source batches add up, so batches can run in
+ * parallel and be summed before rescaling.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Array<string|number>} sources - Source nodes whose shortest paths are counted
+ * @param {string|null} [weight=null] - Edge attribute used as distance (null = unweighted)
+ * @param {Function} [onSourceProgress] - Receives (completed, total) source nodes processed
+ * @returns {Object} Node ID to raw betweenness mapping (every node of the graph)
+ *
+ * @example
+ * const partial = accumulateBetweenness(graph, ['A', 'B']);
+ */
+export function accumulateBetweenness(graph, sources, weight = null, onSourceProgress) {
+  const report = createProgressReporter(onSourceProgress, sources.length);
+  const betweenness = {};
+  for (const node of graph.nodes()) {
+    betweenness[node] = 0;
+  }
+
+  for (const [index, source] of sources.entries()) {
+    const { order, predecessors, sigma } = shortestPathCounts(graph, source, weight);
+    const delta = new Map(order.map(node => [node, 0]));
+
+    for (let i = order.length - 1; i > 0; i--) {
+      const node = order[i];
+      const coefficient = (1 + delta.get(node)) / sigma.get(node);
+      for (const predecessor of predecessors.get(node)) {
+        delta.set(predecessor, delta.get(predecessor) + sigma.get(predecessor) * coefficient);
+      }
+      betweenness[node] += delta.get(node);
+    }
+    report(index + 1);
+  }
+
+  return betweenness;
+}
+
+/**
+ * Normalize raw betweenness by the number of node pairs, (n - 1)(n - 2)
+ *
+ * @param {Object} raw - Node ID to raw betweenness mapping
+ * @param {number} nodeCount - Number of nodes in the graph
+ * @returns {Object} Node ID to betweenness centrality mapping
+ */
+export function rescaleBetweenness(raw, nodeCount) {
+  const scale = nodeCount > 2 ? 1 / ((nodeCount - 1) * (nodeCount - 2)) : 1;
+  const betweenness = {};
+  for (const node in raw) {
+    betweenness[node] = raw[node] * scale;
+  }
+  return betweenness;
+}
@@ -3,12 +3,14 @@
  * @module features/cliques
  */
 
-import jsnetworkx from 'jsnetworkx';
-
 /**
  * Calculate number of cliques for all nodes in a graph
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * Counts the maximal cliques (cliques not contained in a larger one) each node
+ * belongs to, enumerated with Bron–Kerbosch and Tomita pivoting. Self-loops
+ * are ignored.
+ *
+ * @param {Object} graph - Graph instance
  * @param {Object} [options] - Calculation options
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to clique count mapping
@@ -25,7 +27,16 @@ export function calculateCliques(graph, options = {}) {
   }
 
   try {
-    return jsnetworkx.numberOfCliques(graph)._stringValues;
+    const cliques = {};
+    for (const node of graph.nodes()) {
+      cliques[node] = 0;
+    }
+    for (const clique of findMaximalCliques(graph)) {
+      for (const node of clique) {
+        cliques[node]++;
+      }
+    }
+    return cliques;
   } catch (error) {
     if (verbose) {
       console.warn('Error calculating cliques:', error.message);
@@ -33,3 +44,77 @@ export function calculateCliques(graph, options = {}) {
     throw new Error(`Cliques calculation failed: ${error.message}`);
   }
 }
+
+/**
+ * Enumerate maximal cliques (Bron–Kerbosch with pivot, iterative)
+ */
+function* findMaximalCliques(graph) {
+  const adjacency = new Map(graph.nodes().map(node => [
+    node,
+    new Set(graph.neighbors(node).filter(nbr => nbr !== node))
+  ]));
+  if (adjacency.size === 0) return;
+
+  const clique = [];
+  const stack = [];
+  let candidates = new Set(adjacency.keys());
+  let excluded = new Set();
+  let branches = pivotBranches(adjacency, candidates, excluded);
+
+  while (true) {
+    const next = branches.pop();
+    if (next === undefined) {
+      if (stack.length === 0) return;
+      clique.pop();
+      ({ candidates, excluded, branches } = stack.pop());
+      continue;
+    }
+
+    candidates.delete(next);
+    const nbrs = adjacency.get(next);
+    const nextCandidates = intersect(candidates, nbrs);
+    const nextExcluded = intersect(excluded, nbrs);
+    excluded.add(next);
+    clique.push(next);
+
+    if (nextCandidates.size === 0) {
+      if (nextExcluded.size === 0) yield [...clique];
+      clique.pop();
+    } else {
+      stack.push({ candidates, excluded, branches });
+      candidates = nextCandidates;
+      excluded = nextExcluded;
+      branches = pivotBranches(adjacency, candidates, excluded);
+    }
+  }
+}
+
+/**
+ * Candidates to branch on: those not adjacent to the pivot, the node of
+ * candidates ∪ excluded with the most neighbors among the candidates
+ */
+function pivotBranches(adjacency, candidates, excluded) {
+  let pivot;
+  let best = -1;
+  for (const node of [...candidates, ...excluded]) {
+    const count = intersect(candidates, adjacency.get(node)).size;
+    if (count > best) {
+      pivot = node;
+      best = count;
+    }
+  }
+  const pivotNbrs = adjacency.get(pivot);
+  return [...candidates].filter(node => !pivotNbrs.has(node));
+}
+
+/**
+ * Intersection of two sets (iterates the smaller one)
+ */
+function intersect(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const result = new Set();
+  for (const item of small) {
+    if (large.has(item)) result.add(item);
+  }
+  return result;
+}
@@ -3,13 +3,20 @@
  * @module features/clustering
  */
 
-import jsnetworkx from 'jsnetworkx';
+import { getEdgeWeight } from '../graph/builder.js';
+import { countTriangles, localClustering } from '../graph/triangles.js';
 
 /**
  * Calculate clustering coefficient for all nodes in a graph
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * With a weight attribute, uses the weighted variant (geometric mean of the
+ * triangle's edge weights, normalized by the maximum weight in the graph).
+ * On directed graphs, uses Fagiolo's definition, which counts every directed
+ * triangle a node takes part in.
+ *
+ * @param {Object} graph - Graph instance (directed or undirected)
  * @param {Object} [options] - Calculation options
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to clustering coefficient mapping
  *
@@ -18,14 +25,19 @@ import jsnetworkx from 'jsnetworkx';
  * // { 'A': 0.5, 'B': 1.0, 'C': 0.0 }
  */
 export function calculateClustering(graph, options = {}) {
-  const { verbose = false } = options;
+  const { weight = null, verbose = false } = options;
 
   if (verbose) {
     console.log('Calculating clustering coefficient...');
   }
 
   try {
-    return jsnetworkx.clustering(graph)._stringValues;
+    if (graph.isDirected()) {
+      return directedClustering(graph, weight);
+    }
+    return weight === null
+      ? unweightedClustering(graph)
+      : weightedClustering(graph, weight);
   } catch (error) {
     if (verbose) {
       console.warn('Error calculating clustering coefficient:', error.message);
@@ -33,3 +45,111 @@ export function calculateClustering(graph, options = {}) {
     throw new Error(`Clustering calculation failed: ${error.message}`);
   }
 }
+
+/**
+ * Fraction of pairs of a node's neighbors that are linked (self-loops ignored)
+ */
+function unweightedClustering(graph) {
+  const triangles = countTriangles(graph);
+  const clustering = {};
+
+  for (const node of graph.nodes()) {
+    clustering[node] = localClustering(graph, node, triangles);
+  }
+
+  return clustering;
+}
+
+/**
+ * Weighted clustering (Onnela et al., 2005): each triangle counts as the
+ * geometric mean of its edge weights, normalized by the maximum weight
+ */
+function weightedClustering(graph, weight) {
+  const maxWeight = maxEdgeWeight(graph, weight);
+  const w = (u, v) => getEdgeWeight(graph, u, v, weight) / maxWeight;
+  const clustering = {};
+
+  for (const i of graph.nodes()) {
+    const ineighbors = new Set(graph.neighbors(i).filter(n => n !== i));
+    const seen = new Set();
+    let triangles = 0;
+
+    // Visit each triangle once per node: j before k, in neighbor order
+    for (const j of ineighbors) {
+      const wij = w(i, j);
+      seen.add(j);
+      for (const k of ineighbors) {
+        if (!seen.has(k) && graph.hasEdge(j, k)) {
+          triangles += (wij * w(j, k) * w(k, i)) ** (1 / 3);
+        }
+      }
+    }
+
+    const degree = ineighbors.size;
+    clustering[i] = triangles === 0 ? 0 : (2 * triangles) / (degree * (degree - 1));
+  }
+
+  return clustering;
+}
+
+/**
+ * Directed clustering (Fagiolo, 2007), matching networkx.clustering on DiGraphs
+ */
+function directedClustering(graph, weight) {
+  const maxWeight = weight === null ? 1 : maxEdgeWeight(graph, weight);
+  const w = (u, v) => getEdgeWeight(graph, u, v, weight) / maxWeight;
+
+  const preds = new Map();
+  const succs = new Map();
+  for (const node of graph.nodes()) {
+    preds.set(node, new Set(graph.predecessors(node).filter(n => n !== node)));
+    succs.set(node, new Set(graph.successors(node).filter(n => n !== node)));
+  }
+
+  const clustering = {};
+
+  for (const i of graph.nodes()) {
+    const ipreds = preds.get(i);
+    const isuccs = succs.get(i);
+    let triangles = 0;
+
+    // Every (j, k) pair of neighbors of i closes a directed triangle when j and k are linked
+    const closing = (j, wij) => {
+      for (const k of ipreds) {
+        if (preds.get(j).has(k)) triangles += Math.cbrt(wij * w(k, i) * w(k, j));
+        if (succs.get(j).has(k)) triangles += Math.cbrt(wij * w(k, i) * w(j, k));
+      }
+      for (const k of isuccs) {
+        if (preds.get(j).has(k)) triangles += Math.cbrt(wij * w(i, k) * w(k, j));
+        if (succs.get(j).has(k)) triangles += Math.cbrt(wij * w(i, k) * w(j, k));
+      }
+    };
+
+    for (const j of ipreds) closing(j, w(j, i));
+    for (const j of isuccs) closing(j, w(i, j));
+
+    const total = ipreds.size + isuccs.size;
+    let reciprocal = 0;
+    for (const j of ipreds) {
+      if (isuccs.has(j)) reciprocal++;
+    }
+
+    clustering[i] = triangles === 0
+      ? 0
+      : triangles / ((total * (total - 1) - 2 * reciprocal) * 2);
+  }
+
+  return clustering;
+}
+
+/**
+ * Largest edge weight in the graph (1 when it has no edges or only zero
+ * weights, which leaves every triangle at 0 instead of dividing 0 by 0)
+ */
+function maxEdgeWeight(graph, weight) {
+  let max = -Infinity;
+  for (const [, , data] of graph.edges(true)) {
+    max = Math.max(max, data[weight] ?? 1);
+  }
+  return max > 0 ? max : 1;
+}
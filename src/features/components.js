@@ -0,0 +1,168 @@
+/**
+ * Connected component calculators
+ * @module features/components
+ */
+
+/**
+ * Assign each node the index of its weakly connected component
+ *
+ * Edge direction is ignored, so on undirected graphs these are the ordinary
+ * connected components. Components are numbered by decreasing size (0 is the
+ * largest), ties broken by order of discovery.
+ *
+ * @param {Object} graph - Graph instance (directed or undirected)
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to component index mapping
+ *
+ * @example
+ * // A -> B, C -> D
+ * const components = calculateWeakComponents(graph);
+ * // { 'A': 0, 'B': 0, 'C': 1, 'D': 1 }
+ */
+export function calculateWeakComponents(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Finding weakly connected components...');
+  }
+
+  try {
+    const neighbors = graph.isDirected()
+      ? node => [...graph.successors(node), ...graph.predecessors(node)]
+      : node => graph.neighbors(node);
+
+    const seen = new Set();
+    const components = [];
+
+    for (const start of graph.nodes()) {
+      if (seen.has(start)) continue;
+
+      seen.add(start);
+      const component = [start];
+      for (let head = 0; head < component.length; head++) {
+        for (const neighbor of neighbors(component[head])) {
+          if (!seen.has(neighbor)) {
+            seen.add(neighbor);
+            component.push(neighbor);
+          }
+        }
+      }
+      components.push(component);
+    }
+
+    return indexComponents(components);
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error finding weakly connected components:', error.message);
+    }
+    throw new Error(`Weak component calculation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Assign each node the index of its strongly connected component
+ *
+ * Two nodes share a strong component when each can reach the other following
+ * edge direction. Uses an iterative Tarjan traversal; components are numbered
+ * by decreasing size (0 is the largest).
+ *
+ * @param {Object} graph - Directed Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to component index mapping
+ *
+ * @example
+ * // A -> B, B -> A, B -> C
+ * const components = calculateStrongComponents(graph);
+ * // { 'A': 0, 'B': 0, 'C': 1 }
+ */
+export function calculateStrongComponents(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Finding strongly connected components...');
+  }
+
+  try {
+    const index = new Map();
+    const lowlink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    for (const root of graph.nodes()) {
+      if (index.has(root)) continue;
+
+      // Each frame holds a node and the successors still to visit
+      const callStack = [[root, graph.successors(root), 0]];
+      index.set(root, counter);
+      lowlink.set(root, counter);
+      counter++;
+      stack.push(root);
+      onStack.add(root);
+
+      while (callStack.length > 0) {
+        const frame = callStack[callStack.length - 1];
+        const [node, successors] = frame;
+
+        if (frame[2] < successors.length) {
+          const next = successors[frame[2]++];
+          if (!index.has(next)) {
+            index.set(next, counter);
+            lowlink.set(next, counter);
+            counter++;
+            stack.push(next);
+            onStack.add(next);
+            callStack.push([next, graph.successors(next), 0]);
+          } else if (onStack.has(next)) {
+            lowlink.set(node, Math.min(lowlink.get(node), index.get(next)));
+          }
+          continue;
+        }
+
+        callStack.pop();
+        if (callStack.length > 0) {
+          const parent = callStack[callStack.length - 1][0];
+          lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(node)));
+        }
+
+        if (lowlink.get(node) === index.get(node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== node);
+          components.push(component);
+        }
+      }
+    }
+
+    return indexComponents(components);
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error finding strongly connected components:', error.message);
+    }
+    throw new Error(`Strong component calculation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Number components by decreasing size (stable for equal sizes)
+ */
+function indexComponents(components) {
+  const ordered = components
+    .map((members, order) => ({ members, order }))
+    .sort((a, b) => b.members.length - a.members.length || a.order - b.order);
+
+  const result = {};
+  ordered.forEach(({ members }, componentIndex) => {
+    for (const node of members) {
+      result[node] = componentIndex;
+    }
+  });
+  return result;
+}
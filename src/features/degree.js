@@ -3,12 +3,10 @@
  * @module features/degree
  */
 
-import jsnetworkx from 'jsnetworkx';
-
 /**
  * Calculate degree centrality for all nodes in a graph
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * @param {Object} graph - Graph instance
  * @param {Object} [options] - Calculation options
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to degree mapping
@@ -25,7 +23,11 @@ export function calculateDegree(graph, options = {}) {
   }
 
   try {
-    return jsnetworkx.degree(graph)._stringValues;
+    const degrees = {};
+    for (const node of graph.nodes()) {
+      degrees[node] = graph.degree(node);
+    }
+    return degrees;
   } catch (error) {
     if (verbose) {
       console.warn('Error calculating degree:', error.message);
@@ -33,3 +35,71 @@ export function calculateDegree(graph, options = {}) {
     throw new Error(`Degree calculation failed: ${error.message}`);
   }
 }
+
+/**
+ * Calculate in-degree (number of incoming edges) for all nodes in a directed graph
+ *
+ * @param {Object} graph - Directed Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to in-degree mapping
+ *
+ * @example
+ * // A -> B, C -> B
+ * const inDegrees = calculateInDegree(graph);
+ * // { 'A': 0, 'B': 2, 'C': 0 }
+ */
+export function calculateInDegree(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating in-degree...');
+  }
+
+  try {
+    const inDegrees = {};
+    for (const node of graph.nodes()) {
+      inDegrees[node] = graph.inDegree(node);
+    }
+    return inDegrees;
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating in-degree:', error.message);
+    }
+    throw new Error(`In-degree calculation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Calculate out-degree (number of outgoing edges) for all nodes in a directed graph
+ *
+ * @param {Object} graph - Directed Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to out-degree mapping
+ *
+ * @example
+ * // A -> B, C -> B
+ * const outDegrees = calculateOutDegree(graph);
+ * // { 'A': 1, 'B': 0, 'C': 1 }
+ */
+export function calculateOutDegree(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating out-degree...');
+  }
+
+  try {
+    const outDegrees = {};
+    for (const node of graph.nodes()) {
+      outDegrees[node] = graph.outDegree(node);
+    }
+    return outDegrees;
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating out-degree:', error.message);
+    }
+    throw new Error(`Out-degree calculation failed: ${error.message}`);
+  }
+}
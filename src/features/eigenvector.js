@@ -3,30 +3,85 @@
  * @module features/eigenvector
  */
 
-import jsnetworkx from 'jsnetworkx';
+import { getEdgeWeight } from '../graph/builder.js';
 
 /**
  * Calculate eigenvector centrality for all nodes in a graph
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * Uses power iteration from a uniform start vector, scaled to unit length after
+ * every step. On directed graphs a node's centrality comes from its
+ * predecessors.
+ *
+ * @param {Object} graph - Graph instance
  * @param {Object} [options] - Calculation options
  * @param {number} [options.maxIter=100000] - Maximum iterations
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to eigenvector centrality mapping
+ * @throws {Error} If the graph is empty or the power iteration does not converge within maxIter
  *
  * @example
  * const eigenvector = calculateEigenvector(graph, { maxIter: 100000 });
  * // { 'A': 0.577, 'B': 0.707, 'C': 0.408 }
  */
 export function calculateEigenvector(graph, options = {}) {
-  const { maxIter = 100000, verbose = false } = options;
+  const { maxIter = 100000, weight = null, verbose = false } = options;
 
   if (verbose) {
     console.log('Calculating eigenvector centrality...');
   }
 
   try {
-    return jsnetworkx.eigenvectorCentrality(graph, { maxIter })._stringValues;
+    const nodes = graph.nodes();
+    const n = nodes.length;
+    if (n === 0) {
+      throw new Error('graph is empty');
+    }
+
+    const neighbors = new Map(nodes.map(node => [
+      node,
+      graph.neighbors(node).map(nbr => [nbr, getEdgeWeight(graph, node, nbr, weight)])
+    ]));
+
+    let centrality = new Map(nodes.map(node => [node, 1 / n]));
+    let sum = 0;
+    for (const value of centrality.values()) {
+      sum += value;
+    }
+    for (const node of nodes) {
+      centrality.set(node, centrality.get(node) * (1 / sum));
+    }
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      const next = new Map(nodes.map(node => [node, 0]));
+
+      for (const node of nodes) {
+        for (const [neighbor, w] of neighbors.get(node)) {
+          next.set(neighbor, next.get(neighbor) + centrality.get(node) * w);
+        }
+      }
+
+      let norm = 0;
+      for (const value of next.values()) {
+        norm += value ** 2;
+      }
+      norm = norm === 0 ? 1 : 1 / Math.sqrt(norm);
+
+      let error = 0;
+      for (const node of nodes) {
+        const value = next.get(node) * norm;
+        error += Math.abs(value - centrality.get(node));
+        next.set(node, value);
+      }
+
+      centrality = next;
+
+      if (error < n * 1e-6) {
+        return Object.fromEntries(centrality);
+      }
+    }
+
+    throw new Error(`power iteration failed to converge within ${maxIter} iterations`);
   } catch (error) {
     if (verbose) {
       console.warn('Error calculating eigenvector centrality:', error.message);
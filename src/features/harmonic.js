@@ -0,0 +1,54 @@
+/**
+ * Harmonic centrality calculator
+ * @module features/harmonic
+ */
+
+import { shortestPathLengths } from '../graph/paths.js';
+
+/**
+ * Calculate harmonic centrality for all nodes in a graph
+ *
+ * Sums the reciprocal distances to every other node; unreachable nodes
+ * contribute 0, so disconnected graphs need no special handling. On directed
+ * graphs, distances follow edge direction outward from each node.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {string|null} [options.weight=null] - Edge attribute used as distance (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to harmonic centrality mapping
+ *
+ * @example
+ * // A - B - C
+ * const harmonic = calculateHarmonic(graph);
+ * // { 'A': 1.5, 'B': 2, 'C': 1.5 }
+ */
+export function calculateHarmonic(graph, options = {}) {
+  const { weight = null, verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating harmonic centrality...');
+  }
+
+  try {
+    const harmonic = {};
+
+    for (const node of graph.nodes()) {
+      let score = 0;
+      for (const distance of shortestPathLengths(graph, node, weight).values()) {
+        if (distance > 0) {
+          score += 1 / distance;
+        }
+      }
+
+      harmonic[node] = score;
+    }
+
+    return harmonic;
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating harmonic centrality:', error.message);
+    }
+    throw new Error(`Harmonic calculation failed: ${error.message}`);
+  }
+}
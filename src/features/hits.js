@@ -0,0 +1,115 @@
+/**
+ * HITS hub and authority calculator
+ * @module features/hits
+ */
+
+import { getEdgeWeight } from '../graph/builder.js';
+
+/**
+ * Calculate HITS hub and authority scores for all nodes in a directed graph
+ *
+ * A good hub points to many good authorities; a good authority is pointed to
+ * by many good hubs. Scores come from power iteration and are normalized to
+ * sum to 1.
+ *
+ * @param {Object} graph - Directed Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {number} [options.tolerance=1e-6] - Convergence tolerance (per node, L1 norm)
+ * @param {number} [options.maxIter=100] - Maximum iterations
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {{hub: Object, authority: Object}} Column name to node-value mapping
+ * @throws {Error} If the power iteration does not converge within maxIter
+ *
+ * @example
+ * // A -> C, B -> C
+ * const { hub, authority } = calculateHits(graph);
+ * // hub:       { 'A': 0.5, 'B': 0.5, 'C': 0 }
+ * // authority: { 'A': 0, 'B': 0, 'C': 1 }
+ */
+export function calculateHits(graph, options = {}) {
+  const {
+    tolerance = 1e-6,
+    maxIter = 100,
+    weight = null,
+    verbose = false
+  } = options;
+
+  if (verbose) {
+    console.log('Calculating HITS hubs and authorities...');
+  }
+
+  try {
+    const nodes = graph.nodes();
+    const n = nodes.length;
+    const successors = new Map(nodes.map(node => [
+      node,
+      graph.successors(node).map(nbr => [nbr, getEdgeWeight(graph, node, nbr, weight)])
+    ]));
+
+    let hub = new Map(nodes.map(node => [node, 1 / n]));
+    let authority = new Map();
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      // Authorities collect the scores of the hubs pointing at them
+      authority = new Map(nodes.map(node => [node, 0]));
+      for (const node of nodes) {
+        for (const [nbr, w] of successors.get(node)) {
+          authority.set(nbr, authority.get(nbr) + hub.get(node) * w);
+        }
+      }
+
+      // Hubs collect the scores of the authorities they point at
+      const next = new Map(nodes.map(node => [node, 0]));
+      for (const node of nodes) {
+        for (const [nbr, w] of successors.get(node)) {
+          next.set(node, next.get(node) + authority.get(nbr) * w);
+        }
+      }
+
+      scaleToMax(next);
+      scaleToMax(authority);
+
+      let error = 0;
+      for (const node of nodes) {
+        error += Math.abs(next.get(node) - hub.get(node));
+      }
+      hub = next;
+
+      if (error < n * tolerance) {
+        return {
+          hub: scaleToSum(hub),
+          authority: scaleToSum(authority)
+        };
+      }
+    }
+
+    throw new Error(`power iteration failed to converge within ${maxIter} iterations`);
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating HITS:', error.message);
+    }
+    throw new Error(`HITS calculation failed: ${error.message}`);
+  }
+}
+
+function scaleToMax(scores) {
+  const max = Math.max(0, ...scores.values());
+  if (max === 0) return;
+  for (const [node, value] of scores) {
+    scores.set(node, value / max);
+  }
+}
+
+function scaleToSum(scores) {
+  let total = 0;
+  for (const value of scores.values()) {
+    total += value;
+  }
+
+  const result = {};
+  for (const [node, value] of scores) {
+    result[node] = total === 0 ? 0 : value / total;
+  }
+  return result;
+}
@@ -4,12 +4,26 @@
  */
 
 import { FEATURES } from '../core/constants.js';
-import { calculateDegree } from './degree.js';
+import { calculateDegree, calculateInDegree, calculateOutDegree } from './degree.js';
+import { calculateStrength } from './strength.js';
 import { calculateEigenvector } from './eigenvector.js';
-import { calculateBetweenness } from './betweenness.js';
+import {
+  calculateBetweenness,
+  accumulateBetweenness,
+  rescaleBetweenness,
+} from './betweenness.js';
+import { calculateCloseness } from './closeness.js';
+import { calculateHarmonic } from './harmonic.js';
+import { calculatePageRank } from './pagerank.js';
+import { calculateHits } from './hits.js';
 import { calculateClustering } from './clustering.js';
 import { calculateCliques } from './cliques.js';
 import { calculateModularity } from './modularity.js';
+import { calculateLabelPropagation } from './label-propagation.js';
+import { calculateTransitivity } from './transitivity.js';
+import { calculateStrongComponents, calculateWeakComponents } from './components.js';
+import { calculateMultiplicity } from './multiplicity.js';
+import { collapseEdges } from '../graph/preprocess.js';
 
 /**
  * Feature calculator registry
@@ -17,18 +31,69 @@ import { calculateModularity } from './modularity.js';
  */
 export const featureCalculators = {
   [FEATURES.DEGREE]: calculateDegree,
+  [FEATURES.STRENGTH]: calculateStrength,
+  [FEATURES.IN_DEGREE]: calculateInDegree,
+  [FEATURES.OUT_DEGREE]: calculateOutDegree,
   [FEATURES.EIGENVECTOR]: calculateEigenvector,
   [FEATURES.BETWEENNESS]: calculateBetweenness,
+  [FEATURES.CLOSENESS]: calculateCloseness,
+  [FEATURES.HARMONIC]: calculateHarmonic,
+  [FEATURES.PAGERANK]: calculatePageRank,
+  [FEATURES.HITS]: calculateHits,
   [FEATURES.CLUSTERING]: calculateClustering,
   [FEATURES.CLIQUES]: calculateCliques,
   [FEATURES.MODULARITY]: calculateModularity,
+  [FEATURES.LABEL_PROPAGATION]: calculateLabelPropagation,
+  // Undirected only, so weak components are the connected components
+  [FEATURES.COMPONENT]: calculateWeakComponents,
+  [FEATURES.TRANSITIVITY]: calculateTransitivity,
+  [FEATURES.STRONG_COMPONENT]: calculateStrongComponents,
+  [FEATURES.WEAK_COMPONENT]: calculateWeakComponents,
+  [FEATURES.MULTIPLICITY]: calculateMultiplicity,
+};
+
+/**
+ * Features whose calculators return several result columns at once
+ * (column name to node-value mapping) instead of a single node-value mapping
+ */
+export const multiColumnFeatures = new Set([
+  FEATURES.TRANSITIVITY,
+  FEATURES.HITS,
+]);
+
+/**
+ * Features whose work splits by source node, so batches of sources can be
+ * computed in parallel (e.g. across workers)
+ *
+ * `partial` computes one batch's contribution on the full graph; `reduce`
+ * combines the contributions of batches covering every node into the final
+ * node-value mapping.
+ */
+export const partitionedFeatures = {
+  [FEATURES.BETWEENNESS]: {
+    partial: (graph, sources, options) =>
+      accumulateBetweenness(graph, sources, options.weight ?? null, options.onSourceProgress),
+    reduce: (partials, nodeCount) => {
+      const raw = {};
+      for (const partial of partials) {
+        for (const node in partial) {
+          raw[node] = (raw[node] || 0) + partial[node];
+        }
+      }
+      return rescaleBetweenness(raw, nodeCount);
+    },
+  },
+  [FEATURES.CLOSENESS]: {
+    partial: (graph, sources, options) => calculateCloseness(graph, { ...options, sources }),
+    reduce: partials => Object.assign({}, ...partials),
+  },
 };
 
 /**
  * Calculate a single feature for a graph
  *
  * @param {string} featureName - Name of the feature to calculate
- * @param {Object} graph - jsnetworkx Graph instance
+ * @param {Object} graph - Graph instance
  * @param {Array<string|number>} nodes - List of node IDs (for modularity)
  * @param {Array<Object>} network - Network edges (for modularity)
  * @param {Object} [options] - Calculation options
@@ -45,9 +110,9 @@ export function calculateFeature(featureName, graph, nodes, network, options = {
     throw new Error(`Unknown feature: ${featureName}`);
   }
 
-  // Modularity needs nodes and network, others just need graph
+  // Modularity needs nodes and network (one edge per node pair), others just need graph
   if (featureName === FEATURES.MODULARITY) {
-    return calculator(nodes, network, options);
+    return calculator(nodes, collapseEdges(network, options), options);
   }
 
   return calculator(graph, options);
@@ -57,11 +122,11 @@ export function calculateFeature(featureName, graph, nodes, network, options = {
  * Calculate multiple features for a graph
  *
  * @param {Array<string>} features - List of feature names to calculate
- * @param {Object} graph - jsnetworkx Graph instance
+ * @param {Object} graph - Graph instance
  * @param {Array<string|number>} nodes - List of node IDs
  * @param {Array<Object>} network - Network edges
  * @param {Object} [options] - Calculation options
- * @returns {Object} Map of feature names to results
+ * @returns {Object} Map of result column names to results
  *
  * @example
  * const results = calculateFeatures(
@@ -81,7 +146,13 @@ export function calculateFeatures(features, graph, nodes, network, options = {})
 
   for (const feature of features) {
     try {
-      results[feature] = calculateFeature(feature, graph, nodes, network, options);
+      const result = calculateFeature(feature, graph, nodes, network, options);
+
+      if (multiColumnFeatures.has(feature)) {
+        Object.assign(results, result);
+      } else {
+        results[feature] = result;
+      }
     } catch (error) {
       // Feature calculation failed, skip it (already logged if verbose)
       if (options.verbose) {
@@ -92,3 +163,31 @@ export function calculateFeatures(features, graph, nodes, network, options = {})
 
   return results;
 }
+
+/**
+ * Calculate one batch of sources' contribution to partitioned features
+ *
+ * @param {Array<string>} features - Feature names, all keys of partitionedFeatures
+ * @param {Object} graph - Graph instance
+ * @param {Array<string|number>} sources - Source nodes of this batch
+ * @param {Object} [options] - Calculation options
+ * @returns {Object} Map of feature names to partial results
+ * @throws {Error} If a feature cannot be partitioned or its calculation fails
+ *
+ * @example
+ * const partials = calculateFeaturePartials(['betweenness'], graph, ['A', 'B'], {});
+ * // { betweenness: { 'A': 0, 'B': 2, 'C': 0 } }  (unnormalized)
+ */
+export function calculateFeaturePartials(features, graph, sources, options = {}) {
+  const results = {};
+
+  for (const feature of features) {
+    const partitioned = partitionedFeatures[feature];
+    if (!partitioned) {
+      throw new Error(`Feature cannot be partitioned: ${feature}`);
+    }
+    results[feature] = partitioned.partial(graph, sources, options);
+  }
+
+  return results;
+}
@@ -4,13 +4,144 @@
  */
 
 import louvain from '../lib.louvain.js';
+import { createRandom } from '../core/random.js';
+import { leiden } from '../graph/leiden.js';
+import { compareNodeIds, getNetworkEdgeWeight, edgePair } from '../graph/utils.js';
 
 /**
- * Calculate community assignments using Louvain algorithm
+ * @typedef {Object} Community
+ * @property {number} id - Community ID
+ * @property {number} size - Number of member nodes
+ * @property {Array<string|number>} members - Member node IDs
+ */
+
+/**
+ * @typedef {Object} CommunityLevel
+ * @property {number} level - Dendrogram level (0 = finest)
+ * @property {number} modularity - Modularity score Q of this level's partition
+ * @property {Object} partition - Node ID to community ID mapping
+ * @property {Array<Community>} communities - Communities, ordered by ID
+ */
+
+/**
+ * @typedef {Object} CommunityDetectionResult
+ * @property {Array<CommunityLevel>} levels - Every level of the Louvain dendrogram (Leiden: every iteration)
+ * @property {number} modularity - Modularity score Q of the final (coarsest) level
+ * @property {Object} partition - Node ID to community ID mapping of the final level
+ */
+
+/**
+ * Run Louvain or Leiden community detection, keeping every level
+ *
+ * Louvain merges communities level by level; level 0 holds the finest
+ * partition and the last level the coarsest, highest-modularity one.
+ * Leiden reports one level per iteration and, unlike Louvain, guarantees
+ * that every community is connected.
+ *
+ * By default Louvain visits nodes in input order. With `randomOrder` or a
+ * `seed`, they are visited in a shuffled order drawn from a seeded PRNG,
+ * starting from canonically sorted nodes and edges, so a seeded run gives the
+ * same communities however the input edges are ordered. Leiden is always
+ * randomized and only reproducible with a `seed`.
  *
  * @param {Array<string|number>} nodes - List of node IDs
  * @param {Array<Object>} network - Array of edge objects
  * @param {Object} [options] - Calculation options
+ * @param {'louvain'|'leiden'} [options.communityAlgorithm='louvain'] - Community detection algorithm
+ * @param {number} [options.resolution=1] - Resolution (gamma): > 1 gives more, smaller communities
+ * @param {number} [options.seed] - PRNG seed for the node order (implies randomOrder)
+ * @param {boolean} [options.randomOrder=false] - Visit nodes in random order
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {CommunityDetectionResult} Partition, modularity and communities per level
+ *
+ * @example
+ * const { levels, modularity } = calculateCommunities(nodes, edges);
+ * levels[0].communities; // [{ id: 0, size: 3, members: ['A', 'B', 'C'] }, ...]
+ */
+export function calculateCommunities(nodes, network, options = {}) {
+  const {
+    communityAlgorithm = 'louvain',
+    resolution = 1,
+    seed,
+    randomOrder = seed !== undefined,
+    weight = null,
+    verbose = false
+  } = options;
+
+  const useLeiden = communityAlgorithm === 'leiden';
+
+  if (verbose) {
+    console.log(`Detecting communities (${useLeiden ? 'Leiden' : 'Louvain'})...`);
+  }
+
+  try {
+    const canonical = randomOrder || useLeiden;
+    let edges = network.map(edge => {
+      // Seeded runs must not depend on which way round an edge was given
+      const [source, target] = canonical ? edgePair(edge.source, edge.target) : [edge.source, edge.target];
+      return { source, target, weight: getNetworkEdgeWeight(edge, weight) };
+    });
+    let nodeOrder = nodes;
+    if (canonical) {
+      edges = edges.sort((a, b) =>
+        compareNodeIds(a.source, b.source) || compareNodeIds(a.target, b.target)
+      );
+      nodeOrder = nodes.slice().sort(compareNodeIds);
+    }
+
+    let result;
+    if (useLeiden) {
+      result = leiden(nodeOrder, edges, { resolution, random: createRandom(seed) });
+    } else {
+      const community = louvain().resolution(resolution).nodes(nodeOrder);
+      if (randomOrder) {
+        community.random(createRandom(seed));
+      }
+      result = community.edges(edges).levels();
+    }
+    const { partitions, modularities } = result;
+
+    const levels = partitions.map((raw, level) => {
+      const partition = {};
+      const members = new Map();
+
+      for (const node of nodes) {
+        const community = raw[node];
+        partition[node] = community;
+        if (!members.has(community)) {
+          members.set(community, []);
+        }
+        members.get(community).push(node);
+      }
+
+      const communities = [...members.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([id, list]) => ({ id, size: list.length, members: list }));
+
+      return { level, modularity: modularities[level], partition, communities };
+    });
+
+    const last = levels[levels.length - 1];
+    return { levels, modularity: last.modularity, partition: last.partition };
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error detecting communities:', error.message);
+    }
+    throw new Error(`Community detection failed: ${error.message}`);
+  }
+}
+
+/**
+ * Calculate community assignments using the Louvain (default) or Leiden algorithm
+ *
+ * @param {Array<string|number>} nodes - List of node IDs
+ * @param {Array<Object>} network - Array of edge objects
+ * @param {Object} [options] - Calculation options
+ * @param {'louvain'|'leiden'} [options.communityAlgorithm='louvain'] - Community detection algorithm
+ * @param {number} [options.communityLevel] - Dendrogram level to report (default: last level;
+ *   levels past the last are clamped to it)
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
  * @param {boolean} [options.verbose=false] - Enable logging
  * @returns {Object} Node ID to community ID mapping
  *
@@ -21,15 +152,15 @@ import louvain from '../lib.louvain.js';
  * // { 'A': 0, 'B': 0, 'C': 1 }
  */
 export function calculateModularity(nodes, network, options = {}) {
-  const { verbose = false } = options;
-
-  if (verbose) {
-    console.log('Detecting communities (Louvain)...');
-  }
+  const { communityLevel, verbose = false } = options;
 
   try {
-    const community = louvain().nodes(nodes).edges(network);
-    return community();
+    const { levels } = calculateCommunities(nodes, network, options);
+    const level = communityLevel === undefined
+      ? levels.length - 1
+      : Math.min(communityLevel, levels.length - 1);
+
+    return levels[level].partition;
   } catch (error) {
     if (verbose) {
       console.warn('Error detecting communities:', error.message);
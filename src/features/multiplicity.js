@@ -0,0 +1,55 @@
+/**
+ * Edge multiplicity calculator
+ * @module features/multiplicity
+ */
+
+/**
+ * Calculate edge multiplicity (average number of parallel edges per connection)
+ * for all nodes in a graph
+ *
+ * Meaningful on multigraphs, where it is the node's degree divided by its
+ * number of distinct connections; on simple graphs every connected node has
+ * multiplicity 1. Isolated nodes have multiplicity 0.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to multiplicity mapping
+ *
+ * @example
+ * // Multigraph: A-B three times, A-C once
+ * const multiplicity = calculateMultiplicity(graph);
+ * // { 'A': 2, 'B': 3, 'C': 1 }
+ */
+export function calculateMultiplicity(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating edge multiplicity...');
+  }
+
+  try {
+    const multiplicity = {};
+    for (const node of graph.nodes()) {
+      let edges = 0;
+      let connections = 0;
+      for (const nbr of graph.successors(node)) {
+        edges += graph.multiplicity(node, nbr);
+        connections++;
+      }
+      if (graph.isDirected()) {
+        for (const nbr of graph.predecessors(node)) {
+          edges += graph.multiplicity(nbr, node);
+          connections++;
+        }
+      }
+      multiplicity[node] = connections === 0 ? 0 : edges / connections;
+    }
+    return multiplicity;
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating multiplicity:', error.message);
+    }
+    throw new Error(`Multiplicity calculation failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * PageRank calculator
+ * @module features/pagerank
+ */
+
+import { getEdgeWeight } from '../graph/builder.js';
+
+/**
+ * Calculate PageRank for all nodes in a graph
+ *
+ * Uses power iteration with uniform teleportation. With a weight attribute,
+ * rank flows to neighbors in proportion to edge weight. Rank held by nodes
+ * without (positively weighted) edges is redistributed uniformly, so scores
+ * always sum to 1.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {number} [options.alpha=0.85] - Damping factor (probability of following an edge)
+ * @param {number} [options.tolerance=1e-6] - Convergence tolerance (per node, L1 norm)
+ * @param {number} [options.maxIter=100] - Maximum iterations
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to PageRank mapping
+ * @throws {Error} If the power iteration does not converge within maxIter
+ *
+ * @example
+ * const pagerank = calculatePageRank(graph, { alpha: 0.85 });
+ * // { 'A': 0.259, 'B': 0.481, 'C': 0.259 }
+ */
+export function calculatePageRank(graph, options = {}) {
+  const {
+    alpha = 0.85,
+    tolerance = 1e-6,
+    maxIter = 100,
+    weight = null,
+    verbose = false
+  } = options;
+
+  if (verbose) {
+    console.log('Calculating PageRank...');
+  }
+
+  try {
+    const nodes = graph.nodes();
+    const n = nodes.length;
+    const neighbors = new Map(nodes.map(node => [
+      node,
+      graph.neighbors(node).map(nbr => [nbr, getEdgeWeight(graph, node, nbr, weight)])
+    ]));
+    const strength = new Map(nodes.map(node => [
+      node,
+      neighbors.get(node).reduce((sum, [, w]) => sum + w, 0)
+    ]));
+
+    let rank = new Map(nodes.map(node => [node, 1 / n]));
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      const next = new Map(nodes.map(node => [node, 0]));
+      let danglingSum = 0;
+
+      for (const node of nodes) {
+        const total = strength.get(node);
+        if (total === 0) {
+          danglingSum += rank.get(node);
+          continue;
+        }
+
+        const share = (alpha * rank.get(node)) / total;
+        for (const [neighbor, w] of neighbors.get(node)) {
+          next.set(neighbor, next.get(neighbor) + share * w);
+        }
+      }
+
+      const base = (1 - alpha) / n + (alpha * danglingSum) / n;
+      let error = 0;
+      for (const node of nodes) {
+        const value = next.get(node) + base;
+        error += Math.abs(value - rank.get(node));
+        next.set(node, value);
+      }
+
+      rank = next;
+
+      if (error < n * tolerance) {
+        return Object.fromEntries(rank);
+      }
+    }
+
+    throw new Error(`power iteration failed to converge within ${maxIter} iterations`);
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating PageRank:', error.message);
+    }
+    throw new Error(`PageRank calculation failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Strength (weighted degree) calculator
+ * @module features/strength
+ */
+
+/**
+ * Calculate strength (sum of incident edge weights) for all nodes in a graph
+ *
+ * On an unweighted graph every edge counts as 1, so strength equals degree.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {Object} Node ID to strength mapping
+ *
+ * @example
+ * const strength = calculateStrength(graph, { weight: 'weight' });
+ * // { 'A': 3.5, 'B': 5, 'C': 1.5 }
+ */
+export function calculateStrength(graph, options = {}) {
+  const { weight = null, verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating strength (weighted degree)...');
+  }
+
+  try {
+    const strength = {};
+    for (const node of graph.nodes()) {
+      strength[node] = graph.degree(node, weight);
+    }
+    return strength;
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating strength:', error.message);
+    }
+    throw new Error(`Strength calculation failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Graph-level summary statistics
+ * @module features/summary
+ */
+
+import { getGraphMetadata } from '../graph/builder.js';
+import { shortestPathLengths } from '../graph/paths.js';
+import { transitivity } from '../graph/triangles.js';
+import { calculateClustering } from './clustering.js';
+import { calculateStrongComponents, calculateWeakComponents } from './components.js';
+import { calculateCommunities } from './modularity.js';
+import { collapseEdges } from '../graph/preprocess.js';
+
+/**
+ * @typedef {Object} GraphSummary
+ * @property {number} nodeCount - Number of nodes
+ * @property {number} edgeCount - Number of edges (parallel edges included on multigraphs)
+ * @property {boolean} directed - Whether the graph is directed
+ * @property {number} density - Fraction of possible edges present (node pairs on multigraphs)
+ * @property {number} averageDegree - Mean number of edges per node (parallel edges included)
+ * @property {number|null} degreeAssortativity - Degree correlation across edges (null if undefined)
+ * @property {number} averageClustering - Mean clustering coefficient
+ * @property {number|null} transitivity - Global transitivity (null on directed graphs)
+ * @property {number} componentCount - Number of weakly connected components (connected
+ *   components on undirected graphs)
+ * @property {number} strongComponentCount - Number of strongly connected components (equal
+ *   to componentCount on undirected graphs)
+ * @property {number} largestComponentSize - Nodes in the component used for path statistics:
+ *   the largest strongly connected component on directed graphs
+ * @property {number} diameter - Longest shortest path in the largest component (hops)
+ * @property {number} radius - Smallest eccentricity in the largest component (hops)
+ * @property {number} averageShortestPath - Mean shortest path length in the largest component (hops)
+ * @property {number|null} modularity - Louvain modularity score Q (null on directed graphs)
+ */
+
+/**
+ * Calculate graph-level summary statistics
+ *
+ * Path statistics (diameter, radius, average shortest path) are counted in hops
+ * on the largest connected component — the largest strongly connected
+ * component on directed graphs — since they are infinite on disconnected graphs.
+ * On multigraphs, edge counts and degrees include parallel edges; everything
+ * else sees one edge per node pair.
+ *
+ * @param {Object} graph - Graph instance (directed or undirected)
+ * @param {Array<string|number>} nodes - List of node IDs
+ * @param {Array<Object>} network - Network edges
+ * @param {Object} [options] - Calculation options
+ * @param {string|null} [options.weight=null] - Edge attribute used as weight (null = unweighted)
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {GraphSummary} Graph summary
+ *
+ * @example
+ * const summary = calculateGraphSummary(graph, nodes, network);
+ * console.log(summary.density, summary.diameter, summary.modularity);
+ */
+export function calculateGraphSummary(graph, nodes, network, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating graph summary...');
+  }
+
+  try {
+    const directed = graph.isDirected();
+    const { nodeCount, edgeCount } = getGraphMetadata(graph);
+
+    const clustering = Object.values(calculateClustering(graph, options));
+    const weakComponents = calculateWeakComponents(graph);
+    const pathComponents = directed ? calculateStrongComponents(graph) : weakComponents;
+    const largestComponent = largestComponentNodes(graph, pathComponents);
+    const paths = pathStatistics(graph, largestComponent);
+
+    const modularity = directed
+      ? null
+      : calculateCommunities(nodes, collapseEdges(network, options), options).modularity;
+
+    return {
+      nodeCount,
+      edgeCount,
+      directed,
+      density: density(nodeCount, graph.edges().length, directed),
+      averageDegree: nodeCount === 0 ? 0 : ((directed ? 1 : 2) * edgeCount) / nodeCount,
+      degreeAssortativity: degreeAssortativity(graph),
+      averageClustering: clustering.length === 0
+        ? 0
+        : clustering.reduce((sum, value) => sum + value, 0) / clustering.length,
+      transitivity: directed ? null : transitivity(graph),
+      componentCount: countComponents(weakComponents),
+      strongComponentCount: countComponents(pathComponents),
+      largestComponentSize: largestComponent.length,
+      ...paths,
+      modularity,
+    };
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating graph summary:', error.message);
+    }
+    throw new Error(`Graph summary calculation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Number of distinct components in a node-to-component mapping
+ */
+function countComponents(components) {
+  return new Set(Object.values(components)).size;
+}
+
+/**
+ * Nodes of the largest component in a node-to-component mapping
+ * (the lowest-numbered one among equally large components)
+ */
+function largestComponentNodes(graph, components) {
+  const members = new Map();
+  for (const node of graph.nodes()) {
+    const component = components[node];
+    if (!members.has(component)) members.set(component, []);
+    members.get(component).push(node);
+  }
+
+  let largest = [];
+  for (const component of [...members.keys()].sort((a, b) => a - b)) {
+    if (members.get(component).length > largest.length) largest = members.get(component);
+  }
+  return largest;
+}
+
+/**
+ * Fraction of possible edges present (0 for graphs with fewer than two nodes)
+ */
+function density(nodeCount, edgeCount, directed) {
+  if (edgeCount === 0 || nodeCount <= 1) return 0;
+  const possible = nodeCount * (nodeCount - 1);
+  return (directed ? 1 : 2) * edgeCount / possible;
+}
+
+/**
+ * Pearson correlation of degrees at either end of each edge
+ * (out-degree of source vs. in-degree of target on directed graphs);
+ * parallel edges each count
+ */
+function degreeAssortativity(graph) {
+  const xs = [];
+  const ys = [];
+
+  for (const [u, v] of graph.edges()) {
+    for (let copy = graph.multiplicity(u, v); copy > 0; copy--) {
+      if (graph.isDirected()) {
+        xs.push(graph.outDegree(u));
+        ys.push(graph.inDegree(v));
+      } else {
+        xs.push(graph.degree(u), graph.degree(v));
+        ys.push(graph.degree(v), graph.degree(u));
+      }
+    }
+  }
+
+  const n = xs.length;
+  if (n === 0) return null;
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+
+  // Undefined when every edge joins nodes of the same degree (e.g. regular graphs)
+  if (varX === 0 || varY === 0) return null;
+  return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Diameter, radius and average shortest path (in hops) within a connected node set
+ */
+function pathStatistics(graph, component) {
+  if (component.length <= 1) {
+    return { diameter: 0, radius: 0, averageShortestPath: 0 };
+  }
+
+  const members = new Set(component);
+  let diameter = 0;
+  let radius = Infinity;
+  let total = 0;
+
+  for (const node of component) {
+    let eccentricity = 0;
+    for (const [target, distance] of shortestPathLengths(graph, node)) {
+      // Directed paths can leave a strong component; those targets don't count
+      if (!members.has(target)) continue;
+      total += distance;
+      eccentricity = Math.max(eccentricity, distance);
+    }
+    diameter = Math.max(diameter, eccentricity);
+    radius = Math.min(radius, eccentricity);
+  }
+
+  return {
+    diameter,
+    radius,
+    averageShortestPath: total / (component.length * (component.length - 1)),
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Transitivity / triangle count calculator
+ * @module features/transitivity
+ */
+
+import { countTriangles, transitivity as graphTransitivity } from '../graph/triangles.js';
+
+/**
+ * Calculate global transitivity and per-node triangle counts
+ *
+ * Transitivity is the fraction of all possible triangles present in the graph
+ * (3 × triangles / connected triples). It is a graph-level value, so it is
+ * repeated on every node next to that node's own triangle count.
+ *
+ * @param {Object} graph - Graph instance
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.verbose=false] - Enable logging
+ * @returns {{transitivity: Object, triangles: Object}} Column name to node-value mapping
+ *
+ * @example
+ * const { transitivity, triangles } = calculateTransitivity(graph);
+ * // transitivity: { 'A': 0.6, 'B': 0.6, 'C': 0.6, 'D': 0.6 }
+ * // triangles:    { 'A': 1, 'B': 1, 'C': 1, 'D': 0 }
+ */
+export function calculateTransitivity(graph, options = {}) {
+  const { verbose = false } = options;
+
+  if (verbose) {
+    console.log('Calculating transitivity...');
+  }
+
+  try {
+    const counts = countTriangles(graph);
+    const ratio = graphTransitivity(graph, counts);
+
+    const transitivity = {};
+    const triangles = {};
+    for (const [node, count] of counts) {
+      transitivity[node] = ratio;
+      triangles[node] = count;
+    }
+
+    return { transitivity, triangles };
+  } catch (error) {
+    if (verbose) {
+      console.warn('Error calculating transitivity:', error.message);
+    }
+    throw new Error(`Transitivity calculation failed: ${error.message}`);
+  }
+}
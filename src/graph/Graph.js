@@ -0,0 +1,392 @@
+/**
+ * Adjacency-list graph
+ * @module graph/Graph
+ *
+ * Nodes map to their neighbors, and each neighbor to the shared data object of
+ * the edge between them. Undirected graphs keep a single adjacency; directed
+ * graphs keep successors and predecessors. Node IDs are used as-is (Map keys),
+ * so numeric and string IDs both work and iterate in insertion order.
+ *
+ * A multigraph also keeps the data of every parallel edge, keyed by the shared
+ * data object, which then describes the node pair as a whole.
+ */
+
+/**
+ * Simple graph: at most one edge per node pair, self-loops allowed
+ *
+ * Adding an edge that already exists merges the new data into the existing
+ * edge data, so the last weight given for a pair wins.
+ *
+ * With `multigraph: true`, adding an existing edge adds a parallel edge
+ * instead. Degrees count (and sum the weights of) every parallel edge, while
+ * neighbors, edges and edge data see one merged edge per node pair, so
+ * path-based metrics are unchanged.
+ *
+ * @example
+ * const graph = new Graph();
+ * graph.addEdge('A', 'B', { weight: 2 });
+ * graph.addEdge('B', 'C');
+ * graph.neighbors('B'); // ['A', 'C']
+ * graph.degree('B');    // 2
+ *
+ * const multigraph = new Graph({ multigraph: true });
+ * multigraph.addEdge('A', 'B');
+ * multigraph.addEdge('A', 'B');
+ * multigraph.degree('A');          // 2
+ * multigraph.multiplicity('A', 'B'); // 2
+ */
+export class Graph {
+  /**
+   * @param {Object} [options] - Graph options
+   * @param {boolean} [options.directed=false] - Whether edges are directed (source -> target)
+   * @param {boolean} [options.multigraph=false] - Keep parallel edges
+   * @param {Function} [options.merge] - `(existing, data) => void` merging a parallel edge's data
+   *   into the pair's edge data (default: Object.assign, the last value wins)
+   */
+  constructor(options = {}) {
+    const {
+      directed = false,
+      multigraph = false,
+      merge = (existing, data) => Object.assign(existing, data),
+    } = options;
+
+    /** @type {boolean} */
+    this.directed = directed;
+    /** @type {boolean} */
+    this.multigraph = multigraph;
+    /** @type {WeakMap<Object, Array<Object>>|null} Pair edge data to its parallel edges' data (multigraphs) */
+    this.parallel = multigraph ? new WeakMap() : null;
+    /** @private */
+    this.merge = merge;
+    /** @type {Map<string|number, Map<string|number, Object>>} Node to successors and edge data */
+    this.succ = new Map();
+    /** @type {Map<string|number, Map<string|number, Object>>} Node to predecessors (same map when undirected) */
+    this.pred = directed ? new Map() : this.succ;
+  }
+
+  /**
+   * @returns {boolean} Whether the graph is directed
+   */
+  isDirected() {
+    return this.directed;
+  }
+
+  /**
+   * @returns {boolean} Whether the graph keeps parallel edges
+   */
+  isMultigraph() {
+    return this.multigraph;
+  }
+
+  /**
+   * Add a node (no-op if it exists)
+   *
+   * @param {string|number} node - Node ID
+   */
+  addNode(node) {
+    if (this.succ.has(node)) return;
+    this.succ.set(node, new Map());
+    if (this.directed) {
+      this.pred.set(node, new Map());
+    }
+  }
+
+  /**
+   * Add several nodes
+   *
+   * @param {Iterable<string|number>} nodes - Node IDs
+   */
+  addNodesFrom(nodes) {
+    for (const node of nodes) {
+      this.addNode(node);
+    }
+  }
+
+  /**
+   * Add an edge, creating missing nodes; data is merged into an existing edge,
+   * which gains a parallel edge on multigraphs
+   *
+   * @param {string|number} u - Source node ID
+   * @param {string|number} v - Target node ID
+   * @param {Object} [data] - Edge attributes
+   */
+  addEdge(u, v, data = {}) {
+    this.addNode(u);
+    this.addNode(v);
+
+    const existing = this.succ.get(u).get(v);
+    if (existing) {
+      this.parallel?.get(existing).push({ ...data });
+      this.merge(existing, data);
+      return;
+    }
+
+    const edgeData = { ...data };
+    this.succ.get(u).set(v, edgeData);
+    this.pred.get(v).set(u, edgeData);
+    this.parallel?.set(edgeData, [{ ...data }]);
+  }
+
+  /**
+   * Add several edges
+   *
+   * @param {Iterable<Array>} edges - [u, v] or [u, v, data] tuples
+   */
+  addEdgesFrom(edges) {
+    for (const [u, v, data] of edges) {
+      this.addEdge(u, v, data);
+    }
+  }
+
+  /**
+   * Remove an edge; on multigraphs, the last parallel edge added between u and v
+   *
+   * @param {string|number} u - Source node ID
+   * @param {string|number} v - Target node ID
+   * @throws {Error} If the edge is not in the graph
+   */
+  removeEdge(u, v) {
+    if (!this.hasEdge(u, v)) {
+      throw new Error(`Edge ${u}-${v} is not in the graph`);
+    }
+
+    const edgeData = this.succ.get(u).get(v);
+    const parallel = this.parallel?.get(edgeData);
+    if (parallel && parallel.length > 1) {
+      // Merge the remaining parallel edges again, into the same shared object
+      parallel.pop();
+      for (const key of Object.keys(edgeData)) {
+        delete edgeData[key];
+      }
+      Object.assign(edgeData, parallel[0]);
+      for (const data of parallel.slice(1)) {
+        this.merge(edgeData, data);
+      }
+      return;
+    }
+
+    this.succ.get(u).delete(v);
+    this.pred.get(v).delete(u);
+  }
+
+  /**
+   * Remove a node and its edges
+   *
+   * @param {string|number} node - Node ID
+   * @throws {Error} If the node is not in the graph
+   */
+  removeNode(node) {
+    if (!this.hasNode(node)) {
+      throw new Error(`Node ${node} is not in the graph`);
+    }
+    for (const nbr of this.succ.get(node).keys()) {
+      this.pred.get(nbr).delete(node);
+    }
+    for (const nbr of this.pred.get(node).keys()) {
+      this.succ.get(nbr).delete(node);
+    }
+    this.succ.delete(node);
+    this.pred.delete(node);
+  }
+
+  /**
+   * @param {string|number} node - Node ID
+   * @returns {boolean} Whether the node is in the graph
+   */
+  hasNode(node) {
+    return this.succ.has(node);
+  }
+
+  /**
+   * @param {string|number} u - Source node ID
+   * @param {string|number} v - Target node ID
+   * @returns {boolean} Whether the edge u-v (u -> v when directed) is in the graph
+   */
+  hasEdge(u, v) {
+    return this.succ.get(u)?.has(v) ?? false;
+  }
+
+  /**
+   * @returns {Array<string|number>} Node IDs, in insertion order
+   */
+  nodes() {
+    return [...this.succ.keys()];
+  }
+
+  /**
+   * @returns {number} Number of nodes
+   */
+  numberOfNodes() {
+    return this.succ.size;
+  }
+
+  /**
+   * @param {string|number} u - Source node ID
+   * @param {string|number} v - Target node ID
+   * @returns {number} Number of parallel edges u-v (u -> v when directed): 0 or 1 on simple graphs
+   */
+  multiplicity(u, v) {
+    const edgeData = this.getEdgeData(u, v);
+    if (!edgeData) return 0;
+    return this.parallel ? this.parallel.get(edgeData).length : 1;
+  }
+
+  /**
+   * @returns {number} Number of edges (self-loops and parallel edges included)
+   */
+  numberOfEdges() {
+    let count = 0;
+    let selfLoops = 0;
+    for (const [node, nbrs] of this.succ) {
+      for (const [nbr, edgeData] of nbrs) {
+        const copies = this.parallel ? this.parallel.get(edgeData).length : 1;
+        count += copies;
+        if (nbr === node) selfLoops += copies;
+      }
+    }
+    return this.directed ? count : (count + selfLoops) / 2;
+  }
+
+  /**
+   * List edges; undirected edges are listed once, and parallel edges once per
+   * node pair with their merged data
+   *
+   * @param {boolean} [data=false] - Include each edge's data object
+   * @returns {Array<Array>} [u, v] or [u, v, data] tuples
+   */
+  edges(data = false) {
+    const edges = [];
+    const seen = new Set();
+
+    for (const [u, nbrs] of this.succ) {
+      for (const [v, edgeData] of nbrs) {
+        if (seen.has(v)) continue;
+        edges.push(data ? [u, v, edgeData] : [u, v]);
+      }
+      if (!this.directed) seen.add(u);
+    }
+
+    return edges;
+  }
+
+  /**
+   * Get the data object of an edge
+   *
+   * @param {string|number} u - Source node ID
+   * @param {string|number} v - Target node ID
+   * @returns {Object|undefined} Edge attributes, undefined if the edge is not in the graph
+   */
+  getEdgeData(u, v) {
+    return this.succ.get(u)?.get(v);
+  }
+
+  /**
+   * Neighbors of a node (successors when directed)
+   *
+   * @param {string|number} node - Node ID
+   * @returns {Array<string|number>} Neighbor node IDs
+   * @throws {Error} If the node is not in the graph
+   */
+  neighbors(node) {
+    return [...this.adjacency(this.succ, node).keys()];
+  }
+
+  /**
+   * @param {string|number} node - Node ID
+   * @returns {Array<string|number>} Nodes this node has edges to
+   */
+  successors(node) {
+    return this.neighbors(node);
+  }
+
+  /**
+   * @param {string|number} node - Node ID
+   * @returns {Array<string|number>} Nodes with edges to this node
+   */
+  predecessors(node) {
+    return [...this.adjacency(this.pred, node).keys()];
+  }
+
+  /**
+   * Degree of a node: in + out degree when directed, and a self-loop counts
+   * twice on undirected graphs (it touches the node at both ends). Parallel
+   * edges each count.
+   *
+   * @param {string|number} node - Node ID
+   * @param {string|null} [weight=null] - Edge attribute to sum instead of counting edges
+   * @returns {number} (Weighted) degree
+   */
+  degree(node, weight = null) {
+    if (this.directed) {
+      return this.inDegree(node, weight) + this.outDegree(node, weight);
+    }
+    const nbrs = this.adjacency(this.succ, node);
+    const degree = this.sumWeights(nbrs, weight);
+    return nbrs.has(node) ? degree + this.pairWeight(nbrs.get(node), weight) : degree;
+  }
+
+  /**
+   * @param {string|number} node - Node ID
+   * @param {string|null} [weight=null] - Edge attribute to sum instead of counting edges
+   * @returns {number} (Weighted) number of edges into the node
+   */
+  inDegree(node, weight = null) {
+    return this.sumWeights(this.adjacency(this.pred, node), weight);
+  }
+
+  /**
+   * @param {string|number} node - Node ID
+   * @param {string|null} [weight=null] - Edge attribute to sum instead of counting edges
+   * @returns {number} (Weighted) number of edges out of the node
+   */
+  outDegree(node, weight = null) {
+    return this.sumWeights(this.adjacency(this.succ, node), weight);
+  }
+
+  /**
+   * Sum of the weights of an adjacency map's edges, parallel edges included
+   * @private
+   */
+  sumWeights(nbrs, weight) {
+    if (weight === null && !this.parallel) return nbrs.size;
+
+    let sum = 0;
+    for (const edgeData of nbrs.values()) {
+      sum += this.pairWeight(edgeData, weight);
+    }
+    return sum;
+  }
+
+  /**
+   * Weight of a node pair's edge: of all its parallel edges on multigraphs
+   * @private
+   */
+  pairWeight(edgeData, weight) {
+    if (!this.parallel) return edgeWeight(edgeData, weight);
+
+    let sum = 0;
+    for (const data of this.parallel.get(edgeData)) {
+      sum += edgeWeight(data, weight);
+    }
+    return sum;
+  }
+
+  /**
+   * Look up a node's adjacency map
+   * @private
+   */
+  adjacency(map, node) {
+    const nbrs = map.get(node);
+    if (!nbrs) {
+      throw new Error(`Node ${node} is not in the graph`);
+    }
+    return nbrs;
+  }
+}
+
+/**
+ * Weight of an edge data object (1 when unweighted or the attribute is missing)
+ */
+function edgeWeight(data, weight) {
+  return weight === null ? 1 : data[weight] ?? 1;
+}
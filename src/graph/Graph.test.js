@@ -0,0 +1,114 @@
+/**
+ * Tests for the adjacency-list graph
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Graph } from './Graph.js';
+
+describe('Graph', () => {
+  it('should list nodes, neighbors and undirected edges once', () => {
+    const graph = new Graph();
+    graph.addNodesFrom(['A', 'B', 'C', 'D']);
+    graph.addEdgesFrom([['A', 'B'], ['B', 'C'], ['C', 'C']]);
+
+    expect(graph.isDirected()).toBe(false);
+    expect(graph.nodes()).toEqual(['A', 'B', 'C', 'D']);
+    expect(graph.neighbors('B')).toEqual(['A', 'C']);
+    expect(graph.hasEdge('C', 'B')).toBe(true);
+    expect(graph.edges()).toEqual([['A', 'B'], ['B', 'C'], ['C', 'C']]);
+    expect(graph.numberOfEdges()).toBe(3);
+  });
+
+  it('should count self-loops twice in undirected degree', () => {
+    const graph = new Graph();
+    graph.addEdgesFrom([['A', 'B', { weight: 2 }], ['A', 'A', { weight: 0.5 }], ['A', 'C']]);
+
+    expect(graph.degree('A')).toBe(4);
+    expect(graph.degree('A', 'weight')).toBe(4);
+    expect(graph.degree('B', 'weight')).toBe(2);
+  });
+
+  it('should merge data when an edge is added again', () => {
+    const graph = new Graph();
+    graph.addEdge('A', 'B', { weight: 2 });
+    graph.addEdge('B', 'A');
+    expect(graph.getEdgeData('A', 'B')).toEqual({ weight: 2 });
+
+    graph.addEdge('B', 'A', { weight: 5 });
+    expect(graph.getEdgeData('A', 'B')).toEqual({ weight: 5 });
+    expect(graph.edges(true)).toEqual([['A', 'B', { weight: 5 }]]);
+  });
+
+  it('should keep successors and predecessors apart when directed', () => {
+    const graph = new Graph({ directed: true });
+    graph.addEdgesFrom([['A', 'B'], ['C', 'B'], ['B', 'A'], ['B', 'B']]);
+
+    expect(graph.successors('B')).toEqual(['A', 'B']);
+    expect(graph.predecessors('B')).toEqual(['A', 'C', 'B']);
+    expect(graph.hasEdge('B', 'C')).toBe(false);
+    expect(graph.inDegree('B')).toBe(3);
+    expect(graph.outDegree('B')).toBe(2);
+    expect(graph.degree('B')).toBe(5);
+    expect(graph.edges()).toHaveLength(4);
+  });
+
+  it('should remove edges and nodes from both directions', () => {
+    const graph = new Graph({ directed: true });
+    graph.addEdgesFrom([['A', 'B'], ['B', 'C'], ['C', 'A']]);
+
+    graph.removeEdge('A', 'B');
+    expect(graph.predecessors('B')).toEqual([]);
+
+    graph.removeNode('C');
+    expect(graph.nodes()).toEqual(['A', 'B']);
+    expect(graph.successors('B')).toEqual([]);
+    expect(graph.predecessors('A')).toEqual([]);
+
+    expect(() => graph.removeEdge('A', 'B')).toThrow('not in the graph');
+    expect(() => graph.neighbors('C')).toThrow('not in the graph');
+  });
+
+  it('should keep numeric and string IDs distinct', () => {
+    const graph = new Graph();
+    graph.addEdgesFrom([[1, 2], ['1', 2]]);
+
+    expect(graph.nodes()).toEqual([1, 2, '1']);
+    expect(graph.neighbors(2)).toEqual([1, '1']);
+  });
+
+  it('should count parallel edges in multigraph degrees only', () => {
+    const graph = new Graph({ multigraph: true });
+    graph.addEdgesFrom([['A', 'B', { weight: 2 }], ['B', 'A'], ['A', 'A', { weight: 3 }], ['A', 'A']]);
+
+    expect(graph.isMultigraph()).toBe(true);
+    expect(graph.neighbors('A')).toEqual(['B', 'A']);
+    expect(graph.edges()).toEqual([['A', 'B'], ['A', 'A']]);
+    expect(graph.multiplicity('B', 'A')).toBe(2);
+    expect(graph.multiplicity('B', 'C')).toBe(0);
+    expect(graph.numberOfEdges()).toBe(4);
+    expect(graph.degree('A')).toBe(6);
+    expect(graph.degree('A', 'weight')).toBe(11);
+    expect(graph.degree('B', 'weight')).toBe(3);
+  });
+
+  it('should merge parallel edge data and remove parallel edges one by one', () => {
+    const graph = new Graph({
+      directed: true,
+      multigraph: true,
+      merge: (existing, data) => { existing.weight = Math.max(existing.weight, data.weight); }
+    });
+    graph.addEdgesFrom([['A', 'B', { weight: 2 }], ['A', 'B', { weight: 5 }], ['B', 'A', { weight: 1 }]]);
+
+    expect(graph.getEdgeData('A', 'B')).toEqual({ weight: 5 });
+    expect(graph.outDegree('A')).toBe(2);
+    expect(graph.inDegree('B', 'weight')).toBe(7);
+
+    graph.removeEdge('A', 'B');
+    expect(graph.getEdgeData('A', 'B')).toEqual({ weight: 2 });
+    expect(graph.multiplicity('A', 'B')).toBe(1);
+
+    graph.removeEdge('A', 'B');
+    expect(graph.hasEdge('A', 'B')).toBe(false);
+    expect(graph.numberOfEdges()).toBe(1);
+  });
+});
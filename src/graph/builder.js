@@ -3,14 +3,23 @@
  * @module graph/builder
  */
 
-import jsnetworkx from 'jsnetworkx';
+import { Graph } from './Graph.js';
 import { getAllUniqueNodes, edgesToTuples } from './utils.js';
+import { resolvePolicies, createEdgeMerger } from './preprocess.js';
 
 /**
- * Builds a jsnetworkx Graph from edge list
+ * Builds a graph from an edge list
  *
  * @param {Array<Object>} network - Array of edge objects
- * @returns {Object} jsnetworkx Graph instance
+ * @param {Object} [options] - Build options
+ * @param {string|null} [options.weight=null] - Edge attribute stored on graph edges as weight
+ * @param {boolean} [options.directed=false] - Build a directed graph (source -> target)
+ * @param {boolean} [options.multigraph=false] - Keep repeated edges as parallel edges
+ * @param {string} [options.multiEdges='merge-sum'] - How a multigraph merges parallel edges
+ *   into the edge other metrics see: 'merge-sum', 'merge-max' or 'first'
+ * @param {Array<string|number>} [options.nodes] - Every node ID, isolated nodes included, in
+ *   insertion order (default: the nodes of the edges)
+ * @returns {Graph} Graph instance
  *
  * @example
  * const edges = [
@@ -20,21 +29,23 @@ import { getAllUniqueNodes, edgesToTuples } from './utils.js';
  * const graph = buildGraph(edges);
  * console.log(graph.nodes().length); // 3
  */
-export function buildGraph(network) {
-  const nodes = getAllUniqueNodes(network);
-  const edges = edgesToTuples(network);
+export function buildGraph(network, options = {}) {
+  const { weight = null, directed = false, multigraph = false, nodes = getAllUniqueNodes(network) } = options;
+  const edges = edgesToTuples(network, weight);
 
-  const G = new jsnetworkx.Graph();
-  G.addNodesFrom(nodes);
-  G.addEdgesFrom(edges);
+  const graph = multigraph
+    ? new Graph({ directed, multigraph, merge: createEdgeMerger(weight, resolvePolicies(options).multiEdges) })
+    : new Graph({ directed });
+  graph.addNodesFrom(nodes);
+  graph.addEdgesFrom(edges);
 
-  return G;
+  return graph;
 }
 
 /**
  * Gets graph metadata
  *
- * @param {Object} graph - jsnetworkx Graph instance
+ * @param {Graph} graph - Graph instance
  * @returns {Object} Graph metadata
  *
  * @example
@@ -45,6 +56,27 @@ export function buildGraph(network) {
 export function getGraphMetadata(graph) {
   return {
     nodeCount: graph.nodes().length,
-    edgeCount: graph.edges().length,
+    edgeCount: graph.numberOfEdges(),
   };
 }
+
+/**
+ * Gets the weight of an edge
+ *
+ * @param {Graph} graph - Graph instance
+ * @param {string|number} u - Source node ID
+ * @param {string|number} v - Target node ID
+ * @param {string|null} weight - Edge attribute holding the weight (null = unweighted)
+ * @returns {number} Edge weight, 1 when unweighted or the attribute is missing
+ *
+ * @example
+ * getEdgeWeight(graph, 'A', 'B', 'weight'); // 2.5
+ * getEdgeWeight(graph, 'A', 'B', null); // 1
+ */
+export function getEdgeWeight(graph, u, v, weight) {
+  if (weight === null) {
+    return 1;
+  }
+  const value = graph.getEdgeData(u, v)[weight];
+  return value === undefined ? 1 : value;
+}
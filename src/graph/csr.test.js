@@ -0,0 +1,92 @@
+/**
+ * Tests for the CSR graph encoding
+ */
+
+import { describe, it, expect } from 'vitest';
+import { encodeGraph, decodeGraph, isEncodedGraph } from './csr.js';
+
+describe('encodeGraph', () => {
+  const network = [
+    { source: 'B', target: 'C', weight: 2 },
+    { source: 'A', target: 'B' },
+    { source: 'B', target: 'A', weight: 0.5 },
+    { source: 'C', target: 'C', weight: 3 },
+    { source: 'A', target: 'B', weight: 4 }
+  ];
+
+  it('should store edges in CSR form', () => {
+    const encoded = encodeGraph(network, { weight: 'weight' });
+
+    // Nodes in getAllUniqueNodes order: B, A, C
+    expect(encoded.nodeCount).toBe(3);
+    expect(encoded.edgeCount).toBe(5);
+    expect([...encoded.offsets]).toEqual([0, 2, 4, 5]);
+    expect([...encoded.targets]).toEqual([2, 1, 0, 0, 2]);
+    expect([...encoded.weights]).toEqual([2, 0.5, NaN, 4, 3]);
+  });
+
+  it('should place arrays in shared memory', () => {
+    const encoded = encodeGraph(network);
+
+    for (const array of [encoded.ids, encoded.offsets, encoded.targets, encoded.edgeOrder]) {
+      expect(array.buffer).toBeInstanceOf(SharedArrayBuffer);
+    }
+    expect(encoded.weights).toBeNull();
+  });
+
+  it('should give each encoding its own ID', () => {
+    expect(encodeGraph(network).id).not.toBe(encodeGraph(network).id);
+  });
+});
+
+describe('decodeGraph', () => {
+  it('should restore nodes and edges in input order', () => {
+    const network = [
+      { source: 'B', target: 'C', weight: 2 },
+      { source: 'A', target: 'B' },
+      { source: 'C', target: 'C', weight: 3 },
+      { source: 'A', target: 'B', weight: 4 }
+    ];
+
+    expect(decodeGraph(encodeGraph(network, { weight: 'weight' }))).toEqual({
+      nodes: ['B', 'A', 'C'],
+      network
+    });
+  });
+
+  it('should keep numeric node IDs as numbers', () => {
+    const { nodes, network } = decodeGraph(encodeGraph([
+      { source: 1, target: 2 },
+      { source: 2, target: 'x' }
+    ]));
+
+    expect(nodes).toEqual([1, 2, 'x']);
+    expect(network).toEqual([
+      { source: 1, target: 2 },
+      { source: 2, target: 'x' }
+    ]);
+  });
+
+  it('should drop weights when encoded unweighted', () => {
+    const { network } = decodeGraph(encodeGraph([{ source: 'A', target: 'B', weight: 2 }]));
+    expect(network).toEqual([{ source: 'A', target: 'B' }]);
+  });
+
+  it('should survive structured cloning', () => {
+    const network = [
+      { source: 'A', target: 'B', cost: 1.5 },
+      { source: 'B', target: 'C', cost: 2 }
+    ];
+    const clone = structuredClone(encodeGraph(network, { weight: 'cost' }));
+
+    expect(decodeGraph(clone).network).toEqual(network);
+  });
+});
+
+describe('isEncodedGraph', () => {
+  it('should tell encoded graphs from edge arrays', () => {
+    expect(isEncodedGraph(encodeGraph([{ source: 'A', target: 'B' }]))).toBe(true);
+    expect(isEncodedGraph([{ source: 'A', target: 'B' }])).toBe(false);
+    expect(isEncodedGraph(null)).toBe(false);
+  });
+});
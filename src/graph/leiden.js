@@ -0,0 +1,391 @@
+/**
+ * Leiden community detection
+ * @module graph/leiden
+ *
+ * Traag, Waltman & van Eck (2019), "From Louvain to Leiden: guaranteeing
+ * well-connected communities". Each iteration runs a fast local-moving phase,
+ * refines every community into well-connected sub-communities, and aggregates
+ * the graph on the refined partition (seeded with the unrefined one).
+ */
+
+import { shuffle } from '../core/random.js';
+
+/**
+ * Randomness of the refinement merge step (theta in the paper)
+ * @type {number}
+ */
+const REFINEMENT_RANDOMNESS = 0.01;
+
+/**
+ * Run Leiden community detection, keeping the partition of every iteration
+ *
+ * Duplicate and reciprocal edges are collapsed into a single undirected edge
+ * (the last weight wins), as in the Graph the other features use.
+ * Every reported community is connected: any community left disconnected by
+ * the local-moving phase is split into its connected components, which never
+ * lowers modularity.
+ *
+ * @param {Array<string|number>} nodes - List of node IDs
+ * @param {Array<{source: string|number, target: string|number, weight: number}>} edges - Weighted edges
+ * @param {Object} [options] - Algorithm options
+ * @param {number} [options.resolution=1] - Resolution (gamma): > 1 gives more, smaller communities
+ * @param {Function} [options.random=Math.random] - Random number generator returning floats in [0, 1)
+ * @returns {{partitions: Array<Object>, modularities: Array<number>}} Node ID to community ID
+ *   mapping and modularity Q per iteration, finest first
+ *
+ * @example
+ * const { partitions, modularities } = leiden(nodes, edges, { random: createRandom(42) });
+ * partitions[partitions.length - 1]; // { A: 0, B: 0, C: 1, ... }
+ */
+export function leiden(nodes, edges, options = {}) {
+  const { resolution = 1, random = Math.random } = options;
+  const base = buildAdjacency(nodes, edges);
+
+  if (base.total === 0) {
+    const partition = {};
+    nodes.forEach((node, i) => { partition[node] = i; });
+    return { partitions: [partition], modularities: [0] };
+  }
+
+  const context = { resolution, random, total: base.total };
+  const partitions = [];
+  const modularities = [];
+
+  let graph = base;
+  let membership = Int32Array.from({ length: base.n }, (_, i) => i);
+  // Aggregated node each original node currently belongs to
+  const aggregate = Int32Array.from({ length: base.n }, (_, i) => i);
+
+  while (true) {
+    const moved = moveNodesFast(graph, membership, context);
+    const count = renumber(membership);
+
+    if (partitions.length === 0 || moved) {
+      const flat = splitDisconnected(base, Int32Array.from(aggregate, node => membership[node]));
+      partitions.push(toPartition(nodes, flat));
+      modularities.push(modularity(base, flat, resolution));
+    }
+
+    if (!moved || count === graph.n) break;
+
+    const refined = refinePartition(graph, membership, context);
+    const refinedCount = renumber(refined);
+    const nextMembership = new Int32Array(refinedCount);
+    for (let v = 0; v < graph.n; v++) {
+      nextMembership[refined[v]] = membership[v];
+    }
+    for (let i = 0; i < base.n; i++) {
+      aggregate[i] = refined[aggregate[i]];
+    }
+
+    graph = aggregateGraph(graph, refined, refinedCount);
+    membership = nextMembership;
+  }
+
+  return { partitions, modularities };
+}
+
+/**
+ * Builds an index-based undirected adjacency list with self-loop weights and degrees
+ */
+function buildAdjacency(nodes, edges) {
+  const n = nodes.length;
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const collapsed = new Map();
+
+  for (const { source, target, weight } of edges) {
+    const u = index.get(source);
+    const v = index.get(target);
+    const key = u < v ? `${u},${v}` : `${v},${u}`;
+    collapsed.set(key, [u, v, weight]);
+  }
+
+  const adjacency = Array.from({ length: n }, () => []);
+  const selfLoops = new Float64Array(n);
+  for (const [u, v, weight] of collapsed.values()) {
+    if (u === v) {
+      selfLoops[u] += weight;
+    } else {
+      adjacency[u].push([v, weight]);
+      adjacency[v].push([u, weight]);
+    }
+  }
+
+  return withDegrees(n, adjacency, selfLoops);
+}
+
+/**
+ * Completes a graph with node degrees (self-loops count twice) and their total
+ */
+function withDegrees(n, adjacency, selfLoops) {
+  const degrees = new Float64Array(n);
+  let total = 0;
+  for (let v = 0; v < n; v++) {
+    let degree = 2 * selfLoops[v];
+    for (const [, weight] of adjacency[v]) {
+      degree += weight;
+    }
+    degrees[v] = degree;
+    total += degree;
+  }
+  return { n, adjacency, selfLoops, degrees, total };
+}
+
+/**
+ * Local moving phase: visits nodes from a queue, moving each to the community
+ * with the largest modularity gain, and re-queues neighbors that end up outside
+ * the node's new community. Returns whether any node moved.
+ */
+function moveNodesFast(graph, membership, { resolution, random, total }) {
+  const { n, adjacency, degrees } = graph;
+  const communityDegree = new Float64Array(n);
+  const communitySize = new Int32Array(n);
+  for (let v = 0; v < n; v++) {
+    communityDegree[membership[v]] += degrees[v];
+    communitySize[membership[v]]++;
+  }
+
+  const empty = [];
+  for (let c = n - 1; c >= 0; c--) {
+    if (communitySize[c] === 0) empty.push(c);
+  }
+
+  const queue = shuffle(Array.from({ length: n }, (_, i) => i), random);
+  const queued = new Uint8Array(n).fill(1);
+  const linkWeight = new Float64Array(n);
+  let moved = false;
+
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    queued[v] = 0;
+
+    const current = membership[v];
+    const degree = degrees[v];
+    const touched = [];
+    for (const [u, weight] of adjacency[v]) {
+      const c = membership[u];
+      if (linkWeight[c] === 0) touched.push(c);
+      linkWeight[c] += weight;
+    }
+
+    communityDegree[current] -= degree;
+    communitySize[current]--;
+
+    let best = current;
+    let bestGain = linkWeight[current] - resolution * degree * communityDegree[current] / total;
+    for (const c of touched) {
+      const gain = linkWeight[c] - resolution * degree * communityDegree[c] / total;
+      if (gain > bestGain) {
+        best = c;
+        bestGain = gain;
+      }
+    }
+    if (bestGain < 0 && communitySize[current] > 0) {
+      best = empty.pop();
+    }
+
+    for (const c of touched) {
+      linkWeight[c] = 0;
+    }
+
+    communityDegree[best] += degree;
+    communitySize[best]++;
+
+    if (best !== current) {
+      membership[v] = best;
+      moved = true;
+      if (communitySize[current] === 0) empty.push(current);
+
+      for (const [u] of adjacency[v]) {
+        if (!queued[u] && membership[u] !== best) {
+          queued[u] = 1;
+          queue.push(u);
+        }
+      }
+    }
+  }
+
+  return moved;
+}
+
+/**
+ * Refinement phase: within each community, starts from singletons and merges
+ * well-connected nodes into well-connected sub-communities, choosing randomly
+ * among merges that do not lower modularity. Sub-communities are connected by
+ * construction.
+ */
+function refinePartition(graph, membership, { resolution, random, total }) {
+  const { n, adjacency, degrees } = graph;
+  const refined = Int32Array.from({ length: n }, (_, i) => i);
+  const refinedDegree = Float64Array.from(degrees);
+  const refinedSize = new Int32Array(n).fill(1);
+  // Weight from each sub-community to the rest of its community
+  const refinedExternal = new Float64Array(n);
+  const linkWeight = new Float64Array(n);
+
+  const communities = new Map();
+  for (let v = 0; v < n; v++) {
+    const c = membership[v];
+    if (!communities.has(c)) communities.set(c, { members: [], degree: 0 });
+    const community = communities.get(c);
+    community.members.push(v);
+    community.degree += degrees[v];
+  }
+
+  for (const [c, { members, degree: communityDegree }] of communities) {
+    const wellConnected = (weight, degree) =>
+      weight >= resolution * degree * (communityDegree - degree) / total;
+
+    for (const v of members) {
+      for (const [u, weight] of adjacency[v]) {
+        if (membership[u] === c) refinedExternal[v] += weight;
+      }
+    }
+
+    for (const v of shuffle(members, random)) {
+      if (refinedSize[refined[v]] > 1 || !wellConnected(refinedExternal[v], degrees[v])) continue;
+
+      const degree = degrees[v];
+      const own = refined[v];
+      const touched = [];
+      for (const [u, weight] of adjacency[v]) {
+        if (membership[u] !== c) continue;
+        const r = refined[u];
+        if (linkWeight[r] === 0) touched.push(r);
+        linkWeight[r] += weight;
+      }
+
+      const candidates = [[own, 0]];
+      for (const r of touched) {
+        if (r === own || !wellConnected(refinedExternal[r], refinedDegree[r])) continue;
+        const gain = linkWeight[r] - resolution * degree * refinedDegree[r] / total;
+        if (gain >= 0) candidates.push([r, gain]);
+      }
+
+      const target = chooseCandidate(candidates, random);
+      if (target !== own) {
+        refinedExternal[target] += refinedExternal[v] - 2 * linkWeight[target];
+        refinedDegree[target] += degree;
+        refinedDegree[own] = 0;
+        refinedSize[target]++;
+        refinedSize[own] = 0;
+        refined[v] = target;
+      }
+
+      for (const r of touched) {
+        linkWeight[r] = 0;
+      }
+    }
+  }
+
+  return refined;
+}
+
+/**
+ * Picks a candidate with probability proportional to exp(gain / theta)
+ */
+function chooseCandidate(candidates, random) {
+  if (candidates.length === 1) return candidates[0][0];
+
+  const maxGain = Math.max(...candidates.map(([, gain]) => gain));
+  const weights = candidates.map(([, gain]) => Math.exp((gain - maxGain) / REFINEMENT_RANDOMNESS));
+  let draw = random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    draw -= weights[i];
+    if (draw < 0) return candidates[i][0];
+  }
+  return candidates[candidates.length - 1][0];
+}
+
+/**
+ * Collapses each community of `partition` into a single node
+ */
+function aggregateGraph(graph, partition, count) {
+  const links = Array.from({ length: count }, () => new Map());
+  const selfLoops = new Float64Array(count);
+
+  for (let v = 0; v < graph.n; v++) {
+    const cv = partition[v];
+    selfLoops[cv] += graph.selfLoops[v];
+    for (const [u, weight] of graph.adjacency[v]) {
+      const cu = partition[u];
+      if (cu === cv) {
+        // Each internal edge is seen from both ends
+        selfLoops[cv] += weight / 2;
+      } else {
+        links[cv].set(cu, (links[cv].get(cu) || 0) + weight);
+      }
+    }
+  }
+
+  return withDegrees(count, links.map(map => [...map]), selfLoops);
+}
+
+/**
+ * Splits communities into connected components on the base graph
+ */
+function splitDisconnected(graph, membership) {
+  const split = new Int32Array(graph.n).fill(-1);
+  let next = 0;
+
+  for (let start = 0; start < graph.n; start++) {
+    if (split[start] !== -1) continue;
+    const queue = [start];
+    split[start] = next;
+    for (let head = 0; head < queue.length; head++) {
+      for (const [u] of graph.adjacency[queue[head]]) {
+        if (split[u] === -1 && membership[u] === membership[start]) {
+          split[u] = next;
+          queue.push(u);
+        }
+      }
+    }
+    next++;
+  }
+
+  return split;
+}
+
+/**
+ * Renumbers community IDs to 0..k-1 in order of first appearance; returns k
+ */
+function renumber(membership) {
+  const ids = new Map();
+  for (let v = 0; v < membership.length; v++) {
+    if (!ids.has(membership[v])) ids.set(membership[v], ids.size);
+    membership[v] = ids.get(membership[v]);
+  }
+  return ids.size;
+}
+
+/**
+ * Maps node IDs to community IDs
+ */
+function toPartition(nodes, membership) {
+  const partition = {};
+  nodes.forEach((node, i) => { partition[node] = membership[i]; });
+  return partition;
+}
+
+/**
+ * Modularity Q of a partition of the base graph
+ */
+function modularity(graph, membership, resolution) {
+  const internal = new Float64Array(graph.n);
+  const degree = new Float64Array(graph.n);
+
+  for (let v = 0; v < graph.n; v++) {
+    const c = membership[v];
+    degree[c] += graph.degrees[v];
+    internal[c] += 2 * graph.selfLoops[v];
+    for (const [u, weight] of graph.adjacency[v]) {
+      if (membership[u] === c) internal[c] += weight;
+    }
+  }
+
+  let q = 0;
+  for (let c = 0; c < graph.n; c++) {
+    q += internal[c] / graph.total - resolution * (degree[c] / graph.total) ** 2;
+  }
+  return q;
+}
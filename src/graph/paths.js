@@ -0,0 +1,172 @@
+/**
+ * Shortest path utilities shared by path-based metrics
+ * @module graph/paths
+ */
+
+import { getEdgeWeight } from './builder.js';
+
+/**
+ * Computes shortest path lengths from a source node
+ *
+ * Uses BFS for unweighted graphs and Dijkstra when a weight attribute is given
+ * (weights are treated as distances).
+ *
+ * @param {Object} graph - Graph instance
+ * @param {string|number} source - Source node ID
+ * @param {string|null} [weight=null] - Edge attribute holding the distance (null = unweighted)
+ * @returns {Map<string|number, number>} Reachable node ID to distance mapping (includes source at 0)
+ *
+ * @example
+ * // A - B - C
+ * shortestPathLengths(graph, 'A'); // Map { 'A' => 0, 'B' => 1, 'C' => 2 }
+ */
+export function shortestPathLengths(graph, source, weight = null) {
+  if (weight !== null) {
+    return dijkstraPathLengths(graph, source, weight);
+  }
+
+  const distances = new Map([[source, 0]]);
+  const queue = [source];
+
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    const distance = distances.get(node) + 1;
+
+    for (const neighbor of graph.neighbors(node)) {
+      if (!distances.has(neighbor)) {
+        distances.set(neighbor, distance);
+        queue.push(neighbor);
+      }
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Counts shortest paths from a source node (Brandes' single-source phase)
+ *
+ * Uses BFS for unweighted graphs and Dijkstra when a weight attribute is given.
+ * Nodes are returned in non-decreasing distance order, so walking `order`
+ * backwards visits every node after all nodes it precedes on shortest paths.
+ *
+ * @param {Object} graph - Graph instance (directed or undirected)
+ * @param {string|number} source - Source node ID
+ * @param {string|null} [weight=null] - Edge attribute holding the distance (null = unweighted)
+ * @returns {{order: Array<string|number>, predecessors: Map, sigma: Map}} Reachable nodes by
+ *   distance, their predecessors on shortest paths, and their number of shortest paths
+ *
+ * @example
+ * // A - B - D, A - C - D
+ * const { sigma, predecessors } = shortestPathCounts(graph, 'A');
+ * sigma.get('D');        // 2
+ * predecessors.get('D'); // ['B', 'C']
+ */
+export function shortestPathCounts(graph, source, weight = null) {
+  const order = [];
+  const predecessors = new Map([[source, []]]);
+  const sigma = new Map([[source, 1]]);
+  const distances = new Map([[source, 0]]);
+
+  if (weight === null) {
+    order.push(source);
+    for (let head = 0; head < order.length; head++) {
+      const node = order[head];
+      const distance = distances.get(node) + 1;
+
+      for (const neighbor of graph.neighbors(node)) {
+        if (!distances.has(neighbor)) {
+          distances.set(neighbor, distance);
+          sigma.set(neighbor, 0);
+          predecessors.set(neighbor, []);
+          order.push(neighbor);
+        }
+        if (distances.get(neighbor) === distance) {
+          sigma.set(neighbor, sigma.get(neighbor) + sigma.get(node));
+          predecessors.get(neighbor).push(node);
+        }
+      }
+    }
+    return { order, predecessors, sigma };
+  }
+
+  const done = new Set();
+  const heap = [[0, source]];
+
+  while (heap.length > 0) {
+    const [distance, node] = heapPop(heap);
+    if (done.has(node)) continue;
+    done.add(node);
+    order.push(node);
+
+    for (const neighbor of graph.neighbors(node)) {
+      if (done.has(neighbor)) continue;
+      const candidate = distance + getEdgeWeight(graph, node, neighbor, weight);
+
+      if (!distances.has(neighbor) || candidate < distances.get(neighbor)) {
+        distances.set(neighbor, candidate);
+        sigma.set(neighbor, sigma.get(node));
+        predecessors.set(neighbor, [node]);
+        heapPush(heap, [candidate, neighbor]);
+      } else if (candidate === distances.get(neighbor)) {
+        sigma.set(neighbor, sigma.get(neighbor) + sigma.get(node));
+        predecessors.get(neighbor).push(node);
+      }
+    }
+  }
+
+  return { order, predecessors, sigma };
+}
+
+/**
+ * Dijkstra shortest path lengths using a binary heap of [distance, node] pairs
+ */
+function dijkstraPathLengths(graph, source, weight) {
+  const distances = new Map();
+  const heap = [[0, source]];
+
+  while (heap.length > 0) {
+    const [distance, node] = heapPop(heap);
+    if (distances.has(node)) continue;
+    distances.set(node, distance);
+
+    for (const neighbor of graph.neighbors(node)) {
+      if (!distances.has(neighbor)) {
+        heapPush(heap, [distance + getEdgeWeight(graph, node, neighbor, weight), neighbor]);
+      }
+    }
+  }
+
+  return distances;
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
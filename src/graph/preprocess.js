@@ -0,0 +1,214 @@
+/**
+ * Edge preprocessing shared by every calculator
+ * @module graph/preprocess
+ *
+ * Applies the `selfLoops` and `multiEdges` policies once, before any graph
+ * is built, so the adjacency-list graph, the worker encoding and the
+ * edge-based community detection all see the same edges.
+ */
+
+import {
+  resolveNetwork,
+  resolveWeightAttribute,
+  getNetworkEdgeWeight,
+  edgePair,
+} from './utils.js';
+
+/**
+ * Resolves the self-loop and multi-edge policies, applying their defaults
+ *
+ * On a multigraph, `multiEdges` only decides how parallel edges collapse for
+ * metrics other than degree and strength, so it never defaults to 'error'.
+ *
+ * @param {Object} [options] - Network options
+ * @param {boolean} [options.strict=false] - Default both policies to 'error'
+ * @param {boolean} [options.multigraph=false] - Keep parallel edges
+ * @param {string} [options.selfLoops] - 'keep', 'drop' or 'error' (default: 'keep')
+ * @param {string} [options.multiEdges] - 'merge-sum', 'merge-max', 'first' or 'error' (default: 'merge-sum')
+ * @returns {{selfLoops: string, multiEdges: string}} Policies in effect
+ *
+ * @example
+ * resolvePolicies({}); // { selfLoops: 'keep', multiEdges: 'merge-sum' }
+ * resolvePolicies({ strict: true, selfLoops: 'drop' }); // { selfLoops: 'drop', multiEdges: 'error' }
+ */
+export function resolvePolicies(options = {}) {
+  const {
+    strict = false,
+    multigraph = false,
+    selfLoops = strict ? 'error' : 'keep',
+    multiEdges = strict && !multigraph ? 'error' : 'merge-sum',
+  } = options;
+  return { selfLoops, multiEdges };
+}
+
+/**
+ * Combines the weights of an edge's copies following a multi-edge policy
+ *
+ * @param {Array<number>} weights - Weights of the copies, in input order
+ * @param {string} policy - 'merge-sum', 'merge-max' or 'first'
+ * @returns {number} Weight of the merged edge
+ *
+ * @example
+ * combineWeights([2, 3], 'merge-sum'); // 5
+ * combineWeights([2, 3], 'merge-max'); // 3
+ */
+export function combineWeights(weights, policy) {
+  if (policy === 'first') {
+    return weights[0];
+  }
+  return policy === 'merge-max'
+    ? Math.max(...weights)
+    : weights.reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Merges the copies of an edge into one, following a multi-edge policy
+ *
+ * The first copy's attributes are kept. `merge-sum` and `merge-max` combine
+ * the weights (a copy without weight counts as 1); edges of an unweighted
+ * network simply collapse into the first copy.
+ *
+ * @param {Array<Object>} copies - Edges between the same nodes, in input order
+ * @param {string|null} weight - Weight attribute in use (null = unweighted)
+ * @param {string} policy - 'merge-sum', 'merge-max' or 'first'
+ * @returns {Object} Merged edge (the first copy itself when nothing changes)
+ *
+ * @example
+ * mergeEdges([{ source: 'A', target: 'B', weight: 2 }, { source: 'B', target: 'A', weight: 3 }], 'weight', 'merge-sum');
+ * // { source: 'A', target: 'B', weight: 5 }
+ */
+export function mergeEdges(copies, weight, policy) {
+  const [first] = copies;
+  if (copies.length === 1 || weight === null || policy === 'first') {
+    return first;
+  }
+
+  const weights = copies.map(edge => getNetworkEdgeWeight(edge, weight));
+  return { ...first, [weight]: combineWeights(weights, policy) };
+}
+
+/**
+ * Creates the function a multigraph uses to merge each parallel edge's data
+ * into the single edge other metrics see, following a multi-edge policy
+ *
+ * Merging edge by edge gives the same weight as mergeEdges on all copies.
+ *
+ * @param {string|null} weight - Weight attribute in use (null = unweighted)
+ * @param {string} policy - 'merge-sum', 'merge-max' or 'first'
+ * @returns {Function} `(existing, data) => void`, updating `existing` in place
+ *
+ * @example
+ * const merge = createEdgeMerger('weight', 'merge-max');
+ * const data = { weight: 2 };
+ * merge(data, { weight: 3 }); // data.weight === 3
+ */
+export function createEdgeMerger(weight, policy) {
+  return (existing, data) => {
+    if (weight === null || policy === 'first') {
+      return;
+    }
+    existing[weight] = combineWeights([existing[weight] ?? 1, data[weight] ?? 1], policy);
+  };
+}
+
+/**
+ * Applies the self-loop and multi-edge policies to an edge list
+ *
+ * Expects edges validated with the same options, so 'error' policies have
+ * nothing left to reject. Merged edges take the place of their first copy;
+ * on a multigraph, repeated edges are kept as parallel edges instead. The
+ * input is returned as is when no edge is dropped or merged.
+ *
+ * @param {Array<Object>} edges - Network edges
+ * @param {Object} [options] - Network options (weight, directed, strict, multigraph, selfLoops, multiEdges)
+ * @returns {Array<Object>} Edges without dropped self-loops, one per node pair
+ *
+ * @example
+ * preprocessEdges([
+ *   { source: 'A', target: 'B' },
+ *   { source: 'B', target: 'A' },
+ *   { source: 'C', target: 'C' }
+ * ], { selfLoops: 'drop' });
+ * // [{ source: 'A', target: 'B' }]
+ */
+export function preprocessEdges(edges, options = {}) {
+  const { directed = false, multigraph = false } = options;
+  const { selfLoops, multiEdges } = resolvePolicies(options);
+
+  if (multigraph) {
+    const kept = selfLoops === 'drop' ? edges.filter(edge => edge.source !== edge.target) : edges;
+    return kept.length === edges.length ? edges : kept;
+  }
+
+  // Source, then target, to the copies of that edge
+  const copiesByPair = new Map();
+  const groups = [];
+  let changed = false;
+
+  for (const edge of edges) {
+    if (selfLoops === 'drop' && edge.source === edge.target) {
+      changed = true;
+      continue;
+    }
+
+    const [u, v] = edgePair(edge.source, edge.target, directed);
+    if (!copiesByPair.has(u)) {
+      copiesByPair.set(u, new Map());
+    }
+    const copies = copiesByPair.get(u).get(v);
+    if (copies) {
+      copies.push(edge);
+      changed = true;
+    } else {
+      const group = [edge];
+      copiesByPair.get(u).set(v, group);
+      groups.push(group);
+    }
+  }
+
+  if (!changed) {
+    return edges;
+  }
+  const weight = resolveWeightAttribute(edges, options.weight);
+  return groups.map(copies => mergeEdges(copies, weight, multiEdges));
+}
+
+/**
+ * Collapses the parallel edges of a multigraph's edge list into one edge per
+ * node pair, as metrics other than degree and strength see them
+ *
+ * @param {Array<Object>} edges - Preprocessed network edges
+ * @param {Object} [options] - Network options (weight, directed, multigraph, multiEdges)
+ * @returns {Array<Object>} One edge per node pair (the input itself unless a multigraph)
+ *
+ * @example
+ * collapseEdges([{ source: 'A', target: 'B' }, { source: 'A', target: 'B' }], { multigraph: true });
+ * // [{ source: 'A', target: 'B' }]
+ */
+export function collapseEdges(edges, options = {}) {
+  if (!options.multigraph) {
+    return edges;
+  }
+  const { multiEdges } = resolvePolicies(options);
+  return preprocessEdges(edges, { ...options, multigraph: false, selfLoops: 'keep', multiEdges });
+}
+
+/**
+ * Resolves network input and applies the edge policies
+ *
+ * Nodes are taken before preprocessing, so a node whose only edge is a
+ * dropped self-loop stays in the results as an isolated node.
+ *
+ * @param {Array<Object>|Object} network - Edge array or `{ nodes, edges }`
+ * @param {Object} [options] - Network options (weight, directed, strict, multigraph, selfLoops, multiEdges)
+ * @returns {{edges: Array<Object>, nodes: Array<string|number>, attributes: Map<string|number, Object>|null}}
+ *   Preprocessed edges, every node ID, and node attributes (see resolveNetwork)
+ *
+ * @example
+ * preprocessNetwork([{ source: 'A', target: 'A' }], { selfLoops: 'drop' });
+ * // { edges: [], nodes: ['A'], attributes: null }
+ */
+export function preprocessNetwork(network, options = {}) {
+  const { edges, nodes, attributes } = resolveNetwork(network);
+  return { edges: preprocessEdges(edges, options), nodes, attributes };
+}
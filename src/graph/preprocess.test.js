@@ -0,0 +1,147 @@
+/**
+ * Tests for edge preprocessing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolvePolicies,
+  combineWeights,
+  mergeEdges,
+  createEdgeMerger,
+  preprocessEdges,
+  collapseEdges,
+  preprocessNetwork,
+} from './preprocess.js';
+
+describe('resolvePolicies', () => {
+  it('should default to keeping self-loops and summing multi-edges', () => {
+    expect(resolvePolicies()).toEqual({ selfLoops: 'keep', multiEdges: 'merge-sum' });
+  });
+
+  it('should default to errors in strict mode', () => {
+    expect(resolvePolicies({ strict: true })).toEqual({ selfLoops: 'error', multiEdges: 'error' });
+    expect(resolvePolicies({ strict: true, multiEdges: 'first' })).toEqual({ selfLoops: 'error', multiEdges: 'first' });
+  });
+
+  it('should never default to rejecting the parallel edges of a multigraph', () => {
+    expect(resolvePolicies({ strict: true, multigraph: true })).toEqual({ selfLoops: 'error', multiEdges: 'merge-sum' });
+  });
+});
+
+describe('combineWeights', () => {
+  it('should sum, take the largest or keep the first weight', () => {
+    expect(combineWeights([2, 5, 1], 'merge-sum')).toBe(8);
+    expect(combineWeights([2, 5, 1], 'merge-max')).toBe(5);
+    expect(combineWeights([2, 5, 1], 'first')).toBe(2);
+  });
+});
+
+describe('mergeEdges', () => {
+  const copies = [
+    { source: 'A', target: 'B', weight: 2, label: 'first' },
+    { source: 'B', target: 'A', label: 'second' },
+    { source: 'A', target: 'B', weight: 4 }
+  ];
+
+  it('should combine weights, counting missing ones as 1', () => {
+    expect(mergeEdges(copies, 'weight', 'merge-sum')).toEqual({ source: 'A', target: 'B', weight: 7, label: 'first' });
+    expect(mergeEdges(copies, 'weight', 'merge-max')).toEqual({ source: 'A', target: 'B', weight: 4, label: 'first' });
+  });
+
+  it('should keep the first copy', () => {
+    expect(mergeEdges(copies, 'weight', 'first')).toBe(copies[0]);
+    expect(mergeEdges(copies, null, 'merge-sum')).toBe(copies[0]);
+  });
+});
+
+describe('createEdgeMerger', () => {
+  it('should merge edge data one copy at a time like mergeEdges', () => {
+    for (const policy of ['merge-sum', 'merge-max', 'first']) {
+      const data = { weight: 2 };
+      const merge = createEdgeMerger('weight', policy);
+      merge(data, {});
+      merge(data, { weight: 4 });
+
+      expect(data.weight).toBe(mergeEdges([{ weight: 2 }, {}, { weight: 4 }], 'weight', policy).weight);
+    }
+  });
+
+  it('should leave unweighted edge data alone', () => {
+    const data = {};
+    createEdgeMerger(null, 'merge-sum')(data, {});
+    expect(data).toEqual({});
+  });
+});
+
+describe('preprocessEdges', () => {
+  const network = [
+    { source: 'A', target: 'B', weight: 1 },
+    { source: 'C', target: 'C', weight: 5 },
+    { source: 'B', target: 'A', weight: 2 },
+    { source: 'B', target: 'C', weight: 3 }
+  ];
+
+  it('should merge both directions of an undirected edge in place of the first copy', () => {
+    expect(preprocessEdges(network)).toEqual([
+      { source: 'A', target: 'B', weight: 3 },
+      { source: 'C', target: 'C', weight: 5 },
+      { source: 'B', target: 'C', weight: 3 }
+    ]);
+  });
+
+  it('should keep opposite directions apart on directed graphs', () => {
+    expect(preprocessEdges(network, { directed: true })).toBe(network);
+  });
+
+  it('should drop self-loops', () => {
+    expect(preprocessEdges(network, { selfLoops: 'drop', multiEdges: 'first' })).toEqual([
+      network[0],
+      network[3]
+    ]);
+  });
+
+  it('should not add weights to unweighted networks', () => {
+    const unweighted = [{ source: 'A', target: 'B' }, { source: 'A', target: 'B' }];
+
+    expect(preprocessEdges(unweighted)).toEqual([{ source: 'A', target: 'B' }]);
+    expect(preprocessEdges(network, { weight: null })[0]).toBe(network[0]);
+  });
+
+  it('should keep parallel edges on a multigraph', () => {
+    expect(preprocessEdges(network, { multigraph: true })).toBe(network);
+    expect(preprocessEdges(network, { multigraph: true, selfLoops: 'drop' }))
+      .toEqual([network[0], network[2], network[3]]);
+  });
+});
+
+describe('collapseEdges', () => {
+  const network = [
+    { source: 'A', target: 'B', weight: 1 },
+    { source: 'B', target: 'A', weight: 2 }
+  ];
+
+  it('should merge the parallel edges of a multigraph by the multiEdges policy', () => {
+    expect(collapseEdges(network, { multigraph: true })).toEqual([{ source: 'A', target: 'B', weight: 3 }]);
+    expect(collapseEdges(network, { multigraph: true, strict: true, multiEdges: 'merge-max' }))
+      .toEqual([{ source: 'A', target: 'B', weight: 2 }]);
+  });
+
+  it('should return other edge lists as they are', () => {
+    expect(collapseEdges(network)).toBe(network);
+  });
+});
+
+describe('preprocessNetwork', () => {
+  it('should keep nodes whose only edge is a dropped self-loop', () => {
+    const result = preprocessNetwork({
+      nodes: [{ id: 'D', label: 'Dave' }],
+      edges: [{ source: 'A', target: 'B' }, { source: 'C', target: 'C' }]
+    }, { selfLoops: 'drop' });
+
+    expect(result).toEqual({
+      edges: [{ source: 'A', target: 'B' }],
+      nodes: ['D', 'A', 'C', 'B'],
+      attributes: new Map([['D', { label: 'Dave' }]])
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Triangle counting utilities shared by clustering and transitivity
+ * @module graph/triangles
+ */
+
+/**
+ * Counts the triangles each node of an undirected graph takes part in
+ *
+ * Self-loops are ignored.
+ *
+ * @param {Object} graph - Undirected Graph instance
+ * @returns {Map<string|number, number>} Node ID to triangle count mapping
+ *
+ * @example
+ * // A - B - C - A, C - D
+ * countTriangles(graph); // Map { 'A' => 1, 'B' => 1, 'C' => 1, 'D' => 0 }
+ */
+export function countTriangles(graph) {
+  const triangles = new Map();
+
+  for (const node of graph.nodes()) {
+    const neighbors = graph.neighbors(node).filter(nbr => nbr !== node);
+    let count = 0;
+    for (let i = 0; i < neighbors.length; i++) {
+      for (let j = i + 1; j < neighbors.length; j++) {
+        if (graph.hasEdge(neighbors[i], neighbors[j])) count++;
+      }
+    }
+    triangles.set(node, count);
+  }
+
+  return triangles;
+}
+
+/**
+ * Computes the clustering coefficient of one node of an undirected graph
+ *
+ * The fraction of pairs of the node's neighbors that are linked, from its
+ * triangle count; 0 when it takes part in no triangle. Self-loops are ignored.
+ *
+ * @param {Object} graph - Undirected Graph instance
+ * @param {string|number} node - Node ID
+ * @param {Map<string|number, number>} triangles - Triangle counts (missing nodes count 0)
+ * @returns {number} Clustering coefficient in [0, 1]
+ *
+ * @example
+ * // A - B - C - A, C - D
+ * localClustering(graph, 'C', countTriangles(graph)); // 0.333...
+ */
+export function localClustering(graph, node, triangles) {
+  const count = 2 * (triangles.get(node) || 0);
+  if (count === 0) return 0;
+  const degree = graph.neighbors(node).filter(nbr => nbr !== node).length;
+  return count / (degree * (degree - 1));
+}
+
+/**
+ * Computes the transitivity of an undirected graph
+ *
+ * The fraction of connected triples (paths of length two) closed into a
+ * triangle; 0 when the graph has no triangles. Self-loops are ignored.
+ *
+ * @param {Object} graph - Undirected Graph instance
+ * @param {Map<string|number, number>} [triangles] - Triangle counts, if already known
+ *   (missing nodes count 0)
+ * @returns {number} Transitivity in [0, 1]
+ *
+ * @example
+ * // A - B - C - A, C - D
+ * transitivity(graph); // 0.6
+ */
+export function transitivity(graph, triangles = countTriangles(graph)) {
+  let closed = 0;
+  let triples = 0;
+
+  for (const node of graph.nodes()) {
+    const degree = graph.neighbors(node).filter(nbr => nbr !== node).length;
+    closed += 2 * (triangles.get(node) || 0);
+    triples += degree * (degree - 1);
+  }
+
+  return closed === 0 ? 0 : closed / triples;
+}
@@ -3,6 +3,8 @@
  * @module graph/utils
  */
 
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+
 /**
  * Extracts distinct node IDs from network edges
  *
@@ -20,9 +22,8 @@
  * getDistinctNodes(edges, 'target'); // ['B', 'C']
  */
 export function getDistinctNodes(network, prop) {
-  return network
-    .map((item) => item[prop])
-    .filter((value, index, self) => self.indexOf(value) === index);
+  // A Set keeps first-occurrence order without the quadratic indexOf scan
+  return [...new Set(network.map((item) => item[prop]))];
 }
 
 /**
@@ -46,10 +47,42 @@ export function getAllUniqueNodes(network) {
 }
 
 /**
- * Converts edge objects to edge tuples for jsnetworkx
+ * Splits network input into edges, node IDs and node attributes
+ *
+ * Accepts a bare edge array or `{ nodes: [{ id, ...attributes }], edges }`.
+ * Declared nodes come first, in the given order, followed by nodes only
+ * referenced by edges; declared nodes without edges are kept as isolated
+ * nodes.
+ *
+ * @param {Array<Object>|Object} network - Edge array or `{ nodes, edges }`
+ * @returns {{edges: Array<Object>, nodes: Array<string|number>, attributes: Map<string|number, Object>|null}}
+ *   Edges, every node ID, and node ID to attributes (null for a bare edge array)
+ *
+ * @example
+ * resolveNetwork({ nodes: [{ id: 'D', label: 'Dave' }], edges: [{ source: 'A', target: 'B' }] });
+ * // { edges: [...], nodes: ['D', 'A', 'B'], attributes: Map { 'D' => { label: 'Dave' } } }
+ */
+export function resolveNetwork(network) {
+  if (Array.isArray(network)) {
+    return { edges: network, nodes: getAllUniqueNodes(network), attributes: null };
+  }
+
+  const declared = network.nodes ?? [];
+  const attributes = new Map();
+  for (const { id, ...values } of declared) {
+    attributes.set(id, values);
+  }
+  const nodes = [...new Set([...attributes.keys(), ...getAllUniqueNodes(network.edges)])];
+
+  return { edges: network.edges, nodes, attributes };
+}
+
+/**
+ * Converts edge objects to edge tuples for Graph#addEdgesFrom
  *
  * @param {Array<Object>} network - Network edges
- * @returns {Array<Array>} Array of [source, target] tuples
+ * @param {string|null} [weight=null] - Edge attribute to carry as weight (null = drop weights)
+ * @returns {Array<Array>} Array of [source, target] or [source, target, data] tuples
  *
  * @example
  * const edges = [
@@ -57,7 +90,94 @@ export function getAllUniqueNodes(network) {
  *   { source: 'B', target: 'C' }
  * ];
  * edgesToTuples(edges); // [['A', 'B'], ['B', 'C']]
+ * edgesToTuples(edges, 'weight'); // [['A', 'B', { weight: 2 }], ['B', 'C']]
+ */
+export function edgesToTuples(network, weight = null) {
+  return network.map(edge => {
+    if (weight === null || edge[weight] === undefined) {
+      return [edge.source, edge.target];
+    }
+    return [edge.source, edge.target, { [weight]: edge[weight] }];
+  });
+}
+
+/**
+ * Resolves the weight attribute calculators should use
+ *
+ * Returns null when weights are disabled or no edge carries the attribute, so
+ * unweighted networks keep using the faster unweighted algorithms.
+ *
+ * @param {Array<Object>} network - Network edges
+ * @param {string|null} [weight='weight'] - Requested weight attribute (null = ignore weights)
+ * @returns {string|null} Weight attribute name, or null for an unweighted graph
+ *
+ * @example
+ * resolveWeightAttribute([{ source: 'A', target: 'B', weight: 2 }]); // 'weight'
+ * resolveWeightAttribute([{ source: 'A', target: 'B' }]); // null
+ * resolveWeightAttribute([{ source: 'A', target: 'B', weight: 2 }], null); // null
+ */
+export function resolveWeightAttribute(network, weight = DEFAULT_WEIGHT_ATTRIBUTE) {
+  if (weight === null) {
+    return null;
+  }
+  return network.some(edge => edge[weight] !== undefined) ? weight : null;
+}
+
+/**
+ * Reads the weight of an edge object
+ *
+ * @param {Object} edge - Edge object
+ * @param {string|null} weight - Edge attribute holding the weight (null = unweighted)
+ * @returns {number} Edge weight, 1 when unweighted or the attribute is missing
+ *
+ * @example
+ * getNetworkEdgeWeight({ source: 'A', target: 'B', weight: 2 }, 'weight'); // 2
+ * getNetworkEdgeWeight({ source: 'A', target: 'B' }, 'weight'); // 1
+ */
+export function getNetworkEdgeWeight(edge, weight) {
+  if (weight === null || edge[weight] === undefined) {
+    return 1;
+  }
+  return edge[weight];
+}
+
+/**
+ * Orders the endpoints of an edge so both directions of an undirected edge
+ * give the same pair
+ *
+ * @param {string|number} source - Source node ID
+ * @param {string|number} target - Target node ID
+ * @param {boolean} [directed=false] - Whether direction matters
+ * @returns {Array<string|number>} `[source, target]`, swapped when undirected and out of order
+ *
+ * @example
+ * edgePair('B', 'A'); // ['A', 'B']
+ * edgePair('B', 'A', true); // ['B', 'A']
+ */
+export function edgePair(source, target, directed = false) {
+  if (!directed && compareNodeIds(target, source) < 0) {
+    return [target, source];
+  }
+  return [source, target];
+}
+
+/**
+ * Compares node IDs independently of input order (numbers before strings)
+ *
+ * Used to put nodes in a canonical order before seeded randomization, so
+ * seeded results don't depend on the order of the input edges.
+ *
+ * @param {string|number} a - Node ID
+ * @param {string|number} b - Node ID
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ *
+ * @example
+ * ['b', 2, 'a', 1].sort(compareNodeIds); // [1, 2, 'a', 'b']
  */
-export function edgesToTuples(network) {
-  return network.map(edge => [edge.source, edge.target]);
+export function compareNodeIds(a, b) {
+  if (typeof a !== typeof b) {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
 }
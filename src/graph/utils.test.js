@@ -3,7 +3,14 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { getDistinctNodes, getAllUniqueNodes, edgesToTuples } from './utils.js';
+import {
+  getDistinctNodes,
+  getAllUniqueNodes,
+  resolveNetwork,
+  edgesToTuples,
+  resolveWeightAttribute,
+  compareNodeIds
+} from './utils.js';
 
 describe('getDistinctNodes', () => {
   it('should extract distinct source nodes', () => {
@@ -87,6 +94,27 @@ describe('getAllUniqueNodes', () => {
   });
 });
 
+describe('resolveNetwork', () => {
+  const edges = [
+    { source: 'A', target: 'B' },
+    { source: 'B', target: 'C' }
+  ];
+
+  it('should take nodes from a bare edge array', () => {
+    expect(resolveNetwork(edges)).toEqual({ edges, nodes: ['A', 'B', 'C'], attributes: null });
+  });
+
+  it('should put declared nodes first and keep their attributes', () => {
+    const { nodes, attributes } = resolveNetwork({
+      nodes: [{ id: 'D', label: 'Dave' }, { id: 'B' }],
+      edges
+    });
+
+    expect(nodes).toEqual(['D', 'B', 'A', 'C']);
+    expect(attributes).toEqual(new Map([['D', { label: 'Dave' }], ['B', {}]]));
+  });
+});
+
 describe('edgesToTuples', () => {
   it('should convert edges to tuples', () => {
     const network = [
@@ -115,3 +143,55 @@ describe('edgesToTuples', () => {
     expect(result).toEqual([]);
   });
 });
+
+describe('edgesToTuples with weight attribute', () => {
+  it('should carry the weight attribute as edge data', () => {
+    const network = [
+      { source: 'A', target: 'B', weight: 5 },
+      { source: 'B', target: 'C' }
+    ];
+
+    const result = edgesToTuples(network, 'weight');
+    expect(result).toEqual([
+      ['A', 'B', { weight: 5 }],
+      ['B', 'C']
+    ]);
+  });
+
+  it('should carry a custom weight attribute', () => {
+    const network = [{ source: 'A', target: 'B', cost: 3, weight: 9 }];
+
+    const result = edgesToTuples(network, 'cost');
+    expect(result).toEqual([['A', 'B', { cost: 3 }]]);
+  });
+});
+
+describe('resolveWeightAttribute', () => {
+  it('should return the attribute when edges carry it', () => {
+    const network = [
+      { source: 'A', target: 'B' },
+      { source: 'B', target: 'C', weight: 2 }
+    ];
+
+    expect(resolveWeightAttribute(network)).toBe('weight');
+  });
+
+  it('should return null when no edge carries the attribute', () => {
+    const network = [{ source: 'A', target: 'B' }];
+
+    expect(resolveWeightAttribute(network)).toBeNull();
+    expect(resolveWeightAttribute(network, 'cost')).toBeNull();
+  });
+
+  it('should return null when weights are disabled', () => {
+    const network = [{ source: 'A', target: 'B', weight: 2 }];
+
+    expect(resolveWeightAttribute(network, null)).toBeNull();
+  });
+});
+
+describe('compareNodeIds', () => {
+  it('should sort numbers before strings, each in natural order', () => {
+    expect(['b', 10, 'a', 2].sort(compareNodeIds)).toEqual([2, 10, 'a', 'b']);
+  });
+});
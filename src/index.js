@@ -4,53 +4,111 @@
  * @module js-network-stats
  */
 
-import { FEATURES } from './core/constants.js';
+import { FEATURES, getDefaultFeatures } from './core/constants.js';
 import { normalizeFeatures } from './core/normalizer.js';
 import { validateNetwork } from './validators/network.js';
-import { validateFeatures } from './validators/features.js';
-import { getAllUniqueNodes } from './graph/utils.js';
+import { validateFeatures, validateFeatureOptions } from './validators/features.js';
+import { resolveWeightAttribute } from './graph/utils.js';
+import { preprocessNetwork, collapseEdges } from './graph/preprocess.js';
 import { buildGraph } from './graph/builder.js';
 import { calculateFeatures } from './features/index.js';
+import { calculateGraphSummary } from './features/summary.js';
+import { calculateCommunities } from './features/modularity.js';
 
 // Re-export FEATURES constant
 export { FEATURES };
 
+// Stateful session with incremental edge updates
+export { NetworkStats } from './session/NetworkStats.js';
+
+// Structured validation report listing every problem of a network
+export { validateNetworkReport } from './validators/network.js';
+
+// Parsers for GraphML, GEXF, Pajek, DOT and CSV/TSV files
+export { fromGraphML, fromGEXF, fromPajek, fromDOT, fromCSV, fromTSV } from './parsers/index.js';
+
+// Exporters for GEXF, GraphML, CSV and JSON Lines
+export { toGEXF, toGraphML, toCSV, toJSONL } from './exporters/index.js';
+
 /**
  * @typedef {Object} NetworkEdge
- * @property {string} source - The ID of the source node
- * @property {string} target - The ID of the target node
+ * @property {string|number} source - The ID of the source node
+ * @property {string|number} target - The ID of the target node
  * @property {number} [weight] - Optional edge weight
  */
 
+/**
+ * @typedef {Object} NetworkNode
+ * @property {string|number} id - Node identifier; other properties are attributes copied to the node's result row
+ */
+
+/**
+ * Edge array, or nodes plus edges: declared nodes without edges are kept as
+ * isolated nodes
+ * @typedef {Array<NetworkEdge>|{nodes?: Array<NetworkNode>, edges: Array<NetworkEdge>}} NetworkInput
+ */
+
 /**
  * @typedef {Object} NetworkOptions
  * @property {number} [maxIter=100000] - Maximum iterations for eigenvector calculation
  * @property {boolean} [verbose=true] - Enable console output
+ * @property {number} [alpha=0.85] - PageRank damping factor
+ * @property {number} [tolerance=1e-6] - PageRank convergence tolerance
+ * @property {boolean} [wfImproved=true] - Wasserman–Faust scaling for closeness on disconnected graphs
+ * @property {string|null} [weight='weight'] - Edge attribute used as weight (null = ignore weights)
+ * @property {boolean} [directed=false] - Treat edges as directed (source -> target)
+ * @property {'louvain'|'leiden'} [communityAlgorithm='louvain'] - Community detection algorithm for modularity
+ * @property {number} [communityLevel] - Louvain dendrogram level for the modularity column (default: last)
+ * @property {number} [resolution=1] - Louvain resolution (gamma); > 1 gives more, smaller communities
+ * @property {number} [seed] - Seed for reproducible Louvain node order, Leiden and label propagation
+ * @property {boolean} [randomOrder=false] - Visit nodes in random order in Louvain
+ * @property {boolean} [strict=false] - Reject self-loops and multi-edges unless a policy keeps them
+ * @property {'keep'|'drop'|'error'} [selfLoops] - Self-loop policy (default: 'error' when strict, else 'keep')
+ * @property {'merge-sum'|'merge-max'|'first'|'error'} [multiEdges] - Policy for repeated edges between
+ *   the same nodes (default: 'error' when strict, else 'merge-sum'); on a multigraph, how parallel
+ *   edges collapse for metrics other than degree and strength
+ * @property {boolean} [multigraph=false] - Keep repeated edges as parallel edges: degree and strength
+ *   count every one, path-based and other metrics see one edge per node pair
  */
 
 /**
  * @typedef {Object} NodeStats
- * @property {string} id - Node identifier
+ * @property {string|number} id - Node identifier
  * @property {number} [degree] - Node degree (number of connections)
+ * @property {number} [strength] - Sum of incident edge weights
+ * @property {number} [inDegree] - Number of incoming edges (directed graphs)
+ * @property {number} [outDegree] - Number of outgoing edges (directed graphs)
  * @property {number} [eigenvector] - Eigenvector centrality score
  * @property {number} [betweenness] - Betweenness centrality score
+ * @property {number} [closeness] - Closeness centrality score
+ * @property {number} [harmonic] - Harmonic centrality score
+ * @property {number} [pagerank] - PageRank score
+ * @property {number} [hub] - HITS hub score (directed graphs)
+ * @property {number} [authority] - HITS authority score (directed graphs)
  * @property {number} [clustering] - Clustering coefficient
  * @property {number} [cliques] - Number of cliques containing this node
  * @property {number} [modularity] - Community/modularity assignment
+ * @property {number} [labelPropagation] - Label propagation community index
+ * @property {number} [component] - Connected component index
+ * @property {number} [transitivity] - Global transitivity (same for every node)
+ * @property {number} [triangles] - Number of triangles containing this node
+ * @property {number} [strongComponent] - Strongly connected component index (directed graphs)
+ * @property {number} [weakComponent] - Weakly connected component index (directed graphs)
+ * @property {number} [multiplicity] - Average number of parallel edges per connection (multigraphs)
  */
 
 /**
  * Generates statistics for a network graph
  *
- * @param {Array<NetworkEdge>} network - Array of edge objects with source and target properties
+ * @param {NetworkInput} network - Edge array, or `{ nodes, edges }` with isolated nodes and node attributes
  * @param {Array<string>} [features] - Array of features to calculate. If null, calculates all features
  * @param {NetworkOptions} [options] - Configuration options
  * @param {number} [options.maxIter=100000] - Maximum iterations for eigenvector calculation
  * @param {boolean} [options.verbose=true] - Enable detailed console output
  * @returns {Array<NodeStats>} Array of node objects with calculated statistics
  *
- * @throws {TypeError} If network is not an array or features is not an array
- * @throws {Error} If network is empty or contains invalid edges
+ * @throws {TypeError} If network is not an edge array or `{ nodes, edges }`, or features is not an array
+ * @throws {Error} If network is empty or contains invalid nodes or edges
  *
  * @example
  * import { getNetworkStats, FEATURES } from 'js-network-stats';
@@ -78,7 +136,7 @@ export function getNetworkStats(
 
   // Validate network input
   try {
-    validateNetwork(network);
+    validateNetwork(network, options);
   } catch (error) {
     if (options.verbose) {
       console.error('Network validation failed:', error.message);
@@ -86,14 +144,15 @@ export function getNetworkStats(
     throw error;
   }
 
-  // Default to all features if none specified
+  // Default to all features that apply to the graph mode if none specified
   if (!features) {
-    features = FEATURES.ALL;
+    features = getDefaultFeatures(options.directed, options.multigraph);
   }
 
   // Validate features
   try {
-    validateFeatures(features);
+    validateFeatures(features, { directed: options.directed });
+    validateFeatureOptions(options);
   } catch (error) {
     if (options.verbose) {
       console.error('Features validation failed:', error.message);
@@ -101,25 +160,36 @@ export function getNetworkStats(
     throw error;
   }
 
+  // Split into edges, every node (isolated ones included) and node attributes,
+  // applying the self-loop and multi-edge policies
+  const { edges, nodes, attributes } = preprocessNetwork(network, options);
+
   if (options.verbose) {
-    console.log(`Processing ${network.length} edges...`);
+    console.log(`Processing ${edges.length} edges...`);
   }
 
-  // Extract unique nodes
-  const nodes = getAllUniqueNodes(network);
+  // Weighted metrics only kick in when edges actually carry the weight attribute
+  const weight = resolveWeightAttribute(edges, options.weight);
+  const calcOptions = { ...options, weight };
 
-  // Build graph
-  const graph = buildGraph(network);
+  // Build graph (a multigraph keeps parallel edges)
+  const graph = buildGraph(edges, {
+    weight,
+    directed: options.directed,
+    multigraph: options.multigraph,
+    multiEdges: options.multiEdges,
+    nodes
+  });
 
   if (options.verbose) {
-    console.log(`Graph created with ${nodes.length} nodes and ${network.length} edges`);
+    console.log(`Graph created with ${nodes.length} nodes and ${edges.length} edges`);
   }
 
   // Calculate features
-  const stats = calculateFeatures(features, graph, nodes, network, options);
+  const stats = calculateFeatures(features, graph, nodes, edges, calcOptions);
 
-  // Normalize results
-  const result = normalizeFeatures(stats, nodes);
+  // Normalize results, passing node attributes through
+  const result = normalizeFeatures(stats, nodes, attributes);
 
   if (options.verbose) {
     const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
@@ -129,5 +199,103 @@ export function getNetworkStats(
   return result;
 }
 
+/**
+ * Calculates graph-level summary statistics for a network
+ *
+ * Complements getNetworkStats, which returns per-node rows: this returns a
+ * single object describing the whole graph.
+ *
+ * @param {NetworkInput} network - Edge array, or `{ nodes, edges }` with isolated nodes and node attributes
+ * @param {NetworkOptions} [options] - Configuration options (weight, directed, verbose)
+ * @returns {import('./features/summary.js').GraphSummary} Graph summary
+ *
+ * @throws {TypeError} If network is not an edge array or `{ nodes, edges }`
+ * @throws {Error} If network is empty or contains invalid nodes or edges
+ *
+ * @example
+ * import { getGraphSummary } from 'js-network-stats';
+ *
+ * const summary = getGraphSummary(network, { verbose: false });
+ * console.log(summary.nodeCount, summary.density, summary.diameter, summary.modularity);
+ */
+export function getGraphSummary(network, options = { verbose: true }) {
+  const startTime = performance.now();
+
+  try {
+    validateNetwork(network, options);
+    validateFeatureOptions(options);
+  } catch (error) {
+    if (options.verbose) {
+      console.error('Network validation failed:', error.message);
+    }
+    throw error;
+  }
+
+  const { edges, nodes } = preprocessNetwork(network, options);
+  const weight = resolveWeightAttribute(edges, options.weight);
+  const graph = buildGraph(edges, {
+    weight,
+    directed: options.directed,
+    multigraph: options.multigraph,
+    multiEdges: options.multiEdges,
+    nodes
+  });
+
+  const summary = calculateGraphSummary(graph, nodes, edges, { ...options, weight });
+
+  if (options.verbose) {
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Summary completed in ${elapsed}s`);
+  }
+
+  return summary;
+}
+
+/**
+ * Detects communities with Louvain or Leiden, returning every level
+ *
+ * Level 0 is the finest partition; each following level merges communities
+ * further. With `communityAlgorithm: 'leiden'`, levels are Leiden iterations
+ * and every community is guaranteed to be connected. Each level carries its modularity score Q and its communities with
+ * sizes and member lists. The per-node `modularity` column of getNetworkStats
+ * reports the last level unless `communityLevel` picks another.
+ *
+ * @param {NetworkInput} network - Edge array, or `{ nodes, edges }` with isolated nodes and node attributes
+ * @param {NetworkOptions} [options] - Configuration options (weight, communityAlgorithm, resolution,
+ *   seed, randomOrder, verbose)
+ * @returns {import('./features/modularity.js').CommunityDetectionResult} Levels, final partition and Q
+ *
+ * @throws {TypeError} If network is not an edge array or `{ nodes, edges }`
+ * @throws {Error} If network is invalid or options.directed is set
+ *
+ * @example
+ * import { detectCommunities } from 'js-network-stats';
+ *
+ * const { levels, modularity } = detectCommunities(network, { verbose: false });
+ * levels.forEach(({ level, modularity, communities }) => {
+ *   console.log(`Level ${level}: ${communities.length} communities, Q = ${modularity}`);
+ * });
+ */
+export function detectCommunities(network, options = { verbose: true }) {
+  try {
+    validateNetwork(network, options);
+    validateFeatureOptions(options);
+    if (options.directed) {
+      throw new Error('Community detection is not supported on directed graphs');
+    }
+  } catch (error) {
+    if (options.verbose) {
+      console.error('Network validation failed:', error.message);
+    }
+    throw error;
+  }
+
+  // Communities see one edge per node pair, multigraph or not
+  const { edges, nodes } = preprocessNetwork(network, options);
+  const weight = resolveWeightAttribute(edges, options.weight);
+
+  return calculateCommunities(nodes, collapseEdges(edges, options), { ...options, weight });
+}
+
 // Default export for CommonJS compatibility
 export default getNetworkStats;
@@ -3,7 +3,12 @@
  */
 
 import { describe, it, test, expect } from 'vitest';
-import { getNetworkStats, FEATURES } from './index.js';
+import { readFileSync } from 'fs';
+import { getNetworkStats, getGraphSummary, detectCommunities, FEATURES } from './index.js';
+import { createRandom, shuffle } from './core/random.js';
+
+const loadNetwork = (name) =>
+  JSON.parse(readFileSync(new URL(`../data/network_${name}.json`, import.meta.url), 'utf-8'));
 
 describe('getNetworkStats - Integration Tests', () => {
   const simpleNetwork = [
@@ -31,6 +36,19 @@ describe('getNetworkStats - Integration Tests', () => {
       });
     });
 
+    test('pins the default column set', () => {
+      const undirected = getNetworkStats(simpleNetwork, null, { verbose: false });
+      const directed = getNetworkStats(simpleNetwork, null, { verbose: false, directed: true });
+
+      expect(Object.keys(undirected[0])).toEqual([
+        'id', 'degree', 'eigenvector', 'betweenness', 'clustering', 'cliques', 'modularity'
+      ]);
+      expect(Object.keys(directed[0])).toEqual([
+        'id', 'degree', 'eigenvector', 'betweenness', 'clustering',
+        'inDegree', 'outDegree', 'hub', 'authority', 'strongComponent', 'weakComponent'
+      ]);
+    });
+
     test('should calculate correct values for triangle graph', () => {
       const stats = getNetworkStats(simpleNetwork, null, { verbose: false });
 
@@ -102,6 +120,30 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(stats[2].betweenness).toBe(0);
     });
 
+    test('feature: closeness', () => {
+      const stats = getNetworkStats(simpleNetwork, [FEATURES.CLOSENESS], { verbose: false });
+
+      stats.forEach(node => {
+        expect(node.closeness).toBe(1);
+      });
+    });
+
+    test('feature: harmonic', () => {
+      const stats = getNetworkStats(simpleNetwork, [FEATURES.HARMONIC], { verbose: false });
+
+      stats.forEach(node => {
+        expect(node.harmonic).toBe(2);
+      });
+    });
+
+    test('feature: pagerank', () => {
+      const stats = getNetworkStats(simpleNetwork, [FEATURES.PAGERANK], { verbose: false });
+
+      stats.forEach(node => {
+        expect(node.pagerank).toBeCloseTo(1 / 3, 5);
+      });
+    });
+
     test('feature: clustering', () => {
       const stats = getNetworkStats(simpleNetwork, [FEATURES.CLUSTERING], { verbose: false });
 
@@ -129,6 +171,79 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(stats[2]).toHaveProperty('modularity');
     });
 
+    test('feature: transitivity', () => {
+      const stats = getNetworkStats(simpleNetwork, [FEATURES.TRANSITIVITY], { verbose: false });
+
+      expect(stats).toBeDefined();
+      stats.forEach(node => {
+        expect(node.transitivity).toBe(1);
+        expect(node.triangles).toBe(1);
+      });
+    });
+
+    test('feature: transitivity on triangle with a pendant node', () => {
+      const network = [
+        ...simpleNetwork,
+        { source: 'id3', target: 'id4' }
+      ];
+
+      const stats = getNetworkStats(network, [FEATURES.TRANSITIVITY], { verbose: false });
+
+      // 1 triangle, 5 connected triples: 3 * 1 / 5
+      stats.forEach(node => {
+        expect(node.transitivity).toBeCloseTo(0.6, 10);
+      });
+      expect(stats.find(n => n.id === 'id3').triangles).toBe(1);
+      expect(stats.find(n => n.id === 'id4').triangles).toBe(0);
+    });
+
+    test('feature: labelPropagation', () => {
+      const twoTriangles = [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' },
+        { source: 'C', target: 'A' },
+        { source: 'D', target: 'E' },
+        { source: 'E', target: 'F' },
+        { source: 'F', target: 'D' },
+        { source: 'C', target: 'D' }
+      ];
+
+      const stats = getNetworkStats(
+        twoTriangles,
+        [FEATURES.DEGREE, FEATURES.LABEL_PROPAGATION],
+        { verbose: false, seed: 42 }
+      );
+      const label = id => stats.find(n => n.id === id).labelPropagation;
+
+      expect(stats[0]).toHaveProperty('degree');
+      expect(label('A')).toBe(label('B'));
+      expect(label('E')).toBe(label('F'));
+      expect(new Set(stats.map(n => n.labelPropagation)).size).toBeLessThanOrEqual(2);
+    });
+
+    test('feature: labelPropagation is reproducible with a seed', () => {
+      const network = loadNetwork('rj');
+      const options = { verbose: false, seed: 7 };
+
+      const first = getNetworkStats(network, [FEATURES.LABEL_PROPAGATION], options);
+      const second = getNetworkStats(shuffle(network, createRandom(3)), [FEATURES.LABEL_PROPAGATION], options);
+      const byId = stats => Object.fromEntries(stats.map(n => [n.id, n.labelPropagation]));
+
+      expect(byId(second)).toEqual(byId(first));
+      expect(new Set(first.map(n => n.labelPropagation)).size).toBeLessThan(first.length / 2);
+    });
+
+    test('feature: component', () => {
+      const network = [...simpleNetwork, { source: 'X', target: 'Y' }];
+
+      const stats = getNetworkStats(network, [FEATURES.COMPONENT], { verbose: false });
+      const component = id => stats.find(n => n.id === id).component;
+
+      ['id1', 'id2', 'id3'].forEach(id => expect(component(id)).toBe(0));
+      expect(component('X')).toBe(1);
+      expect(component('Y')).toBe(1);
+    });
+
     test('multiple features', () => {
       const stats = getNetworkStats(
         simpleNetwork,
@@ -196,6 +311,24 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(leaf.degree).toBe(1);
     });
 
+    test('maximal cliques - two triangles sharing an edge plus a pendant', () => {
+      const cliqueNetwork = [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' },
+        { source: 'C', target: 'A' },
+        { source: 'B', target: 'D' },
+        { source: 'C', target: 'D' },
+        { source: 'D', target: 'E' },
+        { source: 'E', target: 'E' }
+      ];
+
+      const stats = getNetworkStats(cliqueNetwork, [FEATURES.CLIQUES], { verbose: false });
+      const cliques = Object.fromEntries(stats.map(n => [n.id, n.cliques]));
+
+      // Maximal cliques: {A, B, C}, {B, C, D}, {D, E}
+      expect(cliques).toEqual({ A: 1, B: 2, C: 2, D: 2, E: 1 });
+    });
+
     test('path graph - linear chain', () => {
       const pathNetwork = [
         { source: 'A', target: 'B' },
@@ -218,6 +351,52 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(nodeD.betweenness).toBe(0);
     });
 
+    test('path graph - closeness, harmonic and pagerank', () => {
+      const pathNetwork = [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' }
+      ];
+
+      const stats = getNetworkStats(
+        pathNetwork,
+        [FEATURES.CLOSENESS, FEATURES.HARMONIC, FEATURES.PAGERANK],
+        { verbose: false }
+      );
+
+      const nodeA = stats.find(n => n.id === 'A');
+      const nodeB = stats.find(n => n.id === 'B');
+      expect(nodeA.closeness).toBeCloseTo(2 / 3, 10);
+      expect(nodeB.closeness).toBe(1);
+      expect(nodeA.harmonic).toBe(1.5);
+      expect(nodeB.harmonic).toBe(2);
+      // networkx.pagerank reference values
+      expect(nodeA.pagerank).toBeCloseTo(0.2567567, 5);
+      expect(nodeB.pagerank).toBeCloseTo(0.4864864, 5);
+      expect(stats.reduce((sum, n) => sum + n.pagerank, 0)).toBeCloseTo(1, 10);
+    });
+
+    test('disconnected graph - closeness uses Wasserman-Faust scaling', () => {
+      const network = [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' },
+        { source: 'D', target: 'E' }
+      ];
+
+      const improved = getNetworkStats(network, [FEATURES.CLOSENESS], { verbose: false });
+      const raw = getNetworkStats(
+        network,
+        [FEATURES.CLOSENESS],
+        { verbose: false, wfImproved: false }
+      );
+
+      // Raw: D only sees E, so it looks perfectly central
+      expect(raw.find(n => n.id === 'D').closeness).toBe(1);
+      // Scaled by reachable fraction: 1 * (1 / 4)
+      expect(improved.find(n => n.id === 'D').closeness).toBe(0.25);
+      // B reaches 2 of 4 other nodes: 1 * (2 / 4)
+      expect(improved.find(n => n.id === 'B').closeness).toBe(0.5);
+    });
+
     test('disconnected graph', () => {
       const disconnectedNetwork = [
         { source: 'A', target: 'B' },
@@ -273,6 +452,13 @@ describe('getNetworkStats - Integration Tests', () => {
       }).not.toThrow();
     });
 
+    test('rejects invalid PageRank options', () => {
+      expect(() => getNetworkStats(simpleNetwork, [FEATURES.PAGERANK], { verbose: false, alpha: 2 }))
+        .toThrow('alpha must be between 0 and 1');
+      expect(() => getNetworkStats(simpleNetwork, [FEATURES.PAGERANK], { verbose: false, tolerance: 0 }))
+        .toThrow('tolerance must be positive');
+    });
+
     test('uses default options', () => {
       const stats = getNetworkStats(simpleNetwork, [FEATURES.DEGREE]);
       expect(stats).toBeDefined();
@@ -293,6 +479,134 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(stats[0]).toHaveProperty('degree');
     });
 
+    test('strength sums edge weights while degree counts edges', () => {
+      const weightedNetwork = [
+        { source: 'A', target: 'B', weight: 1.5 },
+        { source: 'B', target: 'C', weight: 2.0 },
+        { source: 'C', target: 'A' }
+      ];
+
+      const stats = getNetworkStats(
+        weightedNetwork,
+        [FEATURES.DEGREE, FEATURES.STRENGTH],
+        { verbose: false }
+      );
+
+      const nodeB = stats.find(n => n.id === 'B');
+      expect(nodeB.degree).toBe(2);
+      expect(nodeB.strength).toBe(3.5);
+      // Missing weight counts as 1
+      expect(stats.find(n => n.id === 'C').strength).toBe(3);
+    });
+
+    test('betweenness follows weighted shortest paths', () => {
+      // Direct A-C edge is longer than going through B
+      const weightedNetwork = [
+        { source: 'A', target: 'B', weight: 1 },
+        { source: 'B', target: 'C', weight: 1 },
+        { source: 'A', target: 'C', weight: 5 }
+      ];
+
+      const weighted = getNetworkStats(weightedNetwork, [FEATURES.BETWEENNESS], { verbose: false });
+      const unweighted = getNetworkStats(
+        weightedNetwork,
+        [FEATURES.BETWEENNESS],
+        { verbose: false, weight: null }
+      );
+
+      expect(weighted.find(n => n.id === 'B').betweenness).toBe(1);
+      expect(unweighted.find(n => n.id === 'B').betweenness).toBe(0);
+    });
+
+    test('closeness and harmonic use weighted distances', () => {
+      const weightedNetwork = [
+        { source: 'A', target: 'B', weight: 2 },
+        { source: 'B', target: 'C', weight: 3 }
+      ];
+
+      const stats = getNetworkStats(
+        weightedNetwork,
+        [FEATURES.CLOSENESS, FEATURES.HARMONIC],
+        { verbose: false }
+      );
+
+      const nodeA = stats.find(n => n.id === 'A');
+      expect(nodeA.closeness).toBeCloseTo(2 / 7, 10);
+      expect(nodeA.harmonic).toBeCloseTo(1 / 2 + 1 / 5, 10);
+    });
+
+    test('weighted clustering and eigenvector differ from unweighted', () => {
+      const weightedNetwork = [
+        { source: 'A', target: 'B', weight: 10 },
+        { source: 'B', target: 'C', weight: 1 },
+        { source: 'C', target: 'A', weight: 1 }
+      ];
+
+      const weighted = getNetworkStats(
+        weightedNetwork,
+        [FEATURES.CLUSTERING, FEATURES.EIGENVECTOR, FEATURES.PAGERANK],
+        { verbose: false }
+      );
+
+      const nodeA = weighted.find(n => n.id === 'A');
+      const nodeC = weighted.find(n => n.id === 'C');
+      // Geometric mean of normalized weights: (1 * 0.1 * 0.1)^(1/3)
+      expect(nodeA.clustering).toBeCloseTo(Math.cbrt(0.01), 10);
+      expect(nodeA.eigenvector).toBeGreaterThan(nodeC.eigenvector);
+      expect(nodeA.pagerank).toBeGreaterThan(nodeC.pagerank);
+    });
+
+    test('weighted clustering is 0 when every weight is 0', () => {
+      const zeroWeights = [
+        { source: 'A', target: 'B', weight: 0 },
+        { source: 'B', target: 'C', weight: 0 },
+        { source: 'C', target: 'A', weight: 0 }
+      ];
+
+      for (const directed of [false, true]) {
+        const stats = getNetworkStats(zeroWeights, [FEATURES.CLUSTERING], { verbose: false, directed });
+        expect(stats.map(n => n.clustering)).toEqual([0, 0, 0]);
+      }
+    });
+
+    test('modularity uses edge weights', () => {
+      // Unit-weight ring whose heavy edges pair up the nodes
+      const weightedNetwork = [
+        { source: 'A', target: 'B', weight: 10 },
+        { source: 'B', target: 'C', weight: 1 },
+        { source: 'C', target: 'D', weight: 10 },
+        { source: 'D', target: 'E', weight: 1 },
+        { source: 'E', target: 'F', weight: 10 },
+        { source: 'F', target: 'A', weight: 1 }
+      ];
+
+      const stats = getNetworkStats(weightedNetwork, [FEATURES.MODULARITY], { verbose: false });
+      const community = id => stats.find(n => n.id === id).modularity;
+
+      expect(community('A')).toBe(community('B'));
+      expect(community('C')).toBe(community('D'));
+      expect(community('E')).toBe(community('F'));
+      expect(community('B')).not.toBe(community('C'));
+    });
+
+    test('reads weights from a custom attribute', () => {
+      const network = [
+        { source: 'A', target: 'B', cost: 4 },
+        { source: 'B', target: 'C', cost: 1 }
+      ];
+
+      const stats = getNetworkStats(network, [FEATURES.STRENGTH], { verbose: false, weight: 'cost' });
+
+      expect(stats.find(n => n.id === 'B').strength).toBe(5);
+    });
+
+    test('rejects invalid values in a custom weight attribute', () => {
+      const network = [{ source: 'A', target: 'B', cost: -2 }];
+
+      expect(() => getNetworkStats(network, [FEATURES.STRENGTH], { verbose: false, weight: 'cost' }))
+        .toThrow('cost must be non-negative');
+    });
+
     test('rejects negative weights', () => {
       const invalidNetwork = [
         { source: 'A', target: 'B', weight: -1 }
@@ -312,6 +626,121 @@ describe('getNetworkStats - Integration Tests', () => {
     });
   });
 
+  describe('Directed graphs', () => {
+    // A <-> B form a cycle, B -> C -> D is a chain
+    const directedNetwork = [
+      { source: 'A', target: 'B' },
+      { source: 'B', target: 'A' },
+      { source: 'B', target: 'C' },
+      { source: 'C', target: 'D' }
+    ];
+
+    test('calculates in- and out-degree', () => {
+      const stats = getNetworkStats(
+        directedNetwork,
+        [FEATURES.DEGREE, FEATURES.IN_DEGREE, FEATURES.OUT_DEGREE],
+        { verbose: false, directed: true }
+      );
+
+      const nodeB = stats.find(n => n.id === 'B');
+      expect(nodeB.inDegree).toBe(1);
+      expect(nodeB.outDegree).toBe(2);
+      expect(nodeB.degree).toBe(3);
+      expect(stats.find(n => n.id === 'D').outDegree).toBe(0);
+    });
+
+    test('betweenness follows edge direction', () => {
+      const stats = getNetworkStats(
+        directedNetwork,
+        [FEATURES.BETWEENNESS],
+        { verbose: false, directed: true }
+      );
+
+      // B lies on A->C and A->D, C on A->D and B->D; normalized by (n-1)(n-2)
+      expect(stats.find(n => n.id === 'B').betweenness).toBeCloseTo(2 / 6, 10);
+      expect(stats.find(n => n.id === 'C').betweenness).toBeCloseTo(2 / 6, 10);
+      expect(stats.find(n => n.id === 'A').betweenness).toBe(0);
+    });
+
+    test('clustering uses the directed definition', () => {
+      const network = [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' },
+        { source: 'C', target: 'A' },
+        { source: 'A', target: 'C' }
+      ];
+
+      const stats = getNetworkStats(network, [FEATURES.CLUSTERING], { verbose: false, directed: true });
+
+      // networkx.clustering(DiGraph) reference values
+      expect(stats.find(n => n.id === 'A').clustering).toBeCloseTo(0.5, 10);
+      expect(stats.find(n => n.id === 'B').clustering).toBeCloseTo(1, 10);
+      expect(stats.find(n => n.id === 'C').clustering).toBeCloseTo(0.5, 10);
+    });
+
+    test('calculates HITS hub and authority scores', () => {
+      const network = [
+        { source: 'A', target: 'C' },
+        { source: 'B', target: 'C' },
+        { source: 'B', target: 'D' }
+      ];
+
+      const stats = getNetworkStats(network, [FEATURES.HITS], { verbose: false, directed: true });
+      const node = id => stats.find(n => n.id === id);
+
+      expect(node('B').hub).toBeGreaterThan(node('A').hub);
+      expect(node('C').authority).toBeGreaterThan(node('D').authority);
+      expect(node('C').hub).toBe(0);
+      expect(node('A').authority).toBe(0);
+      expect(stats.reduce((sum, n) => sum + n.hub, 0)).toBeCloseTo(1, 10);
+      expect(stats.reduce((sum, n) => sum + n.authority, 0)).toBeCloseTo(1, 10);
+    });
+
+    test('assigns strongly and weakly connected components', () => {
+      const network = [...directedNetwork, { source: 'E', target: 'F' }];
+
+      const stats = getNetworkStats(
+        network,
+        [FEATURES.STRONG_COMPONENT, FEATURES.WEAK_COMPONENT],
+        { verbose: false, directed: true }
+      );
+      const node = id => stats.find(n => n.id === id);
+
+      expect(node('A').strongComponent).toBe(0);
+      expect(node('B').strongComponent).toBe(0);
+      expect(node('C').strongComponent).not.toBe(node('D').strongComponent);
+      expect(new Set(stats.map(n => n.strongComponent)).size).toBe(5);
+
+      ['A', 'B', 'C', 'D'].forEach(id => expect(node(id).weakComponent).toBe(0));
+      expect(node('E').weakComponent).toBe(1);
+      expect(node('F').weakComponent).toBe(1);
+    });
+
+    test('defaults to every directed-capable feature', () => {
+      const stats = getNetworkStats(directedNetwork, null, { verbose: false, directed: true });
+
+      expect(stats[0]).toHaveProperty('inDegree');
+      expect(stats[0]).toHaveProperty('hub');
+      expect(stats[0]).toHaveProperty('strongComponent');
+      expect(stats[0]).not.toHaveProperty('cliques');
+      expect(stats[0]).not.toHaveProperty('modularity');
+    });
+
+    test('rejects undirected-only features in directed mode', () => {
+      expect(() => getNetworkStats(directedNetwork, [FEATURES.CLIQUES], { verbose: false, directed: true }))
+        .toThrow('not supported on directed graphs');
+      expect(() => getNetworkStats(directedNetwork, [FEATURES.MODULARITY], { verbose: false, directed: true }))
+        .toThrow('not supported on directed graphs');
+    });
+
+    test('rejects directed-only features in undirected mode', () => {
+      expect(() => getNetworkStats(directedNetwork, [FEATURES.IN_DEGREE], { verbose: false }))
+        .toThrow('requires a directed graph');
+      expect(() => getNetworkStats(directedNetwork, [FEATURES.HITS], { verbose: false }))
+        .toThrow('requires a directed graph');
+    });
+  });
+
   describe('Node ID types', () => {
     test('handles numeric node IDs', () => {
       const numericNetwork = [
@@ -326,6 +755,25 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(stats.map(n => n.id).sort()).toEqual([1, 2, 3]);
     });
 
+    test('computes every feature for numeric node IDs', () => {
+      const numericNetwork = [
+        { source: 1, target: 2 },
+        { source: 2, target: 3 },
+        { source: 3, target: 1 },
+        { source: 3, target: 4 }
+      ];
+
+      const stats = getNetworkStats(numericNetwork, [...FEATURES.ALL, FEATURES.TRANSITIVITY], { verbose: false });
+
+      expect(stats.map(n => n.id)).toEqual([1, 2, 3, 4]);
+      const node3 = stats.find(n => n.id === 3);
+      expect(node3.degree).toBe(3);
+      expect(node3.triangles).toBe(1);
+      expect(node3.cliques).toBe(2);
+      expect(node3.clustering).toBeCloseTo(1 / 3, 10);
+      expect(node3.eigenvector).toBeGreaterThan(0);
+    });
+
     test('handles string node IDs', () => {
       const stringNetwork = [
         { source: 'Alice', target: 'Bob' },
@@ -339,6 +787,29 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(ids).toEqual(['Alice', 'Bob', 'Carol']);
     });
 
+    test('accepts 0 as a node ID', () => {
+      const stats = getNetworkStats(
+        [{ source: 0, target: 1 }, { source: 1, target: 2 }],
+        [FEATURES.DEGREE, FEATURES.BETWEENNESS],
+        { verbose: false }
+      );
+
+      expect(stats).toEqual([
+        { id: 0, degree: 1, betweenness: 0 },
+        { id: 1, degree: 2, betweenness: 1 },
+        { id: 2, degree: 1, betweenness: 0 }
+      ]);
+    });
+
+    test('rejects self-loops and multi-edges in strict mode', () => {
+      const network = [{ source: 'A', target: 'B' }, { source: 'B', target: 'A' }];
+
+      expect(() => getNetworkStats(network, [FEATURES.DEGREE], { verbose: false, strict: true }))
+        .toThrow('repeats the edge at index 0');
+      expect(getNetworkStats(network, [FEATURES.DEGREE], { verbose: false, directed: true, strict: true }))
+        .toHaveLength(2);
+    });
+
     test('rejects invalid node ID types', () => {
       const invalidNetwork = [
         { source: {}, target: 'B' }
@@ -349,6 +820,182 @@ describe('getNetworkStats - Integration Tests', () => {
     });
   });
 
+  describe('Self-loops and multi-edges', () => {
+    const network = [
+      { source: 'A', target: 'B', weight: 1 },
+      { source: 'B', target: 'A', weight: 2 },
+      { source: 'B', target: 'C', weight: 1 },
+      { source: 'C', target: 'A', weight: 4 },
+      { source: 'C', target: 'D', weight: 1 },
+      { source: 'D', target: 'D', weight: 1 }
+    ];
+    const features = [FEATURES.DEGREE, FEATURES.STRENGTH, FEATURES.BETWEENNESS, FEATURES.MODULARITY];
+
+    test('every calculator sees the merged edges', () => {
+      const merged = [
+        { source: 'A', target: 'B', weight: 3 },
+        { source: 'B', target: 'C', weight: 1 },
+        { source: 'C', target: 'A', weight: 4 },
+        { source: 'C', target: 'D', weight: 1 },
+        { source: 'D', target: 'D', weight: 1 }
+      ];
+
+      const stats = getNetworkStats(network, features, { verbose: false });
+
+      expect(stats).toEqual(getNetworkStats(merged, features, { verbose: false }));
+      expect(stats.find(n => n.id === 'A')).toMatchObject({ degree: 2, strength: 7 });
+      expect(detectCommunities(network, { verbose: false })).toEqual(detectCommunities(merged, { verbose: false }));
+    });
+
+    test('merge-max, first and dropped self-loops', () => {
+      const strength = options => Object.fromEntries(
+        getNetworkStats(network, [FEATURES.STRENGTH], { verbose: false, ...options }).map(n => [n.id, n.strength])
+      );
+
+      expect(strength({ multiEdges: 'merge-max' })).toEqual({ A: 6, B: 3, C: 6, D: 3 });
+      expect(strength({ multiEdges: 'first' })).toEqual({ A: 5, B: 2, C: 6, D: 3 });
+      expect(strength({ selfLoops: 'drop' })).toEqual({ A: 7, B: 4, C: 6, D: 1 });
+    });
+
+    test('a node with only a dropped self-loop stays isolated', () => {
+      const stats = getNetworkStats(
+        [{ source: 'A', target: 'B' }, { source: 'C', target: 'C' }],
+        [FEATURES.DEGREE],
+        { verbose: false, selfLoops: 'drop' }
+      );
+
+      expect(stats).toEqual([{ id: 'A', degree: 1 }, { id: 'C', degree: 0 }, { id: 'B', degree: 1 }]);
+    });
+
+    test('error policies reject the network', () => {
+      expect(() => getNetworkStats(network, features, { verbose: false, multiEdges: 'error' }))
+        .toThrow('Invalid edge at index 1: repeats the edge at index 0');
+      expect(() => getNetworkStats(network, features, { verbose: false, selfLoops: 'error', multiEdges: 'first' }))
+        .toThrow('self-loop on node D');
+    });
+  });
+
+  describe('Multigraphs', () => {
+    // One edge per message
+    const messages = [
+      { source: 'A', target: 'B', weight: 1 },
+      { source: 'B', target: 'A', weight: 2 },
+      { source: 'A', target: 'B', weight: 3 },
+      { source: 'A', target: 'C', weight: 1 },
+      { source: 'B', target: 'C', weight: 1 }
+    ];
+    const simple = [
+      { source: 'A', target: 'B', weight: 6 },
+      { source: 'A', target: 'C', weight: 1 },
+      { source: 'B', target: 'C', weight: 1 }
+    ];
+    const options = { verbose: false, multigraph: true };
+
+    test('degree and strength count parallel edges', () => {
+      const stats = getNetworkStats(messages, [FEATURES.DEGREE, FEATURES.STRENGTH, FEATURES.MULTIPLICITY], options);
+
+      expect(stats).toEqual([
+        { id: 'A', degree: 4, strength: 7, multiplicity: 2 },
+        { id: 'B', degree: 4, strength: 7, multiplicity: 2 },
+        { id: 'C', degree: 2, strength: 2, multiplicity: 1 }
+      ]);
+    });
+
+    test('other metrics see one edge per node pair', () => {
+      const features = [FEATURES.BETWEENNESS, FEATURES.CLOSENESS, FEATURES.EIGENVECTOR, FEATURES.MODULARITY];
+
+      expect(getNetworkStats(messages, features, options))
+        .toEqual(getNetworkStats(simple, features, { verbose: false }));
+      expect(getNetworkStats(messages, [FEATURES.EIGENVECTOR], { ...options, multiEdges: 'merge-max' }))
+        .toEqual(getNetworkStats(messages, [FEATURES.EIGENVECTOR], { verbose: false, multiEdges: 'merge-max' }));
+      expect(detectCommunities(messages, options)).toEqual(detectCommunities(simple, { verbose: false }));
+    });
+
+    test('reports multiplicity by default and counts parallel edges in the summary', () => {
+      expect(Object.keys(getNetworkStats(messages, null, options)[0])).toContain('multiplicity');
+      expect(Object.keys(getNetworkStats(messages, null, { verbose: false })[0])).not.toContain('multiplicity');
+
+      expect(getGraphSummary(messages, options)).toMatchObject({
+        nodeCount: 3,
+        edgeCount: 5,
+        density: 1,
+        averageDegree: 10 / 3
+      });
+    });
+
+    test('parallel edges are not multi-edge errors', () => {
+      expect(() => getNetworkStats(messages, [FEATURES.DEGREE], { ...options, strict: true })).not.toThrow();
+      expect(() => getNetworkStats(messages, [FEATURES.DEGREE], { ...options, multiEdges: 'error' }))
+        .toThrow('multiEdges cannot be error on a multigraph');
+    });
+  });
+
+  describe('Declared nodes', () => {
+    const network = {
+      nodes: [
+        { id: 'A', label: 'Alice', degree: 'ignored' },
+        { id: 'B', label: 'Bob' },
+        { id: 'D', label: 'Dave', team: 'blue' }
+      ],
+      edges: [
+        { source: 'A', target: 'B' },
+        { source: 'B', target: 'C' },
+        { source: 'C', target: 'A' }
+      ]
+    };
+
+    test('includes isolated nodes with zero-valued metrics', () => {
+      const stats = getNetworkStats(network, [
+        ...FEATURES.ALL,
+        FEATURES.STRENGTH,
+        FEATURES.CLOSENESS,
+        FEATURES.HARMONIC,
+        FEATURES.PAGERANK,
+        FEATURES.TRANSITIVITY
+      ], { verbose: false });
+
+      expect(stats.map(n => n.id)).toEqual(['A', 'B', 'D', 'C']);
+      const dave = stats.find(n => n.id === 'D');
+      expect(dave).toMatchObject({
+        degree: 0,
+        strength: 0,
+        eigenvector: 0,
+        betweenness: 0,
+        closeness: 0,
+        harmonic: 0,
+        clustering: 0,
+        cliques: 1,
+        triangles: 0
+      });
+      expect(dave.pagerank).toBeGreaterThan(0);
+      expect(stats.reduce((sum, n) => sum + n.pagerank, 0)).toBeCloseTo(1, 6);
+      expect(dave.modularity).not.toBe(stats.find(n => n.id === 'A').modularity);
+    });
+
+    test('passes node attributes through, metrics first on clashes', () => {
+      const stats = getNetworkStats(network, [FEATURES.DEGREE], { verbose: false });
+
+      expect(stats[0]).toEqual({ id: 'A', label: 'Alice', degree: 2 });
+      expect(Object.keys(stats[2])).toEqual(['id', 'label', 'team', 'degree']);
+      expect(stats[3]).toEqual({ id: 'C', degree: 2 });
+    });
+
+    test('computes directed features for isolated nodes', () => {
+      const stats = getNetworkStats(network, [FEATURES.IN_DEGREE, FEATURES.OUT_DEGREE, FEATURES.HITS], {
+        verbose: false,
+        directed: true
+      });
+
+      expect(stats.find(n => n.id === 'D')).toMatchObject({ inDegree: 0, outDegree: 0, hub: 0, authority: 0 });
+    });
+
+    test('accepts a network of isolated nodes only', () => {
+      const stats = getNetworkStats({ nodes: [{ id: 1 }, { id: 2 }], edges: [] }, [FEATURES.DEGREE], { verbose: false });
+
+      expect(stats).toEqual([{ id: 1, degree: 0 }, { id: 2, degree: 0 }]);
+    });
+  });
+
   describe('Performance with larger graphs', () => {
     test('handles moderately large graphs', () => {
       // Create a ring graph with 50 nodes
@@ -379,6 +1026,7 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(FEATURES.CLUSTERING).toBe('clustering');
       expect(FEATURES.CLIQUES).toBe('cliques');
       expect(FEATURES.MODULARITY).toBe('modularity');
+      expect(FEATURES.TRANSITIVITY).toBe('transitivity');
     });
 
     test('FEATURES.ALL contains all feature names', () => {
@@ -389,5 +1037,320 @@ describe('getNetworkStats - Integration Tests', () => {
       expect(FEATURES.ALL).toContain('cliques');
       expect(FEATURES.ALL).toContain('modularity');
     });
+
+    test('FEATURES.ALL leaves the newer features opt-in', () => {
+      for (const feature of ['strength', 'closeness', 'harmonic', 'pagerank', 'transitivity']) {
+        expect(FEATURES.ALL).not.toContain(feature);
+      }
+    });
+  });
+});
+
+describe('getGraphSummary', () => {
+  // Two triangles joined by a bridge, plus a separate pair
+  const network = [
+    { source: 'a', target: 'b' },
+    { source: 'b', target: 'c' },
+    { source: 'c', target: 'a' },
+    { source: 'd', target: 'e' },
+    { source: 'e', target: 'f' },
+    { source: 'f', target: 'd' },
+    { source: 'c', target: 'd' },
+    { source: 'x', target: 'y' }
+  ];
+
+  test('calculates size, density and degree statistics', () => {
+    const summary = getGraphSummary(network, { verbose: false });
+
+    expect(summary.nodeCount).toBe(8);
+    expect(summary.edgeCount).toBe(8);
+    expect(summary.directed).toBe(false);
+    expect(summary.density).toBeCloseTo(16 / 56, 10);
+    expect(summary.averageDegree).toBe(2);
+    // Pearson correlation over (deg u, deg v) pairs in both directions
+    expect(summary.degreeAssortativity).toBeCloseTo(3 / 7, 10);
+  });
+
+  test('calculates clustering and transitivity', () => {
+    const summary = getGraphSummary(network, { verbose: false });
+
+    expect(summary.averageClustering).toBeCloseTo((4 + 2 / 3) / 8, 10);
+    expect(summary.transitivity).toBeCloseTo(0.6, 10);
+  });
+
+  test('calculates path statistics on the largest component', () => {
+    const summary = getGraphSummary(network, { verbose: false });
+
+    expect(summary.componentCount).toBe(2);
+    expect(summary.strongComponentCount).toBe(2);
+    expect(summary.largestComponentSize).toBe(6);
+    expect(summary.diameter).toBe(3);
+    expect(summary.radius).toBe(2);
+    expect(summary.averageShortestPath).toBeCloseTo(54 / 30, 10);
+  });
+
+  test('calculates the modularity score of the Louvain partition', () => {
+    const summary = getGraphSummary(network, { verbose: false });
+
+    // Communities {a,b,c}, {d,e,f}, {x,y}
+    expect(summary.modularity).toBeCloseTo(0.4765625, 10);
+  });
+
+  test('counts weak and strong components on directed graphs', () => {
+    const summary = getGraphSummary(network, { verbose: false, directed: true });
+
+    // Both triangles are cycles; the bridge and the pair are one-way
+    expect(summary.componentCount).toBe(2);
+    expect(summary.strongComponentCount).toBe(4);
+    expect(summary.largestComponentSize).toBe(3);
+  });
+
+  test('returns null for undirected-only statistics on directed graphs', () => {
+    const summary = getGraphSummary(network, { verbose: false, directed: true });
+
+    expect(summary.directed).toBe(true);
+    expect(summary.transitivity).toBeNull();
+    expect(summary.modularity).toBeNull();
+    expect(summary.averageDegree).toBe(1);
+  });
+
+  test('returns null assortativity for regular graphs', () => {
+    const ring = [
+      { source: 1, target: 2 },
+      { source: 2, target: 3 },
+      { source: 3, target: 1 }
+    ];
+
+    expect(getGraphSummary(ring, { verbose: false }).degreeAssortativity).toBeNull();
+  });
+
+  test('counts isolated nodes', () => {
+    const summary = getGraphSummary({ nodes: [{ id: 'z' }], edges: network }, { verbose: false });
+
+    expect(summary.nodeCount).toBe(9);
+    expect(summary.edgeCount).toBe(8);
+    expect(summary.density).toBeCloseTo(16 / 72, 10);
+    expect(summary.componentCount).toBe(3);
+    expect(summary.largestComponentSize).toBe(6);
+  });
+
+  test('uses the largest component wherever it appears in the network', () => {
+    const summary = getGraphSummary([
+      { source: 1, target: 2 },
+      { source: 3, target: 4 },
+      { source: 4, target: 5 },
+      { source: 5, target: 6 }
+    ], { verbose: false });
+
+    expect(summary.largestComponentSize).toBe(4);
+    expect(summary.diameter).toBe(3);
+    expect(summary.radius).toBe(2);
+  });
+
+  test('validates the network', () => {
+    expect(() => getGraphSummary([], { verbose: false })).toThrow('Network cannot be empty');
+  });
+});
+
+describe('detectCommunities', () => {
+  const twoTriangles = [
+    { source: 'a', target: 'b' },
+    { source: 'b', target: 'c' },
+    { source: 'c', target: 'a' },
+    { source: 'd', target: 'e' },
+    { source: 'e', target: 'f' },
+    { source: 'f', target: 'd' },
+    { source: 'c', target: 'd' }
+  ];
+
+  test('returns partition, modularity and member lists', () => {
+    const result = detectCommunities(twoTriangles, { verbose: false });
+    const last = result.levels[result.levels.length - 1];
+
+    expect(result.partition).toEqual(last.partition);
+    expect(result.modularity).toBe(last.modularity);
+    expect(result.modularity).toBeCloseTo(5 / 14, 10);
+    expect(last.communities).toHaveLength(2);
+    last.communities.forEach(community => {
+      expect(community.size).toBe(3);
+      expect(community.members).toHaveLength(3);
+    });
+    expect(last.communities.map(c => c.members.sort()))
+      .toEqual(expect.arrayContaining([['a', 'b', 'c'], ['d', 'e', 'f']]));
+  });
+
+  test('returns every dendrogram level with increasing modularity', () => {
+    const { levels } = detectCommunities(loadNetwork('rj'), { verbose: false });
+
+    expect(levels.length).toBeGreaterThan(1);
+    for (let i = 1; i < levels.length; i++) {
+      expect(levels[i].level).toBe(i);
+      expect(levels[i].modularity).toBeGreaterThan(levels[i - 1].modularity);
+      expect(levels[i].communities.length).toBeLessThan(levels[i - 1].communities.length);
+    }
+  });
+
+  test('communityLevel selects the level reported in the modularity column', () => {
+    const network = loadNetwork('rj');
+    const { levels } = detectCommunities(network, { verbose: false });
+
+    const finest = getNetworkStats(network, [FEATURES.MODULARITY], { verbose: false, communityLevel: 0 });
+    const coarsest = getNetworkStats(network, [FEATURES.MODULARITY], { verbose: false });
+    const clamped = getNetworkStats(network, [FEATURES.MODULARITY], { verbose: false, communityLevel: 99 });
+
+    expect(new Set(finest.map(n => n.modularity)).size).toBe(levels[0].communities.length);
+    expect(new Set(coarsest.map(n => n.modularity)).size)
+      .toBe(levels[levels.length - 1].communities.length);
+    expect(clamped).toEqual(coarsest);
+  });
+
+  test('resolution tunes community granularity', () => {
+    const network = loadNetwork('rj');
+    const count = resolution =>
+      detectCommunities(network, { verbose: false, resolution }).levels.at(-1).communities.length;
+
+    expect(count(0.5)).toBeLessThan(count(1));
+    expect(count(2)).toBeGreaterThan(count(1));
+  });
+
+  test('seeded runs are reproducible after shuffling the input', () => {
+    const network = loadNetwork('rj');
+    const shuffled = shuffle(network, createRandom(1));
+
+    const first = detectCommunities(network, { verbose: false, seed: 42 });
+    const second = detectCommunities(shuffled, { verbose: false, seed: 42 });
+
+    expect(second.partition).toEqual(first.partition);
+    expect(second.modularity).toBe(first.modularity);
+  });
+
+  test('different seeds explore different node orders', () => {
+    const network = loadNetwork('rj');
+    const partitions = [1, 2, 3, 4, 5].map(seed =>
+      JSON.stringify(detectCommunities(network, { verbose: false, seed }).partition)
+    );
+
+    expect(new Set(partitions).size).toBeGreaterThan(1);
+  });
+
+  test('puts isolated nodes in their own communities', () => {
+    const { partition, levels } = detectCommunities(
+      { nodes: [{ id: 'y' }, { id: 'z' }], edges: twoTriangles },
+      { verbose: false }
+    );
+
+    expect(levels.at(-1).communities).toHaveLength(4);
+    expect(partition.y).not.toBe(partition.z);
+
+    const edgeless = detectCommunities({ nodes: [{ id: 'y' }, { id: 'z' }], edges: [] }, { verbose: false });
+    expect(edgeless.partition).toEqual({ y: 0, z: 1 });
+  });
+
+  describe('with Leiden', () => {
+    // Number of communities whose members are not connected within the community
+    const countDisconnected = (network, partition) => {
+      const neighbors = new Map(Object.keys(partition).map(node => [node, []]));
+      for (const { source, target } of network) {
+        neighbors.get(String(source)).push(String(target));
+        neighbors.get(String(target)).push(String(source));
+      }
+
+      const members = new Map();
+      for (const [node, community] of Object.entries(partition)) {
+        if (!members.has(community)) members.set(community, []);
+        members.get(community).push(node);
+      }
+
+      let disconnected = 0;
+      for (const [community, list] of members) {
+        const seen = new Set([list[0]]);
+        const stack = [list[0]];
+        while (stack.length > 0) {
+          for (const next of neighbors.get(stack.pop())) {
+            if (!seen.has(next) && partition[next] === community) {
+              seen.add(next);
+              stack.push(next);
+            }
+          }
+        }
+        if (seen.size !== list.length) disconnected++;
+      }
+      return disconnected;
+    };
+
+    test('finds the two triangles', () => {
+      const result = detectCommunities(twoTriangles, { verbose: false, communityAlgorithm: 'leiden', seed: 1 });
+
+      expect(result.modularity).toBeCloseTo(5 / 14, 10);
+      expect(result.levels.at(-1).communities.map(c => c.members.sort()))
+        .toEqual(expect.arrayContaining([['a', 'b', 'c'], ['d', 'e', 'f']]));
+    });
+
+    test('Louvain leaves disconnected communities on rj', () => {
+      const network = loadNetwork('rj');
+      const { partition } = detectCommunities(network, { verbose: false });
+
+      expect(countDisconnected(network, partition)).toBeGreaterThan(0);
+    });
+
+    test.each(['caruaru', 'rj'])('returns only connected communities on %s', name => {
+      const network = loadNetwork(name);
+      const louvainResult = detectCommunities(network, { verbose: false });
+      const leidenResult = detectCommunities(network, { verbose: false, communityAlgorithm: 'leiden', seed: 42 });
+
+      leidenResult.levels.forEach(({ partition }) => {
+        expect(countDisconnected(network, partition)).toBe(0);
+      });
+      expect(leidenResult.modularity).toBeGreaterThanOrEqual(louvainResult.modularity - 0.01);
+    });
+
+    test('reports non-decreasing modularity per iteration', () => {
+      const { levels } = detectCommunities(loadNetwork('rj'), {
+        verbose: false,
+        communityAlgorithm: 'leiden',
+        seed: 42
+      });
+
+      for (let i = 1; i < levels.length; i++) {
+        expect(levels[i].modularity).toBeGreaterThanOrEqual(levels[i - 1].modularity);
+      }
+    });
+
+    test('seeded runs are reproducible after shuffling the input', () => {
+      const network = loadNetwork('rj');
+      const options = { verbose: false, communityAlgorithm: 'leiden', seed: 7 };
+
+      const first = detectCommunities(network, options);
+      const second = detectCommunities(shuffle(network, createRandom(3)), options);
+
+      expect(second.partition).toEqual(first.partition);
+      expect(second.modularity).toBe(first.modularity);
+    });
+
+    test('drives the modularity column', () => {
+      const network = loadNetwork('caruaru');
+      const options = { verbose: false, communityAlgorithm: 'leiden', seed: 42 };
+      const { partition } = detectCommunities(network, options);
+
+      const stats = getNetworkStats(network, [FEATURES.MODULARITY], options);
+      stats.forEach(node => {
+        expect(node.modularity).toBe(partition[node.id]);
+      });
+    });
+  });
+
+  test('rejects a non-positive resolution', () => {
+    expect(() => detectCommunities(twoTriangles, { verbose: false, resolution: 0 }))
+      .toThrow('resolution must be positive');
+  });
+
+  test('rejects directed graphs', () => {
+    expect(() => detectCommunities(twoTriangles, { verbose: false, directed: true }))
+      .toThrow('not supported on directed graphs');
+  });
+
+  test('rejects a negative communityLevel', () => {
+    expect(() => detectCommunities(twoTriangles, { verbose: false, communityLevel: -1 }))
+      .toThrow('communityLevel must be non-negative');
   });
 });
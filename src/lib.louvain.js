@@ -13,6 +13,8 @@ export const louvain = () => {
   var original_graph_edges;
   var original_graph = {};
   var partition_init;
+  var resolution = 1;
+  var random_fn = null;
 
   //Helpers
   function make_set(array) {
@@ -109,6 +111,21 @@ export const louvain = () => {
     graph._assoc_mat[edge.target][edge.source] = edge.weight;
   }
 
+  // Node visiting order: as given, or shuffled every pass when a PRNG is set
+  function node_order(nodes) {
+    if (!random_fn) return nodes;
+
+    var order = nodes.slice();
+    for (var i = order.length - 1; i > 0; i--) {
+      var j = Math.floor(random_fn() * (i + 1));
+      var tmp = order[i];
+      order[i] = order[j];
+      order[j] = tmp;
+    }
+
+    return order;
+  }
+
   function clone(obj) {
     if (obj === null || typeof obj !== "object") return obj;
 
@@ -183,7 +200,9 @@ export const louvain = () => {
       var degree = status.degrees[com] || 0;
       if (links > 0) {
         result =
-          result + in_degree / links - Math.pow(degree / (2.0 * links), 2);
+          result +
+          in_degree / links -
+          resolution * Math.pow(degree / (2.0 * links), 2);
       }
     });
 
@@ -257,7 +276,7 @@ export const louvain = () => {
       modif = false;
       nb_pass_done += 1;
 
-      graph.nodes.forEach(function (node, i) {
+      node_order(graph.nodes).forEach(function (node, i) {
         var com_node = status.nodes_to_com[node];
         var degc_totw =
           (status.gdegrees[node] || 0) / (status.total_weight * 2.0);
@@ -269,7 +288,8 @@ export const louvain = () => {
 
         neigh_communities_entries.forEach(function (com, i) {
           var incr =
-            neigh_communities[com] - (status.degrees[com] || 0.0) * degc_totw;
+            neigh_communities[com] -
+            resolution * (status.degrees[com] || 0.0) * degc_totw;
           if (incr > best_increase) {
             best_increase = incr;
             best_com = com;
@@ -324,11 +344,11 @@ export const louvain = () => {
     return partition;
   }
 
-  function generate_dendogram(graph, part_init) {
+  function generate_dendogram(graph, part_init, modularities) {
     if (graph.edges.length === 0) {
       var part = {};
       graph.nodes.forEach(function (node, i) {
-        part[node] = node;
+        part[node] = i;
       });
       return part;
     }
@@ -341,6 +361,7 @@ export const louvain = () => {
     var new_mod = __modularity(status);
     var partition = __renumber(status.nodes_to_com);
     status_list.push(partition);
+    if (modularities) modularities.push(new_mod);
     mod = new_mod;
     var current_graph = induced_graph(partition, original_graph);
     init_status(current_graph, status);
@@ -354,6 +375,7 @@ export const louvain = () => {
 
       partition = __renumber(status.nodes_to_com);
       status_list.push(partition);
+      if (modularities) modularities.push(new_mod);
 
       mod = new_mod;
       current_graph = induced_graph(partition, current_graph);
@@ -370,6 +392,27 @@ export const louvain = () => {
     return partition_at_level(dendogram, dendogram.length - 1);
   };
 
+  // Partition and modularity at every level of the dendogram
+  core.levels = function () {
+    var modularities = [];
+    var dendogram = generate_dendogram(
+      original_graph,
+      partition_init,
+      modularities
+    );
+
+    if (!Array.isArray(dendogram)) {
+      // No edges: every node is its own community
+      return { partitions: [dendogram], modularities: [0] };
+    }
+
+    var partitions = dendogram.map(function (d, level) {
+      return partition_at_level(dendogram, level);
+    });
+
+    return { partitions: partitions, modularities: modularities };
+  };
+
   core.nodes = function (nds) {
     if (arguments.length > 0) {
       original_graph_nodes = nds;
@@ -395,6 +438,22 @@ export const louvain = () => {
     return core;
   };
 
+  // Resolution (gamma): > 1 favours smaller communities, < 1 larger ones
+  core.resolution = function (gamma) {
+    if (arguments.length > 0) {
+      resolution = gamma;
+    }
+    return core;
+  };
+
+  // PRNG returning floats in [0, 1), used to shuffle the node order
+  core.random = function (fn) {
+    if (arguments.length > 0) {
+      random_fn = fn;
+    }
+    return core;
+  };
+
   core.partition_init = function (prttn) {
     if (arguments.length > 0) {
       partition_init = prttn;
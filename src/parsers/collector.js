@@ -0,0 +1,91 @@
+/**
+ * Accumulates the nodes and edges read by a parser
+ * @module parsers/collector
+ */
+
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { validateNetwork } from '../validators/network.js';
+
+/**
+ * @typedef {Object} ParsedNetwork
+ * @property {Array<Object>} nodes - Every node as `{ id, ...attributes }`, isolated nodes included
+ * @property {Array<Object>} edges - Edges as `{ source, target, ...attributes }`, ready for getNetworkStats
+ * @property {boolean} directed - Whether the file declares a directed graph
+ */
+
+/**
+ * Collects nodes in first-seen order and edges in file order
+ *
+ * @example
+ * const collector = new NetworkCollector(true);
+ * collector.addNode('a', { label: 'Alice' });
+ * collector.addEdge('a', 'b', { weight: '2' });
+ * collector.finish(); // { nodes: [{ id: 'a', label: 'Alice' }, { id: 'b' }], edges: [...], directed: true }
+ */
+export class NetworkCollector {
+  /**
+   * @param {boolean} [directed=false] - Whether the graph is directed
+   */
+  constructor(directed = false) {
+    this.directed = directed;
+    /** @type {Map<string, Object>} Node ID to node object */
+    this.nodes = new Map();
+    /** @type {Array<Object>} */
+    this.edges = [];
+  }
+
+  /**
+   * Add a node, or merge attributes into an existing one
+   *
+   * @param {string} id - Node ID
+   * @param {Object} [attributes] - Node attributes (an `id` attribute is ignored)
+   */
+  addNode(id, attributes = {}) {
+    if (!this.nodes.has(id)) {
+      this.nodes.set(id, { id });
+    }
+    const node = this.nodes.get(id);
+    for (const [key, value] of Object.entries(attributes)) {
+      if (key !== 'id') node[key] = value;
+    }
+  }
+
+  /**
+   * Add an edge, adding nodes it references that were not declared
+   *
+   * @param {string} source - Source node ID
+   * @param {string} target - Target node ID
+   * @param {Object} [attributes] - Edge attributes
+   */
+  addEdge(source, target, attributes = {}) {
+    this.addNode(source);
+    this.addNode(target);
+    this.edges.push(Object.assign({ source, target }, attributes, { source, target }));
+  }
+
+  /**
+   * Convert the weight attribute to numbers and validate the network
+   *
+   * @param {string|null} [weight='weight'] - Edge attribute holding the weight (null = none)
+   * @returns {ParsedNetwork} Parsed network
+   * @throws {Error} If the nodes and edges do not form a valid network
+   */
+  finish(weight = DEFAULT_WEIGHT_ATTRIBUTE) {
+    if (weight !== null) {
+      for (const edge of this.edges) {
+        if (typeof edge[weight] !== 'string') continue;
+        const value = edge[weight].trim();
+        if (value === '') {
+          delete edge[weight];
+        } else {
+          edge[weight] = Number(value);
+        }
+      }
+    }
+
+    const network = { nodes: [...this.nodes.values()], edges: this.edges };
+    validateNetwork(network, { weight });
+
+    return { ...network, directed: this.directed };
+  }
+}
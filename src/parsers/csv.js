@@ -0,0 +1,147 @@
+/**
+ * Edge-list CSV/TSV parser
+ * @module parsers/csv
+ */
+
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { NetworkCollector } from './collector.js';
+
+/**
+ * Parse an edge list in CSV (one edge per row)
+ *
+ * Columns are picked by header name, or by zero-based index (which works with
+ * and without a header). With a header, the other columns are kept as string
+ * edge attributes. The weight column is optional: rows with an empty weight
+ * cell, or files without the column, are unweighted. Fields may be quoted
+ * (RFC 4180); blank lines are skipped. Edge lists say nothing about
+ * direction, so `directed` is always false.
+ *
+ * @param {string} text - CSV source
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {boolean} [options.header=true] - Whether the first row holds column names
+ * @param {string|number} [options.source] - Source column ('source', or 0 without header)
+ * @param {string|number} [options.target] - Target column ('target', or 1 without header)
+ * @param {string|number|null} [options.weight] - Weight column ('weight', or 2 without header; null = none)
+ * @returns {import('./collector.js').ParsedNetwork} Nodes, edges and direction
+ * @throws {Error} If a column is missing or the edges are invalid
+ *
+ * @example
+ * const { edges } = fromCSV('from,to,w\nA,B,2\nB,C,1', { source: 'from', target: 'to', weight: 'w' });
+ * // [{ source: 'A', target: 'B', w: 2 }, { source: 'B', target: 'C', w: 1 }]
+ */
+export function fromCSV(text, options = {}) {
+  const { delimiter = ',', header = true } = options;
+  const {
+    source = header ? 'source' : 0,
+    target = header ? 'target' : 1,
+    weight = header ? DEFAULT_WEIGHT_ATTRIBUTE : 2
+  } = options;
+
+  try {
+    const rows = parseRows(text.replace(/^\uFEFF/, ''), delimiter)
+      .filter(row => row.length > 1 || row[0].trim() !== '');
+    const columns = header ? rows.shift() ?? [] : [];
+
+    const column = (name, required) => {
+      const index = typeof name === 'number' ? name : columns.indexOf(name);
+      if (required && (index < 0 || (header && index >= columns.length))) {
+        throw new Error(`column not found: ${name}`);
+      }
+      return index;
+    };
+    const sourceIndex = column(source, true);
+    const targetIndex = column(target, true);
+    const weightIndex = weight === null ? -1 : column(weight, false);
+    const weightName = typeof weight === 'number' ? columns[weight] ?? DEFAULT_WEIGHT_ATTRIBUTE : weight;
+
+    const collector = new NetworkCollector(false);
+
+    rows.forEach((row, i) => {
+      const u = row[sourceIndex];
+      const v = row[targetIndex];
+      if (u === undefined || v === undefined) {
+        throw new Error(`row ${i + 1} has too few columns`);
+      }
+
+      const attributes = {};
+      columns.forEach((name, index) => {
+        if (index !== sourceIndex && index !== targetIndex && row[index] !== undefined) {
+          attributes[name] = row[index];
+        }
+      });
+      if (weightIndex >= 0 && row[weightIndex] !== undefined) {
+        attributes[weightName] = row[weightIndex];
+      }
+
+      collector.addEdge(u, v, attributes);
+    });
+
+    return collector.finish(weightIndex >= 0 ? weightName : null);
+  } catch (error) {
+    throw new Error(`CSV parsing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Parse an edge list in TSV (tab-separated) — fromCSV with a tab delimiter
+ *
+ * @param {string} text - TSV source
+ * @param {Object} [options] - Parsing options, as for fromCSV
+ * @returns {import('./collector.js').ParsedNetwork} Nodes, edges and direction
+ *
+ * @example
+ * const { edges } = fromTSV('source\ttarget\nA\tB');
+ */
+export function fromTSV(text, options = {}) {
+  return fromCSV(text, { ...options, delimiter: '\t' });
+}
+
+/**
+ * Splits delimited text into rows of fields, honoring double quotes
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (text.startsWith(delimiter, i)) {
+      row.push(field);
+      field = '';
+      i += delimiter.length - 1;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
@@ -0,0 +1,326 @@
+/**
+ * Graphviz DOT parser
+ * @module parsers/dot
+ */
+
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { NetworkCollector } from './collector.js';
+
+/**
+ * Keywords of the DOT language (case-insensitive, only when unquoted)
+ * @type {Set<string>}
+ */
+const KEYWORDS = new Set(['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph']);
+
+const TOKEN = new RegExp([
+  /(?<space>\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|^#[^\n]*)/.source,
+  /(?<quoted>"(?:[^"\\]|\\[\s\S])*")/.source,
+  /(?<edgeop>--|->)/.source,
+  /(?<numeral>-?(?:\.\d+|\d+(?:\.\d*)?))/.source,
+  /(?<id>[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.source,
+  /(?<punct>[{}[\];,=:+])/.source
+].join('|'), 'my');
+
+/**
+ * Parse a Graphviz DOT graph
+ *
+ * Node and edge attributes (including those set through `node [...]` and
+ * `edge [...]` defaults and subgraphs) are kept as strings, except the weight
+ * attribute, which is converted to a number. Edge statements between
+ * subgraphs (`a -> {b c}`) expand to one edge per node pair; ports are
+ * ignored. Only the first graph of the file is read.
+ *
+ * @param {string} text - DOT source
+ * @param {Object} [options] - Parsing options
+ * @param {string|null} [options.weight='weight'] - Edge attribute holding the weight (null = none)
+ * @returns {import('./collector.js').ParsedNetwork} Nodes, edges and direction
+ * @throws {Error} If the source is not valid DOT or the edges are invalid
+ *
+ * @example
+ * const { nodes, edges, directed } = fromDOT('digraph { a -> b [weight=2]; b -> c }');
+ * const stats = getNetworkStats(edges, null, { directed });
+ */
+export function fromDOT(text, options = {}) {
+  const { weight = DEFAULT_WEIGHT_ATTRIBUTE } = options;
+
+  try {
+    const parser = new DotParser(tokenize(text));
+    return parser.parseGraph().finish(weight);
+  } catch (error) {
+    throw new Error(`DOT parsing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Recursive-descent parser over DOT tokens
+ */
+class DotParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.collector = null;
+    this.edgeOp = null;
+  }
+
+  /**
+   * graph : [strict] (graph | digraph) [ID] '{' stmt_list '}'
+   */
+  parseGraph() {
+    this.acceptKeyword('strict');
+    const kind = this.next();
+    if (!this.isKeyword(kind, 'graph') && !this.isKeyword(kind, 'digraph')) {
+      throw new Error(`expected "graph" or "digraph", found ${describe(kind)}`);
+    }
+
+    this.collector = new NetworkCollector(this.isKeyword(kind, 'digraph'));
+    this.edgeOp = this.collector.directed ? '->' : '--';
+
+    if (!this.peekPunct('{')) this.expectId();
+    this.expectPunct('{');
+    this.parseStatements({ node: {}, edge: {} });
+    this.expectPunct('}');
+
+    return this.collector;
+  }
+
+  /**
+   * stmt_list, in a scope of default node and edge attributes; returns the
+   * nodes mentioned, for edge statements between subgraphs
+   */
+  parseStatements(scope) {
+    const members = new Set();
+
+    while (this.peek() && !this.peekPunct('}')) {
+      const token = this.peek();
+
+      if (this.isKeyword(token, 'node') || this.isKeyword(token, 'edge')) {
+        this.next();
+        Object.assign(scope[token.value.toLowerCase()], this.parseAttributeLists());
+      } else if (this.isKeyword(token, 'graph')) {
+        this.next();
+        this.parseAttributeLists();
+      } else if (this.peekId() && this.peekPunct('=', 1)) {
+        // Graph attribute (ID = ID)
+        this.expectId();
+        this.expectPunct('=');
+        this.expectId();
+      } else {
+        this.parseNodeOrEdge(scope, members);
+      }
+
+      this.acceptPunct(';');
+    }
+
+    return members;
+  }
+
+  /**
+   * node_stmt or edge_stmt, both starting with a node ID or a subgraph
+   */
+  parseNodeOrEdge(scope, members) {
+    const operands = [this.parseOperand(scope, members)];
+    while (this.peek()?.type === 'edgeop') {
+      const op = this.next();
+      if (op.value !== this.edgeOp) {
+        throw new Error(`"${op.value}" in a ${this.collector.directed ? 'digraph' : 'graph'}`);
+      }
+      operands.push(this.parseOperand(scope, members));
+    }
+
+    const attributes = this.parseAttributeLists();
+
+    if (operands.length === 1) {
+      for (const node of operands[0].nodes) {
+        if (operands[0].subgraph) continue;
+        this.collector.addNode(node, attributes);
+      }
+      return;
+    }
+
+    const edgeAttributes = { ...scope.edge, ...attributes };
+    for (let i = 1; i < operands.length; i++) {
+      for (const u of operands[i - 1].nodes) {
+        for (const v of operands[i].nodes) {
+          this.collector.addEdge(u, v, edgeAttributes);
+        }
+      }
+    }
+  }
+
+  /**
+   * A node ID (with optional port) or a subgraph
+   */
+  parseOperand(scope, members) {
+    if (this.isKeyword(this.peek(), 'subgraph') || this.peekPunct('{')) {
+      if (this.acceptKeyword('subgraph') && !this.peekPunct('{')) {
+        this.expectId();
+      }
+      this.expectPunct('{');
+      const nodes = this.parseStatements({ node: { ...scope.node }, edge: { ...scope.edge } });
+      this.expectPunct('}');
+      nodes.forEach(node => members.add(node));
+      return { nodes: [...nodes], subgraph: true };
+    }
+
+    const id = this.expectId();
+    if (this.acceptPunct(':')) {
+      this.expectId();
+      if (this.acceptPunct(':')) this.expectId();
+    }
+
+    if (!this.collector.nodes.has(id)) {
+      this.collector.addNode(id, scope.node);
+    }
+    members.add(id);
+    return { nodes: [id], subgraph: false };
+  }
+
+  /**
+   * attr_list : ('[' [a_list] ']')*
+   */
+  parseAttributeLists() {
+    const attributes = {};
+    while (this.acceptPunct('[')) {
+      while (!this.acceptPunct(']')) {
+        const key = this.expectId();
+        attributes[key] = this.acceptPunct('=') ? this.expectId() : 'true';
+        if (!this.acceptPunct(',')) this.acceptPunct(';');
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * ID: identifier, numeral, quoted string (with + concatenation) or HTML string
+   */
+  expectId() {
+    const token = this.next();
+    if (token?.type === 'id' && !KEYWORDS.has(token.value.toLowerCase())) return token.value;
+    if (token?.type === 'numeral' || token?.type === 'html') return token.value;
+    if (token?.type === 'quoted') {
+      let value = token.value;
+      while (this.peekPunct('+') && this.peek(1)?.type === 'quoted') {
+        this.position++;
+        value += this.next().value;
+      }
+      return value;
+    }
+    throw new Error(`expected an ID, found ${describe(token)}`);
+  }
+
+  peekId(offset = 0) {
+    const token = this.peek(offset);
+    return ['id', 'numeral', 'quoted', 'html'].includes(token?.type)
+      && !(token.type === 'id' && KEYWORDS.has(token.value.toLowerCase()));
+  }
+
+  isKeyword(token, keyword) {
+    return token?.type === 'id' && token.value.toLowerCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(this.peek(), keyword)) return false;
+    this.position++;
+    return true;
+  }
+
+  peekPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  acceptPunct(value) {
+    if (!this.peekPunct(value)) return false;
+    this.position++;
+    return true;
+  }
+
+  expectPunct(value) {
+    const token = this.next();
+    if (token?.type !== 'punct' || token.value !== value) {
+      throw new Error(`expected "${value}", found ${describe(token)}`);
+    }
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+}
+
+/**
+ * Splits DOT source into tokens, dropping whitespace and comments
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === '<') {
+      const { end, value } = readHtml(text, i);
+      tokens.push({ type: 'html', value, offset: i });
+      i = end;
+      continue;
+    }
+
+    TOKEN.lastIndex = i;
+    const match = TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`unexpected character "${text[i]}" at offset ${i}`);
+    }
+
+    const [type, value] = Object.entries(match.groups).find(([, group]) => group !== undefined);
+    if (type === 'quoted') {
+      tokens.push({ type, value: unescape(value.slice(1, -1)), offset: i });
+    } else if (type !== 'space') {
+      tokens.push({ type, value, offset: i });
+    }
+    i = TOKEN.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Reads the HTML string starting at `start` up to the next delimiter outside
+ * its brackets, so unwrapped markup (`<b>x</b>`) stays one ID
+ *
+ * A single balanced `<...>` loses its outer brackets, as in Graphviz.
+ */
+function readHtml(text, start) {
+  let depth = 0;
+  let closed = 0;
+  let i = start;
+
+  for (; i < text.length; i++) {
+    const delimiter = /[\s,;=[\]{}]/.test(text[i]) || text.startsWith('--', i) || text.startsWith('->', i);
+    if (depth === 0 && i > start && delimiter) break;
+    if (text[i] === '<') {
+      depth++;
+    } else if (text[i] === '>') {
+      if (depth === 0) throw new Error(`unexpected character ">" at offset ${i}`);
+      if (--depth === 0) closed++;
+    }
+  }
+
+  if (depth > 0) {
+    throw new Error(`unterminated HTML string at offset ${start}`);
+  }
+  const raw = text.slice(start, i);
+  const wrapped = closed === 1 && raw.endsWith('>');
+  return { end: i, value: wrapped ? raw.slice(1, -1) : raw };
+}
+
+/**
+ * Resolves escaped quotes and line continuations in a quoted string
+ */
+function unescape(value) {
+  return value.replace(/\\\r?\n/g, '').replace(/\\"/g, '"');
+}
+
+function describe(token) {
+  return token ? `"${token.value}" at offset ${token.offset}` : 'end of input';
+}
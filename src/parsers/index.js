@@ -0,0 +1,15 @@
+/**
+ * Parsers turning graph files into networks
+ * @module parsers
+ *
+ * Every parser takes the file contents as a string and returns
+ * `{ nodes, edges, directed }`: `edges` is a validated edge array for
+ * getNetworkStats, `nodes` lists every node (isolated ones included) with its
+ * attributes, and `directed` tells whether the file declares a directed graph.
+ */
+
+export { fromGraphML } from './graphml.js';
+export { fromGEXF } from './gexf.js';
+export { fromPajek } from './pajek.js';
+export { fromDOT } from './dot.js';
+export { fromCSV, fromTSV } from './csv.js';
@@ -0,0 +1,260 @@
+/**
+ * Tests for the graph file parsers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { fromGraphML, fromGEXF, fromPajek, fromDOT, fromCSV, fromTSV } from './index.js';
+import { getNetworkStats } from '../index.js';
+
+describe('fromGraphML', () => {
+  const graphml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <!-- exported by networkx -->
+  <key id="d0" for="node" attr.name="color" attr.type="string"><default>yellow</default></key>
+  <key id="d1" for="node" attr.name="size" attr.type="int"/>
+  <key id="d2" for="edge" attr.name="weight" attr.type="double"/>
+  <graph id="G" edgedefault="directed">
+    <node id="n0"><data key="d0">green &amp; blue</data><data key="d1">3</data></node>
+    <node id="n1"/>
+    <node id="n2"/>
+    <edge source="n0" target="n1"><data key="d2">1.5</data></edge>
+  </graph>
+</graphml>`;
+
+  it('should read typed attributes, defaults, isolated nodes and direction', () => {
+    expect(fromGraphML(graphml)).toEqual({
+      nodes: [
+        { id: 'n0', color: 'green & blue', size: 3 },
+        { id: 'n1', color: 'yellow' },
+        { id: 'n2', color: 'yellow' }
+      ],
+      edges: [{ source: 'n0', target: 'n1', weight: 1.5 }],
+      directed: true
+    });
+  });
+
+  it('should flatten nested graphs', () => {
+    const { nodes, edges } = fromGraphML(`<graphml><graph edgedefault="undirected">
+      <node id="a"><graph><node id="a::b"/><edge source="a::b" target="c"/></graph></node>
+      <node id="c"/>
+    </graph></graphml>`);
+
+    expect(nodes.map(node => node.id)).toEqual(['a', 'a::b', 'c']);
+    expect(edges).toEqual([{ source: 'a::b', target: 'c' }]);
+  });
+
+  it('should reject malformed documents', () => {
+    expect(() => fromGraphML('<graphml><graph><node id="a"></graph></graphml>'))
+      .toThrow('GraphML parsing failed');
+    expect(() => fromGraphML('<gexf/>')).toThrow('expected a <graphml> root element');
+    expect(() => fromGraphML('<graphml><graph><edge source="a"/></graph></graphml>'))
+      .toThrow('<edge> without source or target');
+  });
+});
+
+describe('fromGEXF', () => {
+  const gexf = `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <graph defaultedgetype="undirected">
+    <attributes class="node">
+      <attribute id="0" title="url" type="string"/>
+      <attribute id="1" title="indegree" type="float"><default>0</default></attribute>
+    </attributes>
+    <attributes class="edge"><attribute id="0" title="kind" type="string"/></attributes>
+    <nodes>
+      <node id="0" label="Gephi">
+        <attvalues><attvalue for="0" value="https://gephi.org"/><attvalue for="1" value="1"/></attvalues>
+        <viz:color r="1" g="2" b="3"/>
+      </node>
+      <node id="1" label="Webatlas"/>
+      <node id="2" label="Isolated"/>
+    </nodes>
+    <edges>
+      <edge id="0" source="0" target="1" weight="2">
+        <attvalues><attvalue for="0" value="link"/></attvalues>
+      </edge>
+    </edges>
+  </graph>
+</gexf>`;
+
+  it('should read labels, declared attributes, weights and isolated nodes', () => {
+    expect(fromGEXF(gexf)).toEqual({
+      nodes: [
+        { id: '0', label: 'Gephi', url: 'https://gephi.org', indegree: 1 },
+        { id: '1', label: 'Webatlas', indegree: 0 },
+        { id: '2', label: 'Isolated', indegree: 0 }
+      ],
+      edges: [{ source: '0', target: '1', kind: 'link', weight: 2 }],
+      directed: false
+    });
+  });
+
+  it('should read directed graphs and hierarchical nodes', () => {
+    const { nodes, directed } = fromGEXF(`<gexf><graph defaultedgetype="directed"><nodes>
+      <node id="a"><nodes><node id="b"/></nodes></node>
+    </nodes><edges><edge source="a" target="b"/></edges></graph></gexf>`);
+
+    expect(directed).toBe(true);
+    expect(nodes).toEqual([{ id: 'a' }, { id: 'b' }]);
+  });
+});
+
+describe('fromPajek', () => {
+  it('should read labeled vertices, coordinates and weighted arcs and edges', () => {
+    const network = fromPajek(`*Network friends
+% comment line
+*Vertices 4
+1 "Alice Smith" 0.1 0.2 0.5 ic Red box
+2 "Bob"
+3 Carol
+*Arcs
+1 2 2.5
+*Edges
+2 3
+`);
+
+    expect(network).toEqual({
+      nodes: [
+        { id: '1', label: 'Alice Smith', x: 0.1, y: 0.2, z: 0.5, ic: 'Red', shape: 'box' },
+        { id: '2', label: 'Bob' },
+        { id: '3', label: 'Carol' },
+        { id: '4' }
+      ],
+      edges: [
+        { source: '1', target: '2', weight: 2.5 },
+        { source: '2', target: '3' },
+        { source: '3', target: '2' }
+      ],
+      directed: true
+    });
+  });
+
+  it('should read edge lists and adjacency matrices', () => {
+    const lists = fromPajek('*Vertices 3\n*Edgeslist\n1 2 3');
+    expect(lists.directed).toBe(false);
+    expect(lists.edges).toEqual([{ source: '1', target: '2' }, { source: '1', target: '3' }]);
+
+    const matrix = fromPajek('*Vertices 2\n*Matrix\n0 3\n1 0');
+    expect(matrix.directed).toBe(true);
+    expect(matrix.edges).toEqual([
+      { source: '1', target: '2', weight: 3 },
+      { source: '2', target: '1', weight: 1 }
+    ]);
+  });
+
+  it('should keep vertices that share a label apart', () => {
+    expect(fromPajek('*Vertices 2\n1 "X"\n2 "X"\n*Edges\n1 2')).toEqual({
+      nodes: [{ id: '1', label: 'X' }, { id: '2', label: 'X' }],
+      edges: [{ source: '1', target: '2' }],
+      directed: false
+    });
+  });
+
+  it('should reject unknown vertices and sections', () => {
+    expect(() => fromPajek('*Vertices 2\n*Arcs\n1 3')).toThrow('line 3: unknown vertex 3');
+    expect(() => fromPajek('*Vertices 2\n*Partition\n1')).toThrow('unsupported section *partition');
+  });
+});
+
+describe('fromDOT', () => {
+  it('should read attributes, defaults, subgraphs and edge chains', () => {
+    const network = fromDOT(`strict digraph G {
+      // line comment
+      rankdir=LR;
+      node [shape=box];
+      a [label="Node \\"A\\""];
+      a -> b -> c [weight=3, color=red];
+      edge [weight=2]
+      b:port:n -> {d e}
+      subgraph cluster_0 { node [color=blue]; f; }
+      /* block comment */
+    }`);
+
+    expect(network.directed).toBe(true);
+    expect(network.nodes).toEqual([
+      { id: 'a', shape: 'box', label: 'Node "A"' },
+      { id: 'b', shape: 'box' },
+      { id: 'c', shape: 'box' },
+      { id: 'd', shape: 'box' },
+      { id: 'e', shape: 'box' },
+      { id: 'f', shape: 'box', color: 'blue' }
+    ]);
+    expect(network.edges).toEqual([
+      { source: 'a', target: 'b', weight: 3, color: 'red' },
+      { source: 'b', target: 'c', weight: 3, color: 'red' },
+      { source: 'b', target: 'd', weight: 2 },
+      { source: 'b', target: 'e', weight: 2 }
+    ]);
+  });
+
+  it('should read quoted, concatenated, numeral and HTML IDs', () => {
+    const { nodes, directed } = fromDOT('graph { "x" + "y" -- 42 -- <<b>html</b>> }');
+
+    expect(directed).toBe(false);
+    expect(nodes.map(node => node.id)).toEqual(['xy', '42', '<b>html</b>']);
+  });
+
+  it('should read unwrapped HTML markup as one ID', () => {
+    const { nodes, edges } = fromDOT('digraph { a [label=<b>x-y</b>, color=red]; <i>n</i>->a }');
+
+    expect(nodes).toEqual([
+      { id: 'a', label: '<b>x-y</b>', color: 'red' },
+      { id: '<i>n</i>' }
+    ]);
+    expect(edges).toEqual([{ source: '<i>n</i>', target: 'a' }]);
+  });
+
+  it('should reject syntax errors and mismatched edge operators', () => {
+    expect(() => fromDOT('graph { a -> b }')).toThrow('"->" in a graph');
+    expect(() => fromDOT('digraph { a -> }')).toThrow('DOT parsing failed: expected an ID');
+    expect(() => fromDOT('network { }')).toThrow('expected "graph" or "digraph"');
+  });
+});
+
+describe('fromCSV / fromTSV', () => {
+  it('should read named columns, quoted fields and extra attributes', () => {
+    const csv = 'from,to,w,kind\r\nA,B,2,"x, y"\nB,C,,z\n\n"C ""q""",A,1,k';
+
+    expect(fromCSV(csv, { source: 'from', target: 'to', weight: 'w' })).toEqual({
+      nodes: [{ id: 'A' }, { id: 'B' }, { id: 'C' }, { id: 'C "q"' }],
+      edges: [
+        { source: 'A', target: 'B', w: 2, kind: 'x, y' },
+        { source: 'B', target: 'C', kind: 'z' },
+        { source: 'C "q"', target: 'A', w: 1, kind: 'k' }
+      ],
+      directed: false
+    });
+  });
+
+  it('should read files without a header by column index', () => {
+    expect(fromCSV('A;B;1\nB;C', { header: false, delimiter: ';' }).edges).toEqual([
+      { source: 'A', target: 'B', weight: 1 },
+      { source: 'B', target: 'C' }
+    ]);
+  });
+
+  it('should read tab-separated files', () => {
+    expect(fromTSV('\uFEFFsource\ttarget\tweight\nA\tB\t0.5').edges).toEqual([
+      { source: 'A', target: 'B', weight: 0.5 }
+    ]);
+  });
+
+  it('should reject missing columns, bad weights and unterminated quotes', () => {
+    expect(() => fromCSV('a,b\nA,B')).toThrow('CSV parsing failed: column not found: source');
+    expect(() => fromCSV('source,target,weight\nA,B,x')).toThrow('weight must be a valid number');
+    expect(() => fromCSV('source,target\n"A,B')).toThrow('unterminated quoted field');
+  });
+});
+
+describe('parsed networks', () => {
+  it('should feed getNetworkStats', () => {
+    const { edges, directed } = fromDOT('digraph { a -> b [weight=2]; b -> c }');
+    const stats = getNetworkStats(edges, ['outDegree', 'strength'], { directed });
+
+    expect(stats).toEqual([
+      { id: 'a', outDegree: 1, strength: 2 },
+      { id: 'b', outDegree: 1, strength: 3 },
+      { id: 'c', outDegree: 0, strength: 1 }
+    ]);
+  });
+});
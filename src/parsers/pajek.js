@@ -0,0 +1,185 @@
+/**
+ * Pajek .net parser
+ * @module parsers/pajek
+ */
+
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { NetworkCollector } from './collector.js';
+
+/**
+ * Vertex shapes Pajek accepts as bare keywords on a vertex line
+ * @type {Set<string>}
+ */
+const SHAPES = new Set(['ellipse', 'box', 'diamond', 'triangle', 'cross', 'empty']);
+
+/**
+ * Parse a Pajek network (.net)
+ *
+ * Vertices are identified by their number, since labels need not be unique;
+ * labels become a `label` attribute, coordinates `x`, `y` and `z` attributes and other vertex
+ * parameters (`ic Red`, `box`, …) string attributes. `*Arcs`, `*Arcslist` and
+ * `*Matrix` sections make the graph directed; in a directed graph, `*Edges`
+ * lines add an arc in each direction. The third value of an arc or edge line
+ * (or the matrix entry) is its weight.
+ *
+ * @param {string} text - Pajek source
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.weight='weight'] - Edge attribute to store weights in
+ * @returns {import('./collector.js').ParsedNetwork} Nodes, edges and direction
+ * @throws {Error} If the file is malformed or the edges are invalid
+ *
+ * @example
+ * const { nodes, edges, directed } = fromPajek(readFileSync('graph.net', 'utf-8'));
+ * const stats = getNetworkStats(edges, null, { directed });
+ */
+export function fromPajek(text, options = {}) {
+  const { weight = DEFAULT_WEIGHT_ATTRIBUTE } = options;
+
+  try {
+    const lines = text.split(/\r?\n/)
+      .map((line, index) => ({ number: index + 1, tokens: tokenize(line) }))
+      .filter(({ tokens }) => tokens.length > 0 && !tokens[0].startsWith('%'));
+
+    const directed = lines.some(({ tokens }) => /^\*(arcs|arcslist|matrix)$/i.test(tokens[0]));
+    const collector = new NetworkCollector(directed);
+    // Vertex number to { id, attributes }, flushed to the collector in numbering order
+    const vertices = new Map();
+    let flushed = false;
+
+    const flush = () => {
+      if (flushed) return;
+      for (const { id, attributes } of vertices.values()) {
+        collector.addNode(id, attributes);
+      }
+      flushed = true;
+    };
+    const vertex = (number, line) => {
+      flush();
+      if (!vertices.has(number)) {
+        throw new Error(`line ${line}: unknown vertex ${number}`);
+      }
+      return vertices.get(number).id;
+    };
+
+    let section = null;
+    let matrixRow = 0;
+
+    for (const { number: line, tokens } of lines) {
+      if (tokens[0].startsWith('*')) {
+        section = tokens[0].slice(1).toLowerCase();
+        matrixRow = 0;
+        if (section === 'vertices') {
+          const count = Number(tokens[1]);
+          if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`line ${line}: invalid vertex count`);
+          }
+          for (let i = 1; i <= count; i++) {
+            vertices.set(String(i), { id: String(i), attributes: {} });
+          }
+        }
+        continue;
+      }
+
+      switch (section) {
+        case 'vertices': {
+          const [number, label, ...parameters] = tokens;
+          if (!vertices.has(number) || flushed) {
+            throw new Error(`line ${line}: vertex ${number} is out of range`);
+          }
+          const attributes = parseParameters(parameters);
+          vertices.set(number, {
+            id: number,
+            attributes: label === undefined ? attributes : { label, ...attributes }
+          });
+          break;
+        }
+        case 'arcs':
+        case 'edges': {
+          const [u, v, value] = tokens;
+          if (v === undefined) {
+            throw new Error(`line ${line}: expected two vertices`);
+          }
+          const attributes = value === undefined ? {} : { [weight]: value };
+          addLink(collector, vertex(u, line), vertex(v, line), attributes, section === 'edges');
+          break;
+        }
+        case 'arcslist':
+        case 'edgeslist': {
+          const [u, ...targets] = tokens;
+          for (const v of targets) {
+            addLink(collector, vertex(u, line), vertex(v, line), {}, section === 'edgeslist');
+          }
+          break;
+        }
+        case 'matrix': {
+          matrixRow++;
+          tokens.forEach((value, column) => {
+            if (Number(value) !== 0) {
+              const u = vertex(String(matrixRow), line);
+              collector.addEdge(u, vertex(String(column + 1), line), { [weight]: value });
+            }
+          });
+          break;
+        }
+        case 'network':
+        case null:
+          break;
+        default:
+          throw new Error(`line ${line}: unsupported section *${section}`);
+      }
+    }
+
+    flush();
+    return collector.finish(weight);
+  } catch (error) {
+    throw new Error(`Pajek parsing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Adds an arc, or an edge (both arcs when the graph is directed)
+ */
+function addLink(collector, u, v, attributes, undirected) {
+  collector.addEdge(u, v, attributes);
+  if (undirected && collector.directed && u !== v) {
+    collector.addEdge(v, u, attributes);
+  }
+}
+
+/**
+ * Parses "x y z ic Red box ..." into attributes
+ */
+function parseParameters(tokens) {
+  const attributes = {};
+  let i = 0;
+
+  for (const axis of ['x', 'y', 'z']) {
+    if (i < tokens.length && tokens[i] !== '' && !Number.isNaN(Number(tokens[i]))) {
+      attributes[axis] = Number(tokens[i++]);
+    }
+  }
+
+  while (i < tokens.length) {
+    const token = tokens[i++];
+    if (SHAPES.has(token)) {
+      attributes.shape = token;
+    } else if (i < tokens.length) {
+      attributes[token] = tokens[i++];
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Splits a line on whitespace, keeping double-quoted strings together
+ */
+function tokenize(line) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] ?? match[2]);
+  }
+  return tokens;
+}
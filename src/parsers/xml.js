@@ -0,0 +1,170 @@
+/**
+ * Minimal XML reader for the XML-based graph formats
+ * @module parsers/xml
+ *
+ * Covers what GraphML and GEXF files use: elements, attributes, text, CDATA
+ * sections and entity references. Comments, processing instructions and the
+ * DOCTYPE are skipped, and namespace prefixes are dropped from names
+ * (`viz:color` becomes `color`).
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Element name, without namespace prefix
+ * @property {Object<string, string>} attributes - Attribute values, without namespace prefixes
+ * @property {Array<XmlElement>} children - Child elements
+ * @property {string} text - Concatenated text content of the element itself
+ */
+
+/**
+ * Predefined XML entities
+ * @type {Object<string, string>}
+ */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const NAME = /[^\s/>]+/y;
+const ATTRIBUTE = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+const TAG_END = /\s*(\/?)>/y;
+
+/**
+ * Parse an XML document
+ *
+ * @param {string} text - XML source
+ * @returns {XmlElement} Root element
+ * @throws {Error} If the document is not well-formed
+ *
+ * @example
+ * const root = parseXml('<graph><node id="a"/></graph>');
+ * root.children[0].attributes.id; // 'a'
+ */
+export function parseXml(text) {
+  const document = createElement('#document', {});
+  const stack = [document];
+  let i = 0;
+
+  while (i < text.length) {
+    const open = text.indexOf('<', i);
+    const textEnd = open === -1 ? text.length : open;
+    if (textEnd > i) {
+      stack[stack.length - 1].text += decodeEntities(text.slice(i, textEnd));
+    }
+    if (open === -1) break;
+
+    if (text.startsWith('<!--', open)) {
+      i = skipPast(text, '-->', open);
+    } else if (text.startsWith('<![CDATA[', open)) {
+      const close = skipPast(text, ']]>', open);
+      stack[stack.length - 1].text += text.slice(open + 9, close - 3);
+      i = close;
+    } else if (text.startsWith('<?', open)) {
+      i = skipPast(text, '?>', open);
+    } else if (text.startsWith('<!', open)) {
+      i = skipDeclaration(text, open);
+    } else if (text[open + 1] === '/') {
+      const close = skipPast(text, '>', open);
+      const name = localName(text.slice(open + 2, close - 1).trim());
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      i = close;
+    } else {
+      i = readStartTag(text, open, stack);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (document.children.length !== 1) {
+    throw new Error('Document must have exactly one root element');
+  }
+  return document.children[0];
+}
+
+/**
+ * Child elements with a given name
+ *
+ * @param {XmlElement} element - Parent element
+ * @param {string} name - Element name, without namespace prefix
+ * @returns {Array<XmlElement>} Matching children, in document order
+ */
+export function childElements(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Reads a start tag at `open`, pushing the element unless it is self-closing
+ */
+function readStartTag(text, open, stack) {
+  NAME.lastIndex = open + 1;
+  const name = NAME.exec(text)?.[0];
+  if (!name) {
+    throw new Error(`Invalid tag at offset ${open}`);
+  }
+
+  const attributes = {};
+  let i = NAME.lastIndex;
+  while (true) {
+    TAG_END.lastIndex = i;
+    const end = TAG_END.exec(text);
+    if (end) {
+      const element = createElement(localName(name), attributes);
+      stack[stack.length - 1].children.push(element);
+      if (!end[1]) stack.push(element);
+      return TAG_END.lastIndex;
+    }
+
+    ATTRIBUTE.lastIndex = i;
+    const attribute = ATTRIBUTE.exec(text);
+    if (!attribute) {
+      throw new Error(`Invalid attribute in <${name}> at offset ${i}`);
+    }
+    attributes[localName(attribute[1])] = decodeEntities(attribute[2] ?? attribute[3]);
+    i = ATTRIBUTE.lastIndex;
+  }
+}
+
+/**
+ * Skips a <!DOCTYPE ...> declaration, including an internal subset in brackets
+ */
+function skipDeclaration(text, open) {
+  let depth = 0;
+  for (let i = open + 2; i < text.length; i++) {
+    if (text[i] === '[') depth++;
+    else if (text[i] === ']') depth--;
+    else if (text[i] === '>' && depth === 0) return i + 1;
+  }
+  throw new Error('Unterminated declaration');
+}
+
+/**
+ * Index just past the next occurrence of `token` after `from`
+ */
+function skipPast(text, token, from) {
+  const index = text.indexOf(token, from + 1);
+  if (index === -1) {
+    throw new Error(`Expected "${token}" after offset ${from}`);
+  }
+  return index + token.length;
+}
+
+function createElement(name, attributes) {
+  return { name, attributes, children: [], text: '' };
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
@@ -0,0 +1,517 @@
+/**
+ * Stateful network statistics session with incremental edge updates
+ * @module session/NetworkStats
+ */
+
+import { getDefaultFeatures, FEATURES, DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { normalizeFeatures } from '../core/normalizer.js';
+import { validateNetwork } from '../validators/network.js';
+import { validateFeatures, validateFeatureOptions } from '../validators/features.js';
+import {
+  getAllUniqueNodes,
+  resolveNetwork,
+  edgesToTuples,
+  resolveWeightAttribute,
+  getNetworkEdgeWeight,
+  compareNodeIds,
+} from '../graph/utils.js';
+import { resolvePolicies, mergeEdges, preprocessEdges } from '../graph/preprocess.js';
+import { buildGraph, getEdgeWeight } from '../graph/builder.js';
+import { countTriangles, localClustering, transitivity as graphTransitivity } from '../graph/triangles.js';
+import { calculateFeatures } from '../features/index.js';
+
+/**
+ * Keeps a graph and its statistics between edge updates
+ *
+ * Degree, strength, in/out-degree, unweighted clustering and triangle counts
+ * (transitivity) are updated in place as edges are added or removed. Every
+ * other requested feature (betweenness, eigenvector, modularity, ...) is
+ * marked dirty and recomputed lazily on the next getStats() call.
+ *
+ * The session always reports what getNetworkStats would report for the
+ * current edge list: duplicate edges are merged by the `multiEdges` policy
+ * (or kept as parallel edges with `multigraph: true`) and keep the graph edge
+ * until their last copy is removed, and nodes disappear once no edge
+ * references them, unless they were declared in a `{ nodes, edges }` network.
+ *
+ * @example
+ * import { NetworkStats, FEATURES } from 'js-network-stats';
+ *
+ * const session = new NetworkStats(edges, [FEATURES.DEGREE, FEATURES.BETWEENNESS], { verbose: false });
+ * session.getStats();
+ *
+ * session.addEdges([{ source: 'A', target: 'D' }]);  // degree updated in place
+ * session.getStats();                                 // betweenness recomputed here
+ */
+export class NetworkStats {
+  /**
+   * @param {Array<Object>|Object} [network=[]] - Initial edges (may be empty), or `{ nodes, edges }`
+   *   whose nodes stay in the results as isolated nodes, with their attributes
+   * @param {Array<string>} [features] - Features to track (null = all for the graph mode)
+   * @param {Object} [options] - Same options as getNetworkStats (weight, directed, verbose, ...)
+   * @throws {TypeError} If network or features have the wrong type
+   * @throws {Error} If edges, features or options are invalid
+   */
+  constructor(network = [], features = null, options = { verbose: true }) {
+    if (!Array.isArray(network) && !Array.isArray(network?.edges)) {
+      throw new TypeError('Network must be an array of edge objects or an object with an edges array');
+    }
+    const edges = Array.isArray(network) ? network : network.edges;
+    const declared = Array.isArray(network) ? [] : network.nodes ?? [];
+    if (edges.length > 0 || declared.length > 0) {
+      validateNetwork(network, options);
+    }
+
+    this.features = features || getDefaultFeatures(options.directed, options.multigraph);
+    validateFeatures(this.features, { directed: options.directed });
+    validateFeatureOptions(options);
+
+    this.options = options;
+    this.directed = Boolean(options.directed);
+    this.multigraph = Boolean(options.multigraph);
+    this.policies = resolvePolicies(options);
+
+    /** Edge list the statistics describe (treat as read-only) */
+    this.network = edges.slice();
+    // Declared node ID to attributes (null without declared nodes); declared nodes outlive their edges
+    this.attributes = resolveNetwork(network).attributes;
+    // Edge list entries per graph edge and per node
+    this.edgeCounts = new Map();
+    this.nodeCounts = new Map();
+    // Edge list entries carrying the weight attribute
+    this.weightedEdges = 0;
+
+    for (const edge of this.network) {
+      this.countEdge(edge, 1);
+    }
+    this.rebuild();
+  }
+
+  /**
+   * Add edges, updating incremental statistics in place
+   *
+   * @param {Array<Object>} edges - Edges to add
+   * @returns {NetworkStats} This session, for chaining
+   * @throws {Error} If any edge is invalid or breaks the selfLoops/multiEdges policies (no edge is added)
+   */
+  addEdges(edges) {
+    validateNetwork(edges, this.options);
+    this.checkMultiEdges(edges);
+
+    for (const edge of edges) {
+      this.network.push(edge);
+      this.countEdge(edge, 1);
+    }
+    if (this.weightChanged()) {
+      return this.rebuild();
+    }
+
+    for (const edge of edges) {
+      const { source: u, target: v } = edge;
+      if (this.isDropped(edge)) {
+        // Kept in the edge list but not in the graph: only its node can be new
+        if (!this.graph.hasNode(u)) {
+          this.graph.addNode(u);
+          this.updateDegrees(u, u, 0, 0);
+          this.markChanged(u, v);
+        }
+        continue;
+      }
+
+      const isNew = !this.graph.hasEdge(u, v);
+      const oldWeight = isNew ? 0 : getEdgeWeight(this.graph, u, v, this.weight);
+
+      if (isNew) {
+        this.updateTriangles(u, v, 1);
+      }
+      if (this.multigraph) {
+        // A parallel edge: the graph merges it, degree and strength count it
+        this.graph.addEdge(...edgesToTuples([edge], this.weight)[0]);
+        this.updateDegrees(u, v, 1, getNetworkEdgeWeight(edge, this.weight));
+        this.markChanged(u, v);
+        continue;
+      }
+      this.graph.addEdge(...(isNew ? edgesToTuples([edge], this.weight)[0] : this.graphEdge(u, v)));
+      const weightDelta = getEdgeWeight(this.graph, u, v, this.weight) - oldWeight;
+
+      if (isNew || weightDelta !== 0) {
+        this.updateDegrees(u, v, isNew ? 1 : 0, weightDelta);
+        this.markChanged(u, v);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove edges, updating incremental statistics in place
+   *
+   * Each edge removes one matching entry of the edge list (either direction
+   * on undirected graphs).
+   *
+   * @param {Array<Object>} edges - Edges to remove
+   * @returns {NetworkStats} This session, for chaining
+   * @throws {Error} If an edge is not in the network (edges before it stay removed)
+   */
+  removeEdges(edges) {
+    validateNetwork(edges, { weight: null });
+
+    for (const { source: u, target: v } of edges) {
+      const index = this.network.findIndex(edge => this.sameEdge(edge, u, v));
+      if (index === -1) {
+        throw new Error(`Edge not found: ${u} -> ${v}`);
+      }
+
+      const [removed] = this.network.splice(index, 1);
+      this.countEdge(removed, -1);
+      if (this.weightChanged()) {
+        this.rebuild();
+        continue;
+      }
+
+      if (this.isDropped(removed)) {
+        if (!this.hasNode(u)) {
+          this.removeNode(u);
+          this.markChanged(u, v);
+        }
+        continue;
+      }
+
+      const oldWeight = getEdgeWeight(this.graph, u, v, this.weight);
+      const isGone = !this.edgeCounts.has(this.edgeKey(u, v));
+
+      if (isGone) {
+        this.graph.removeEdge(u, v);
+        this.updateTriangles(u, v, -1);
+        this.updateDegrees(u, v, -1, this.multigraph ? -getNetworkEdgeWeight(removed, this.weight) : -oldWeight);
+      } else if (this.multigraph) {
+        // Re-add the remaining parallel edges, so they merge as in a full build
+        while (this.graph.hasEdge(u, v)) {
+          this.graph.removeEdge(u, v);
+        }
+        const copies = this.network.filter(edge => this.sameEdge(edge, u, v));
+        this.graph.addEdgesFrom(edgesToTuples(copies, this.weight));
+        this.updateDegrees(u, v, -1, -getNetworkEdgeWeight(removed, this.weight));
+      } else {
+        // Other copies remain: restore the weight they would give the edge
+        this.graph.removeEdge(u, v);
+        this.graph.addEdge(...this.graphEdge(u, v));
+        this.updateDegrees(u, v, 0, getEdgeWeight(this.graph, u, v, this.weight) - oldWeight);
+      }
+
+      for (const node of u === v ? [u] : [u, v]) {
+        if (!this.hasNode(node)) {
+          this.removeNode(node);
+        }
+      }
+      this.markChanged(u, v);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get per-node statistics, recomputing dirty features first
+   *
+   * @returns {Array<Object>} Array of node objects, as returned by getNetworkStats
+   */
+  getStats() {
+    const nodes = this.nodeList();
+
+    if (this.dirty.size > 0) {
+      if (this.options.verbose) {
+        console.log(`Recomputing ${[...this.dirty].join(', ')}...`);
+      }
+      const edges = preprocessEdges(this.network, this.options);
+      for (const feature of this.dirty) {
+        this.results.set(feature, calculateFeatures(
+          [feature], this.graph, nodes, edges, this.calcOptions
+        ));
+      }
+      if (this.triangles === null && this.tracksTriangles()) {
+        this.triangles = countTriangles(this.graph);
+      }
+      this.dirty.clear();
+    }
+
+    if (this.staleNodes.size > 0) {
+      this.refreshIncremental();
+    }
+
+    const stats = {};
+    for (const columns of this.results.values()) {
+      Object.assign(stats, columns);
+    }
+    return normalizeFeatures(stats, nodes, this.attributes);
+  }
+
+  /**
+   * Features currently waiting for recomputation
+   *
+   * @returns {Array<string>} Dirty feature names
+   */
+  getDirtyFeatures() {
+    return [...this.dirty];
+  }
+
+  /**
+   * Rebuild the graph from the edge list and mark every feature dirty
+   * @private
+   */
+  rebuild() {
+    this.weight = resolveWeightAttribute(this.network, this.options.weight);
+    this.calcOptions = { ...this.options, weight: this.weight };
+    this.graph = buildGraph(preprocessEdges(this.network, this.options), {
+      weight: this.weight,
+      directed: this.directed,
+      multigraph: this.multigraph,
+      multiEdges: this.policies.multiEdges,
+      nodes: this.nodeList()
+    });
+    this.results = new Map();
+    this.dirty = new Set(this.features);
+    this.triangles = null;
+    this.staleNodes = new Set();
+    return this;
+  }
+
+  /**
+   * Whether the edge list gained its first or lost its last weighted edge
+   * @private
+   */
+  weightChanged() {
+    const weighted = this.options.weight !== null && this.weightedEdges > 0;
+    return weighted !== (this.weight !== null);
+  }
+
+  /**
+   * Track how many edge list entries reference each graph edge and node
+   * @private
+   */
+  countEdge(edge, delta) {
+    const { source, target } = edge;
+    const weight = this.options.weight === undefined ? DEFAULT_WEIGHT_ATTRIBUTE : this.options.weight;
+    if (weight !== null && edge[weight] !== undefined) {
+      this.weightedEdges += delta;
+    }
+
+    for (const [map, key] of [
+      [this.edgeCounts, this.edgeKey(source, target)],
+      [this.nodeCounts, source],
+      [this.nodeCounts, target],
+    ]) {
+      const count = (map.get(key) || 0) + delta;
+      if (count === 0) {
+        map.delete(key);
+      } else {
+        map.set(key, count);
+      }
+    }
+  }
+
+  /**
+   * Reject edges already in the session when multi-edges are errors
+   * (validateNetwork only sees the new batch)
+   * @private
+   */
+  checkMultiEdges(edges) {
+    if (this.policies.multiEdges !== 'error') {
+      return;
+    }
+    edges.forEach(({ source, target }, i) => {
+      if (this.edgeCounts.has(this.edgeKey(source, target))) {
+        throw new Error(`Invalid edge at index ${i}: repeats an edge of the network`);
+      }
+    });
+  }
+
+  /**
+   * Whether an edge is a self-loop the selfLoops policy keeps out of the graph
+   * @private
+   */
+  isDropped(edge) {
+    return this.policies.selfLoops === 'drop' && edge.source === edge.target;
+  }
+
+  /**
+   * Graph edge u-v: its copies in the edge list merged by the multiEdges policy
+   * @private
+   */
+  graphEdge(u, v) {
+    const copies = this.network.filter(edge => this.sameEdge(edge, u, v));
+    return edgesToTuples([mergeEdges(copies, this.weight, this.policies.multiEdges)], this.weight)[0];
+  }
+
+  /**
+   * Every node, declared ones first, as getNetworkStats would list them
+   * @private
+   */
+  nodeList() {
+    if (!this.attributes) {
+      return getAllUniqueNodes(this.network);
+    }
+    return [...new Set([...this.attributes.keys(), ...getAllUniqueNodes(this.network)])];
+  }
+
+  /**
+   * Whether a node is declared or referenced by an edge
+   * @private
+   */
+  hasNode(node) {
+    return this.nodeCounts.has(node) || Boolean(this.attributes?.has(node));
+  }
+
+  /**
+   * Key identifying a graph edge (direction-free on undirected graphs)
+   * @private
+   */
+  edgeKey(u, v) {
+    if (!this.directed && compareNodeIds(v, u) < 0) {
+      [u, v] = [v, u];
+    }
+    return JSON.stringify([u, v]);
+  }
+
+  /**
+   * Whether an edge list entry connects u and v
+   * @private
+   */
+  sameEdge(edge, u, v) {
+    return (edge.source === u && edge.target === v) ||
+      (!this.directed && edge.source === v && edge.target === u);
+  }
+
+  /**
+   * Whether triangle counts are maintained incrementally
+   * @private
+   */
+  tracksTriangles() {
+    return !this.directed && (
+      this.features.includes(FEATURES.TRANSITIVITY) ||
+      (this.weight === null && this.features.includes(FEATURES.CLUSTERING))
+    );
+  }
+
+  /**
+   * Whether a feature's columns are updated in place rather than recomputed
+   * @private
+   */
+  isIncremental(feature) {
+    switch (feature) {
+      case FEATURES.DEGREE:
+      case FEATURES.STRENGTH:
+      case FEATURES.IN_DEGREE:
+      case FEATURES.OUT_DEGREE:
+        return true;
+      case FEATURES.CLUSTERING:
+        return !this.directed && this.weight === null;
+      case FEATURES.TRANSITIVITY:
+        return !this.directed;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mark non-incremental features dirty and u, v stale for refreshIncremental
+   * @private
+   */
+  markChanged(u, v) {
+    for (const feature of this.features) {
+      if (!this.isIncremental(feature) || !this.results.has(feature)) {
+        this.dirty.add(feature);
+      }
+    }
+    this.staleNodes.add(u).add(v);
+  }
+
+  /**
+   * Apply an edge's effect on (weighted, in/out) degree columns
+   * @private
+   */
+  updateDegrees(u, v, edgeDelta, weightDelta) {
+    // New nodes start at 0 in every column, as in a full calculation
+    const add = (feature, node, delta) => {
+      const column = this.results.get(feature)?.[feature];
+      if (column && this.hasNode(node)) {
+        column[node] = (column[node] || 0) + delta;
+      }
+    };
+
+    for (const node of [u, v]) {
+      add(FEATURES.DEGREE, node, edgeDelta);
+      add(FEATURES.STRENGTH, node, weightDelta);
+    }
+    add(FEATURES.OUT_DEGREE, u, edgeDelta);
+    add(FEATURES.IN_DEGREE, v, edgeDelta);
+    add(FEATURES.OUT_DEGREE, v, 0);
+    add(FEATURES.IN_DEGREE, u, 0);
+  }
+
+  /**
+   * Drop an undeclared node no edge references any more from the graph and every column
+   * @private
+   */
+  removeNode(node) {
+    this.graph.removeNode(node);
+    this.triangles?.delete(node);
+    for (const columns of this.results.values()) {
+      for (const column of Object.values(columns)) {
+        delete column[node];
+      }
+    }
+  }
+
+  /**
+   * Apply adding (+1) or removing (-1) the edge u-v to the triangle counts;
+   * call while u and v are not adjacent
+   * @private
+   */
+  updateTriangles(u, v, delta) {
+    if (!this.triangles || u === v) return;
+
+    const common = this.graph.hasNode(u) && this.graph.hasNode(v)
+      ? this.graph.neighbors(u).filter(w => w !== u && w !== v && this.graph.hasEdge(w, v))
+      : [];
+
+    for (const node of [u, v]) {
+      this.triangles.set(node, (this.triangles.get(node) || 0) + delta * common.length);
+    }
+    for (const w of common) {
+      this.triangles.set(w, this.triangles.get(w) + delta);
+      this.staleNodes.add(w);
+    }
+  }
+
+  /**
+   * Recompute clustering and transitivity from the maintained triangle counts
+   * @private
+   */
+  refreshIncremental() {
+    const clustering = this.results.get(FEATURES.CLUSTERING)?.[FEATURES.CLUSTERING];
+    const transitivity = this.results.get(FEATURES.TRANSITIVITY);
+
+    if (clustering && this.isIncremental(FEATURES.CLUSTERING)) {
+      for (const node of this.staleNodes) {
+        if (this.graph.hasNode(node)) {
+          clustering[node] = localClustering(this.graph, node, this.triangles);
+        } else {
+          delete clustering[node];
+        }
+      }
+    }
+
+    if (transitivity?.triangles) {
+      const ratio = graphTransitivity(this.graph, this.triangles);
+
+      transitivity.transitivity = {};
+      transitivity.triangles = {};
+      for (const node of this.graph.nodes()) {
+        transitivity.transitivity[node] = ratio;
+        transitivity.triangles[node] = this.triangles.get(node) || 0;
+      }
+    }
+
+    this.staleNodes.clear();
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Tests for the incremental NetworkStats session
+ */
+
+import { describe, test, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { NetworkStats } from './NetworkStats.js';
+import { getNetworkStats } from '../index.js';
+import { FEATURES } from '../core/constants.js';
+import { createRandom, shuffle } from '../core/random.js';
+
+const loadNetwork = name =>
+  JSON.parse(readFileSync(new URL(`../../data/network_${name}.json`, import.meta.url), 'utf8'));
+
+// Session stats must match a from-scratch calculation on the same edge list
+const expectMatchesFullRun = (session, features, options = {}) => {
+  const byId = stats => Object.fromEntries(stats.map(node => [node.id, node]));
+  const actual = byId(session.getStats());
+  const expected = byId(getNetworkStats(session.network, features, { verbose: false, ...options }));
+
+  expect(Object.keys(actual).sort()).toEqual(Object.keys(expected).sort());
+  for (const [id, node] of Object.entries(expected)) {
+    for (const [column, value] of Object.entries(node)) {
+      if (typeof value === 'number') {
+        expect(actual[id][column], `${column} of ${id}`).toBeCloseTo(value, 10);
+      } else {
+        expect(actual[id][column], `${column} of ${id}`).toEqual(value);
+      }
+    }
+  }
+};
+
+describe('NetworkStats', () => {
+  const triangle = [
+    { source: 'A', target: 'B' },
+    { source: 'B', target: 'C' },
+    { source: 'C', target: 'A' }
+  ];
+
+  test('returns the same stats as getNetworkStats', () => {
+    const features = [FEATURES.DEGREE, FEATURES.CLUSTERING, FEATURES.BETWEENNESS];
+    const session = new NetworkStats(triangle, features, { verbose: false });
+
+    expectMatchesFullRun(session, features);
+  });
+
+  test('updates degree, clustering and triangles in place', () => {
+    const features = [FEATURES.DEGREE, FEATURES.CLUSTERING, FEATURES.TRANSITIVITY];
+    const session = new NetworkStats(triangle, features, { verbose: false });
+    session.getStats();
+
+    session.addEdges([{ source: 'C', target: 'D' }, { source: 'D', target: 'A' }]);
+
+    expect(session.getDirtyFeatures()).toEqual([]);
+    expectMatchesFullRun(session, features);
+
+    session.removeEdges([{ source: 'A', target: 'C' }]);
+
+    expect(session.getDirtyFeatures()).toEqual([]);
+    expectMatchesFullRun(session, features);
+  });
+
+  test('marks expensive features dirty and recomputes them lazily', () => {
+    const features = [FEATURES.DEGREE, FEATURES.BETWEENNESS, FEATURES.EIGENVECTOR, FEATURES.MODULARITY];
+    const session = new NetworkStats(triangle, features, { verbose: false });
+    session.getStats();
+
+    session.addEdges([{ source: 'C', target: 'D' }]);
+
+    expect(session.getDirtyFeatures().sort())
+      .toEqual([FEATURES.BETWEENNESS, FEATURES.EIGENVECTOR, FEATURES.MODULARITY].sort());
+
+    const stats = session.getStats();
+    expect(session.getDirtyFeatures()).toEqual([]);
+    expect(stats.find(n => n.id === 'C').betweenness).toBeGreaterThan(0);
+  });
+
+  test('stays in sync with full runs over many updates', () => {
+    const features = [FEATURES.DEGREE, FEATURES.STRENGTH, FEATURES.CLUSTERING, FEATURES.TRANSITIVITY];
+    const edges = loadNetwork('caruaru');
+    const session = new NetworkStats(edges.slice(0, 60), features, { verbose: false });
+    session.getStats();
+
+    for (let i = 60; i < edges.length; i += 25) {
+      session.addEdges(edges.slice(i, i + 25));
+      expectMatchesFullRun(session, features);
+    }
+
+    // Remove in reverse direction to exercise undirected matching
+    const removals = shuffle(session.network, createRandom(1)).slice(0, 60)
+      .map(({ source, target }) => ({ source: target, target: source }));
+    for (let i = 0; i < removals.length; i += 20) {
+      session.removeEdges(removals.slice(i, i + 20));
+      expectMatchesFullRun(session, features);
+    }
+    expect(session.getDirtyFeatures()).toEqual([]);
+  });
+
+  test('handles duplicate edges, self-loops and weights', () => {
+    const features = [FEATURES.DEGREE, FEATURES.STRENGTH, FEATURES.CLUSTERING];
+    const session = new NetworkStats(triangle, features, { verbose: false });
+    session.getStats();
+
+    // First weighted edge switches the session to weighted metrics
+    session.addEdges([{ source: 'A', target: 'B', weight: 3 }, { source: 'C', target: 'C' }]);
+    expectMatchesFullRun(session, features);
+
+    session.removeEdges([{ source: 'B', target: 'A' }]);
+    expect(session.graph.hasEdge('A', 'B')).toBe(true);
+    expectMatchesFullRun(session, features);
+
+    session.removeEdges([{ source: 'A', target: 'B' }, { source: 'C', target: 'C' }]);
+    expect(session.graph.hasEdge('A', 'B')).toBe(false);
+    expectMatchesFullRun(session, features);
+  });
+
+  test('tracks in- and out-degree on directed graphs', () => {
+    const features = [FEATURES.IN_DEGREE, FEATURES.OUT_DEGREE, FEATURES.HITS];
+    const options = { verbose: false, directed: true };
+    const session = new NetworkStats(triangle, features, options);
+    session.getStats();
+
+    session.addEdges([{ source: 'A', target: 'C' }, { source: 'D', target: 'A' }]);
+    expect(session.getDirtyFeatures()).toEqual([FEATURES.HITS]);
+    expectMatchesFullRun(session, features, options);
+
+    session.removeEdges([{ source: 'D', target: 'A' }]);
+    expectMatchesFullRun(session, features, options);
+  });
+
+  test('drops nodes no edge references and can start empty', () => {
+    const session = new NetworkStats([], [FEATURES.DEGREE], { verbose: false });
+    expect(session.getStats()).toEqual([]);
+
+    session.addEdges([{ source: 'A', target: 'B' }, { source: 'B', target: 'C' }]);
+    session.removeEdges([{ source: 'B', target: 'C' }]);
+
+    expect(session.getStats()).toEqual([
+      { id: 'A', degree: 1 },
+      { id: 'B', degree: 1 }
+    ]);
+  });
+
+  test('rejects invalid input', () => {
+    expect(() => new NetworkStats('edges')).toThrow(TypeError);
+    expect(() => new NetworkStats(triangle, ['invalid'], { verbose: false })).toThrow('Invalid feature');
+
+    const session = new NetworkStats(triangle, [FEATURES.DEGREE], { verbose: false });
+    expect(() => session.addEdges([{ source: 'A' }])).toThrow('missing source or target');
+    expect(() => session.removeEdges([{ source: 'A', target: 'Z' }])).toThrow('Edge not found: A -> Z');
+  });
+
+  test('keeps declared nodes after their edges are removed', () => {
+    const features = [FEATURES.DEGREE, FEATURES.BETWEENNESS];
+    const nodes = [{ id: 'D', label: 'Dave' }, { id: 'A', label: 'Alice' }];
+    const session = new NetworkStats({ nodes, edges: triangle }, features, { verbose: false });
+
+    session.addEdges([{ source: 'A', target: 'D' }]);
+    session.removeEdges([{ source: 'D', target: 'A' }, { source: 'A', target: 'B' }]);
+
+    const stats = session.getStats();
+    expect(stats).toEqual(getNetworkStats({ nodes, edges: session.network }, features, { verbose: false }));
+    expect(stats[0]).toEqual({ id: 'D', label: 'Dave', degree: 0, betweenness: 0 });
+  });
+
+  test('applies the multi-edge policy across batches', () => {
+    const session = new NetworkStats(triangle, [FEATURES.DEGREE], { verbose: false, multiEdges: 'error' });
+
+    expect(() => session.addEdges([{ source: 'B', target: 'A' }])).toThrow('repeats an edge of the network');
+    expect(() => session.addEdges([{ source: 'A', target: 'D' }, { source: 'D', target: 'A' }]))
+      .toThrow('repeats the edge at index 0');
+    expect(session.network).toHaveLength(3);
+
+    session.addEdges([{ source: 'A', target: 'D' }]);
+    expect(session.getStats().find(node => node.id === 'A').degree).toBe(3);
+  });
+
+  test('merges multi-edges and drops self-loops like a full run', () => {
+    const features = [FEATURES.DEGREE, FEATURES.STRENGTH, FEATURES.CLUSTERING, FEATURES.BETWEENNESS];
+    const options = { verbose: false, selfLoops: 'drop', multiEdges: 'merge-max' };
+    const session = new NetworkStats([{ source: 'A', target: 'B', weight: 2 }], features, options);
+    session.getStats();
+
+    session.addEdges([
+      { source: 'B', target: 'A', weight: 5 },
+      { source: 'D', target: 'D', weight: 1 },
+      { source: 'B', target: 'C', weight: 1 }
+    ]);
+    expectMatchesFullRun(session, features, options);
+    expect(session.getStats().find(node => node.id === 'A').strength).toBe(5);
+    expect(session.getStats().find(node => node.id === 'D')).toMatchObject({ degree: 0, strength: 0 });
+
+    session.removeEdges([{ source: 'A', target: 'B' }, { source: 'D', target: 'D' }]);
+    expectMatchesFullRun(session, features, options);
+    expect(session.getStats().map(node => node.id)).not.toContain('D');
+  });
+
+  test('keeps parallel edges on a multigraph like a full run', () => {
+    const features = [
+      FEATURES.DEGREE,
+      FEATURES.STRENGTH,
+      FEATURES.MULTIPLICITY,
+      FEATURES.EIGENVECTOR,
+      FEATURES.TRANSITIVITY
+    ];
+    const options = { verbose: false, multigraph: true, multiEdges: 'merge-max' };
+    const session = new NetworkStats([{ source: 'A', target: 'B', weight: 2 }], features, options);
+    session.getStats();
+
+    session.addEdges([
+      { source: 'B', target: 'A', weight: 5 },
+      { source: 'C', target: 'C', weight: 1 },
+      { source: 'C', target: 'C', weight: 2 },
+      { source: 'B', target: 'C', weight: 1 },
+      { source: 'A', target: 'C', weight: 1 }
+    ]);
+    expectMatchesFullRun(session, features, options);
+    expect(session.getStats().find(node => node.id === 'A')).toMatchObject({ degree: 3, strength: 8 });
+
+    session.removeEdges([{ source: 'A', target: 'B' }, { source: 'C', target: 'C' }]);
+    expectMatchesFullRun(session, features, options);
+    expect(session.getStats().find(node => node.id === 'A')).toMatchObject({ degree: 2, strength: 6 });
+    expect(session.getStats().find(node => node.id === 'C')).toMatchObject({ degree: 4, strength: 6 });
+  });
+});
@@ -3,21 +3,34 @@
  * @module validators/features
  */
 
-import { getValidFeatures } from '../core/constants.js';
+import {
+  getValidFeatures,
+  DIRECTED_ONLY_FEATURES,
+  UNDIRECTED_ONLY_FEATURES,
+  COMMUNITY_ALGORITHMS,
+  SELF_LOOP_POLICIES,
+  MULTI_EDGE_POLICIES,
+} from '../core/constants.js';
 
 /**
  * Validates that features array contains only valid feature names
  *
  * @param {*} features - Features to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.directed=false] - Whether the graph is directed
  * @throws {TypeError} If features is not an array
- * @throws {Error} If features contain invalid values
+ * @throws {Error} If features contain invalid values or don't apply to the graph mode
  *
  * @example
  * validateFeatures(['degree', 'eigenvector']); // No error
  * validateFeatures(['invalid']); // Throws: Invalid feature: "invalid"
  * validateFeatures('degree'); // Throws: Features must be an array
+ * validateFeatures(['inDegree']); // Throws: Feature "inDegree" requires a directed graph
+ * validateFeatures(['cliques'], { directed: true }); // Throws: not supported on directed graphs
  */
-export function validateFeatures(features) {
+export function validateFeatures(features, options = {}) {
+  const { directed = false } = options;
+
   if (!Array.isArray(features)) {
     throw new TypeError('Features must be an array of strings');
   }
@@ -40,5 +53,147 @@ export function validateFeatures(features) {
         `Invalid feature: "${feature}". Valid features are: ${Array.from(validFeatures).join(', ')}`
       );
     }
+
+    if (!directed && DIRECTED_ONLY_FEATURES.has(feature)) {
+      throw new Error(
+        `Feature "${feature}" requires a directed graph (set directed: true)`
+      );
+    }
+
+    if (directed && UNDIRECTED_ONLY_FEATURES.has(feature)) {
+      throw new Error(
+        `Feature "${feature}" is not supported on directed graphs`
+      );
+    }
+  }
+}
+
+/**
+ * Validates feature-specific calculation options
+ *
+ * Only options that are present are checked; missing ones fall back to the
+ * calculator defaults.
+ *
+ * @param {Object} [options] - Calculation options
+ * @throws {TypeError} If an option has the wrong type
+ * @throws {Error} If an option is out of range
+ *
+ * @example
+ * validateFeatureOptions({ alpha: 0.85, tolerance: 1e-6 }); // No error
+ * validateFeatureOptions({ alpha: 1.5 }); // Throws: alpha must be between 0 and 1
+ * validateFeatureOptions({ wfImproved: 'yes' }); // Throws: wfImproved must be a boolean
+ */
+export function validateFeatureOptions(options = {}) {
+  const {
+    alpha,
+    tolerance,
+    maxIter,
+    wfImproved,
+    weight,
+    directed,
+    communityLevel,
+    communityAlgorithm,
+    resolution,
+    seed,
+    randomOrder,
+    strict,
+    selfLoops,
+    multiEdges,
+    multigraph,
+  } = options;
+
+  if (alpha !== undefined) {
+    if (typeof alpha !== 'number' || isNaN(alpha)) {
+      throw new TypeError('Invalid option: alpha must be a number');
+    }
+    if (alpha < 0 || alpha > 1) {
+      throw new Error('Invalid option: alpha must be between 0 and 1');
+    }
+  }
+
+  if (tolerance !== undefined) {
+    if (typeof tolerance !== 'number' || isNaN(tolerance)) {
+      throw new TypeError('Invalid option: tolerance must be a number');
+    }
+    if (tolerance <= 0) {
+      throw new Error('Invalid option: tolerance must be positive');
+    }
+  }
+
+  if (maxIter !== undefined) {
+    if (!Number.isInteger(maxIter)) {
+      throw new TypeError('Invalid option: maxIter must be an integer');
+    }
+    if (maxIter < 1) {
+      throw new Error('Invalid option: maxIter must be at least 1');
+    }
+  }
+
+  if (wfImproved !== undefined && typeof wfImproved !== 'boolean') {
+    throw new TypeError('Invalid option: wfImproved must be a boolean');
+  }
+
+  if (weight !== undefined && weight !== null && typeof weight !== 'string') {
+    throw new TypeError('Invalid option: weight must be an attribute name or null');
+  }
+
+  if (directed !== undefined && typeof directed !== 'boolean') {
+    throw new TypeError('Invalid option: directed must be a boolean');
+  }
+
+  if (communityLevel !== undefined) {
+    if (!Number.isInteger(communityLevel)) {
+      throw new TypeError('Invalid option: communityLevel must be an integer');
+    }
+    if (communityLevel < 0) {
+      throw new Error('Invalid option: communityLevel must be non-negative');
+    }
+  }
+
+  if (communityAlgorithm !== undefined && !COMMUNITY_ALGORITHMS.has(communityAlgorithm)) {
+    throw new Error(
+      `Invalid option: communityAlgorithm must be one of ${[...COMMUNITY_ALGORITHMS].join(', ')}`
+    );
+  }
+
+  if (resolution !== undefined) {
+    if (typeof resolution !== 'number' || isNaN(resolution)) {
+      throw new TypeError('Invalid option: resolution must be a number');
+    }
+    if (resolution <= 0) {
+      throw new Error('Invalid option: resolution must be positive');
+    }
+  }
+
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    throw new TypeError('Invalid option: seed must be an integer');
+  }
+
+  if (randomOrder !== undefined && typeof randomOrder !== 'boolean') {
+    throw new TypeError('Invalid option: randomOrder must be a boolean');
+  }
+
+  if (strict !== undefined && typeof strict !== 'boolean') {
+    throw new TypeError('Invalid option: strict must be a boolean');
+  }
+
+  if (selfLoops !== undefined && !SELF_LOOP_POLICIES.has(selfLoops)) {
+    throw new Error(
+      `Invalid option: selfLoops must be one of ${[...SELF_LOOP_POLICIES].join(', ')}`
+    );
+  }
+
+  if (multiEdges !== undefined && !MULTI_EDGE_POLICIES.has(multiEdges)) {
+    throw new Error(
+      `Invalid option: multiEdges must be one of ${[...MULTI_EDGE_POLICIES].join(', ')}`
+    );
+  }
+
+  if (multigraph !== undefined && typeof multigraph !== 'boolean') {
+    throw new TypeError('Invalid option: multigraph must be a boolean');
+  }
+
+  if (multigraph && multiEdges === 'error') {
+    throw new Error('Invalid option: multiEdges cannot be error on a multigraph');
   }
 }
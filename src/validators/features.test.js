@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { validateFeatures } from './features.js';
+import { validateFeatures, validateFeatureOptions } from './features.js';
 import { FEATURES } from '../core/constants.js';
 
 describe('validateFeatures', () => {
@@ -37,6 +37,16 @@ describe('validateFeatures', () => {
     expect(() => validateFeatures([123])).toThrow('expected string');
   });
 
+  it('should reject directed-only features on undirected graphs', () => {
+    expect(() => validateFeatures([FEATURES.OUT_DEGREE])).toThrow('requires a directed graph');
+    expect(() => validateFeatures([FEATURES.OUT_DEGREE], { directed: true })).not.toThrow();
+  });
+
+  it('should reject undirected-only features on directed graphs', () => {
+    expect(() => validateFeatures([FEATURES.TRANSITIVITY], { directed: true }))
+      .toThrow('not supported on directed graphs');
+  });
+
   it('should provide helpful error message with valid features', () => {
     try {
       validateFeatures(['not_a_feature']);
@@ -47,3 +57,66 @@ describe('validateFeatures', () => {
     }
   });
 });
+
+describe('validateFeatureOptions', () => {
+  it('should accept empty options', () => {
+    expect(() => validateFeatureOptions()).not.toThrow();
+    expect(() => validateFeatureOptions({})).not.toThrow();
+  });
+
+  it('should accept valid options', () => {
+    expect(() => validateFeatureOptions({
+      alpha: 0.85,
+      tolerance: 1e-6,
+      maxIter: 100,
+      wfImproved: false
+    })).not.toThrow();
+  });
+
+  it('should reject out-of-range alpha', () => {
+    expect(() => validateFeatureOptions({ alpha: -0.1 })).toThrow('alpha must be between 0 and 1');
+    expect(() => validateFeatureOptions({ alpha: 1.1 })).toThrow('alpha must be between 0 and 1');
+  });
+
+  it('should reject non-numeric alpha', () => {
+    expect(() => validateFeatureOptions({ alpha: '0.85' })).toThrow(TypeError);
+  });
+
+  it('should reject non-positive tolerance', () => {
+    expect(() => validateFeatureOptions({ tolerance: 0 })).toThrow('tolerance must be positive');
+  });
+
+  it('should reject non-integer maxIter', () => {
+    expect(() => validateFeatureOptions({ maxIter: 1.5 })).toThrow('maxIter must be an integer');
+    expect(() => validateFeatureOptions({ maxIter: 0 })).toThrow('maxIter must be at least 1');
+  });
+
+  it('should reject non-boolean wfImproved', () => {
+    expect(() => validateFeatureOptions({ wfImproved: 'yes' })).toThrow('wfImproved must be a boolean');
+  });
+
+  it('should validate Louvain options', () => {
+    expect(() => validateFeatureOptions({ resolution: 1.5, seed: 42, randomOrder: true })).not.toThrow();
+    expect(() => validateFeatureOptions({ resolution: 0 })).toThrow('resolution must be positive');
+    expect(() => validateFeatureOptions({ seed: 0.5 })).toThrow('seed must be an integer');
+    expect(() => validateFeatureOptions({ randomOrder: 1 })).toThrow('randomOrder must be a boolean');
+    expect(() => validateFeatureOptions({ communityAlgorithm: 'leiden' })).not.toThrow();
+    expect(() => validateFeatureOptions({ communityAlgorithm: 'girvan-newman' }))
+      .toThrow('communityAlgorithm must be one of louvain, leiden');
+  });
+
+  it('should validate network policies', () => {
+    expect(() => validateFeatureOptions({ strict: true, selfLoops: 'drop', multiEdges: 'merge-max' })).not.toThrow();
+    expect(() => validateFeatureOptions({ strict: 'yes' })).toThrow('strict must be a boolean');
+    expect(() => validateFeatureOptions({ selfLoops: 'ignore' })).toThrow('selfLoops must be one of keep, drop, error');
+    expect(() => validateFeatureOptions({ multiEdges: 'keep' }))
+      .toThrow('multiEdges must be one of merge-sum, merge-max, first, error');
+  });
+
+  it('should validate the multigraph option', () => {
+    expect(() => validateFeatureOptions({ multigraph: true, strict: true, multiEdges: 'merge-max' })).not.toThrow();
+    expect(() => validateFeatureOptions({ multigraph: 1 })).toThrow('multigraph must be a boolean');
+    expect(() => validateFeatureOptions({ multigraph: true, multiEdges: 'error' }))
+      .toThrow('multiEdges cannot be error on a multigraph');
+  });
+});
@@ -3,12 +3,44 @@
  * @module validators/network
  */
 
+import { DEFAULT_WEIGHT_ATTRIBUTE } from '../core/constants.js';
+import { edgePair } from '../graph/utils.js';
+import { resolvePolicies } from '../graph/preprocess.js';
+
+/**
+ * A problem found in a network
+ *
+ * @typedef {Object} ValidationIssue
+ * @property {'network'|'node'|'edge'} kind - What the problem is in
+ * @property {number|null} index - Index of the node or edge (null for the network itself)
+ * @property {string|null} field - Offending property (`id`, `source`, `target`, the weight
+ *   attribute, `nodes`), or null when the whole item is at fault
+ * @property {string} code - Machine-readable problem: `invalid-network`, `empty-network`,
+ *   `not-an-object`, `missing`, `empty-id`, `invalid-type`, `not-finite`, `not-a-number`,
+ *   `negative`, `duplicate-id`, `self-loop` or `multi-edge`
+ * @property {string} message - Human-readable description, as thrown by validateNetwork
+ */
+
 /**
- * Validates that a network is a valid array of edge objects
+ * Validates that a network is a valid array of edge objects, or an object
+ * with an edge array and an optional node array (`{ nodes, edges }`)
+ *
+ * In the object form, every node needs a unique string or number `id`, and
+ * the network may consist of isolated nodes only. Numeric IDs must be finite
+ * (`0` is fine) and string IDs non-empty. Throws on the first problem; use
+ * validateNetworkReport to get all of them.
  *
  * @param {*} network - Network to validate
- * @throws {TypeError} If network is not an array
- * @throws {Error} If network is empty or contains invalid edges
+ * @param {Object} [options] - Validation options
+ * @param {string|null} [options.weight='weight'] - Edge attribute validated as weight (null = not checked)
+ * @param {boolean} [options.directed=false] - Whether A→B and B→A are different edges
+ * @param {boolean} [options.strict=false] - Reject self-loops and multi-edges unless a policy allows them
+ * @param {string} [options.selfLoops] - `'error'` to reject self-loops (default: `'error'` in strict mode, else `'keep'`)
+ * @param {string} [options.multiEdges] - `'error'` to reject repeated edges between the same nodes
+ *   (default: `'error'` in strict mode, else `'merge-sum'`)
+ * @param {boolean} [options.multigraph=false] - Keep repeated edges as parallel edges (never rejected)
+ * @throws {TypeError} If network is neither an array nor an object with an edges array
+ * @throws {Error} If network is empty or contains invalid nodes or edges
  *
  * @example
  * validateNetwork([
@@ -16,63 +48,226 @@
  *   { source: 'B', target: 'C' }
  * ]); // No error
  *
+ * validateNetwork({ nodes: [{ id: 'D' }], edges: [{ source: 'A', target: 'B' }] }); // No error
+ *
  * validateNetwork([]); // Throws: Network cannot be empty
  * validateNetwork('invalid'); // Throws: Network must be an array
+ * validateNetwork([{ source: 'A', target: 'A' }], { selfLoops: 'error' }); // Throws: self-loop
+ */
+export function validateNetwork(network, options = {}) {
+  checkNetwork(network, options, (severity, issue) => {
+    // The network (or its node list) has the wrong shape
+    const isTypeError = issue.kind === 'network' && issue.code !== 'empty-network';
+    throw isTypeError ? new TypeError(issue.message) : new Error(issue.message);
+  }, false);
+}
+
+/**
+ * Validates a network and reports every problem instead of throwing
+ *
+ * Takes the same input and options as validateNetwork. Self-loops and
+ * multi-edges that the policies keep, drop or merge (or a multigraph keeps)
+ * are listed as warnings.
+ *
+ * @param {*} network - Network to validate
+ * @param {Object} [options] - Same options as validateNetwork
+ * @returns {{valid: boolean, errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}}
+ *   Validation report; `valid` is true when there are no errors
+ *
+ * @example
+ * validateNetworkReport([{ source: 0, target: 'B' }, { source: NaN, target: 'B', weight: -1 }]);
+ * // {
+ * //   valid: false,
+ * //   errors: [
+ * //     { kind: 'edge', index: 1, field: 'source', code: 'not-finite', message: '...' },
+ * //     { kind: 'edge', index: 1, field: 'weight', code: 'negative', message: '...' }
+ * //   ],
+ * //   warnings: []
+ * // }
  */
-export function validateNetwork(network) {
-  if (!Array.isArray(network)) {
-    throw new TypeError('Network must be an array of edge objects');
+export function validateNetworkReport(network, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  checkNetwork(network, options, (severity, issue) => {
+    (severity === 'error' ? errors : warnings).push(issue);
+  }, true);
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Runs every check, passing each problem to `report(severity, issue)`;
+ * warnings are only looked for when `warnings` is true
+ */
+function checkNetwork(network, options, report, warnings) {
+  const fail = (kind, index, field, code, message) =>
+    report('error', { kind, index, field, code, message });
+
+  if (Array.isArray(network)) {
+    if (network.length === 0) {
+      fail('network', null, null, 'empty-network', 'Network cannot be empty');
+      return;
+    }
+    checkEdges(network, options, report, warnings);
+    return;
   }
 
-  if (network.length === 0) {
-    throw new Error('Network cannot be empty');
+  if (!network || typeof network !== 'object' || !Array.isArray(network.edges)) {
+    fail('network', null, null, 'invalid-network',
+      'Network must be an array of edge objects or an object with an edges array');
+    return;
+  }
+  if (network.nodes !== undefined && !Array.isArray(network.nodes)) {
+    fail('network', null, 'nodes', 'invalid-type', 'Network nodes must be an array of node objects');
+    return;
   }
 
-  for (let i = 0; i < network.length; i++) {
-    const edge = network[i];
+  const nodes = network.nodes ?? [];
+  if (nodes.length === 0 && network.edges.length === 0) {
+    fail('network', null, null, 'empty-network', 'Network cannot be empty');
+    return;
+  }
+  checkNodes(nodes, report);
+  checkEdges(network.edges, options, report, warnings);
+}
 
-    if (!edge || typeof edge !== 'object') {
-      throw new Error(
-        `Invalid edge at index ${i}: edge must be an object`
-      );
+/**
+ * Checks that every node is an object with a unique string or number id
+ */
+function checkNodes(nodes, report) {
+  const seen = new Set();
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const fail = (field, code, problem) => report('error', {
+      kind: 'node',
+      index: i,
+      field,
+      code,
+      message: `Invalid node at index ${i}: ${problem}`
+    });
+
+    if (!node || typeof node !== 'object') {
+      fail(null, 'not-an-object', 'node must be an object');
+      continue;
     }
 
-    if (!edge.source || !edge.target) {
-      throw new Error(
-        `Invalid edge at index ${i}: missing source or target property`
-      );
+    const code = checkId(node.id);
+    if (code === 'missing') {
+      fail('id', code, 'missing id property');
+    } else if (code === 'empty-id') {
+      fail('id', code, 'id must not be an empty string');
+    } else if (code === 'invalid-type') {
+      fail('id', code, 'id must be a string or number');
+    } else if (code === 'not-finite') {
+      fail('id', code, 'id must be a finite number');
+    } else if (seen.has(node.id)) {
+      fail('id', 'duplicate-id', `duplicate id ${node.id}`);
+    } else {
+      seen.add(node.id);
     }
+  }
+}
+
+/**
+ * Checks every edge's endpoints and weight, then self-loops and multi-edges
+ */
+function checkEdges(network, options, report, warnings) {
+  const { weight = DEFAULT_WEIGHT_ATTRIBUTE, directed = false } = options;
+  const { selfLoops, multiEdges } = resolvePolicies(options);
+  // A multigraph keeps its parallel edges
+  const rejectMultiEdges = multiEdges === 'error' && !options.multigraph;
+  const checkSelfLoops = warnings || selfLoops === 'error';
+  const checkMultiEdges = warnings || rejectMultiEdges;
 
-    // Validate source and target are strings or numbers
-    const sourceType = typeof edge.source;
-    const targetType = typeof edge.target;
+  // Source, then target, to the index of the first edge between them
+  const seen = new Map();
 
-    if (sourceType !== 'string' && sourceType !== 'number') {
-      throw new Error(
-        `Invalid edge at index ${i}: source must be a string or number`
-      );
+  for (let i = 0; i < network.length; i++) {
+    const edge = network[i];
+    const issue = (severity, field, code, problem) => report(severity, {
+      kind: 'edge',
+      index: i,
+      field,
+      code,
+      message: `${severity === 'error' ? 'Invalid edge' : 'Edge'} at index ${i}: ${problem}`
+    });
+    const fail = (field, code, problem) => issue('error', field, code, problem);
+
+    if (!edge || typeof edge !== 'object') {
+      fail(null, 'not-an-object', 'edge must be an object');
+      continue;
     }
 
-    if (targetType !== 'string' && targetType !== 'number') {
-      throw new Error(
-        `Invalid edge at index ${i}: target must be a string or number`
-      );
+    // Every missing endpoint first, then the types of the present ones
+    const codes = { source: checkId(edge.source), target: checkId(edge.target) };
+    for (const field of ['source', 'target']) {
+      if (codes[field] === 'missing') {
+        fail(field, 'missing', 'missing source or target property');
+      }
+    }
+    for (const field of ['source', 'target']) {
+      if (codes[field] === 'empty-id') {
+        fail(field, 'empty-id', `${field} must not be an empty string`);
+      } else if (codes[field] === 'invalid-type') {
+        fail(field, 'invalid-type', `${field} must be a string or number`);
+      } else if (codes[field] === 'not-finite') {
+        fail(field, 'not-finite', `${field} must be a finite number`);
+      }
     }
 
     // Validate weight if present
-    if (edge.weight !== undefined) {
-      const weightType = typeof edge.weight;
-      if (weightType !== 'number' || isNaN(edge.weight)) {
-        throw new Error(
-          `Invalid edge at index ${i}: weight must be a valid number`
-        );
+    if (weight !== null && edge[weight] !== undefined) {
+      const value = edge[weight];
+      if (typeof value !== 'number' || isNaN(value)) {
+        fail(weight, 'not-a-number', `${weight} must be a valid number`);
+      } else if (!Number.isFinite(value)) {
+        fail(weight, 'not-finite', `${weight} must be a finite number`);
+      } else if (value < 0) {
+        fail(weight, 'negative', `${weight} must be non-negative`);
       }
+    }
 
-      if (edge.weight < 0) {
-        throw new Error(
-          `Invalid edge at index ${i}: weight must be non-negative`
-        );
-      }
+    if (codes.source !== null || codes.target !== null) {
+      continue;
+    }
+
+    if (checkSelfLoops && edge.source === edge.target) {
+      issue(selfLoops === 'error' ? 'error' : 'warning', null, 'self-loop', `self-loop on node ${edge.source}`);
+    }
+
+    if (!checkMultiEdges) {
+      continue;
+    }
+    const [u, v] = edgePair(edge.source, edge.target, directed);
+    if (!seen.has(u)) {
+      seen.set(u, new Map());
     }
+    const first = seen.get(u).get(v);
+    if (first === undefined) {
+      seen.get(u).set(v, i);
+    } else {
+      issue(rejectMultiEdges ? 'error' : 'warning', null, 'multi-edge', `repeats the edge at index ${first}`);
+    }
+  }
+}
+
+/**
+ * Classifies a node ID: null when valid, otherwise an issue code
+ */
+function checkId(id) {
+  if (id === undefined || id === null) {
+    return 'missing';
+  }
+  if (id === '') {
+    return 'empty-id';
+  }
+  if (typeof id !== 'string' && typeof id !== 'number') {
+    return 'invalid-type';
+  }
+  if (typeof id === 'number' && !Number.isFinite(id)) {
+    return 'not-finite';
   }
+  return null;
 }
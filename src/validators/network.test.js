@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { validateNetwork } from './network.js';
+import { validateNetwork, validateNetworkReport } from './network.js';
 
 describe('validateNetwork', () => {
   it('should accept valid network', () => {
@@ -76,4 +76,167 @@ describe('validateNetwork', () => {
     const network = [{ source: 'A', target: 'B', weight: NaN }];
     expect(() => validateNetwork(network)).toThrow('weight must be a valid number');
   });
+
+  it('should reject edge with infinite weight', () => {
+    expect(() => validateNetwork([{ source: 'A', target: 'B', weight: Infinity }]))
+      .toThrow('Invalid edge at index 0: weight must be a finite number');
+    expect(() => validateNetwork([{ source: 'A', target: 'B', weight: -Infinity }]))
+      .toThrow('weight must be a finite number');
+    expect(validateNetworkReport([{ source: 'A', target: 'B', weight: Infinity }]).errors[0])
+      .toMatchObject({ kind: 'edge', index: 0, field: 'weight', code: 'not-finite' });
+  });
+
+  it('should validate a custom weight attribute', () => {
+    const network = [{ source: 'A', target: 'B', cost: 'high', weight: 1 }];
+    expect(() => validateNetwork(network, { weight: 'cost' })).toThrow('cost must be a valid number');
+  });
+
+  it('should skip weight validation when weights are ignored', () => {
+    const network = [{ source: 'A', target: 'B', weight: -1 }];
+    expect(() => validateNetwork(network, { weight: null })).not.toThrow();
+  });
+
+  it('should accept falsy but valid node IDs', () => {
+    expect(() => validateNetwork([{ source: 0, target: 1 }])).not.toThrow();
+    expect(() => validateNetwork({ nodes: [{ id: 0 }], edges: [{ source: 0, target: 'A' }] })).not.toThrow();
+  });
+
+  it('should reject non-finite node IDs', () => {
+    expect(() => validateNetwork([{ source: NaN, target: 'B' }])).toThrow('source must be a finite number');
+    expect(() => validateNetwork([{ source: 'A', target: Infinity }])).toThrow('target must be a finite number');
+    expect(() => validateNetwork({ nodes: [{ id: -Infinity }], edges: [] })).toThrow('id must be a finite number');
+  });
+
+  it('should reject empty-string node IDs as such, not as missing', () => {
+    expect(() => validateNetwork([{ source: '', target: 'B' }]))
+      .toThrow('Invalid edge at index 0: source must not be an empty string');
+    expect(() => validateNetwork({ nodes: [{ id: '' }], edges: [] }))
+      .toThrow('Invalid node at index 0: id must not be an empty string');
+  });
+
+  it('should reject self-loops and multi-edges by policy', () => {
+    const loop = [{ source: 'A', target: 'A' }];
+    const repeated = [{ source: 'A', target: 'B' }, { source: 'B', target: 'A' }];
+
+    expect(() => validateNetwork(loop)).not.toThrow();
+    expect(() => validateNetwork(loop, { selfLoops: 'error' })).toThrow('Invalid edge at index 0: self-loop on node A');
+    expect(() => validateNetwork(repeated)).not.toThrow();
+    expect(() => validateNetwork(repeated, { multiEdges: 'error' }))
+      .toThrow('Invalid edge at index 1: repeats the edge at index 0');
+    expect(() => validateNetwork(repeated, { multiEdges: 'error', directed: true })).not.toThrow();
+  });
+
+  it('should reject self-loops and multi-edges in strict mode unless kept', () => {
+    const network = [{ source: 'A', target: 'A' }, { source: 'A', target: 'B' }, { source: 'A', target: 'B' }];
+
+    expect(() => validateNetwork(network, { strict: true })).toThrow('self-loop');
+    expect(() => validateNetwork(network, { strict: true, selfLoops: 'keep' })).toThrow('repeats the edge');
+    expect(() => validateNetwork(network, { strict: true, selfLoops: 'keep', multiEdges: 'merge-sum' })).not.toThrow();
+    expect(() => validateNetwork(network, { strict: true, selfLoops: 'keep', multigraph: true })).not.toThrow();
+  });
+
+  describe('{ nodes, edges } form', () => {
+    it('should accept declared nodes, including isolated ones', () => {
+      const network = {
+        nodes: [{ id: 'A', label: 'Alice' }, { id: 'D' }],
+        edges: [{ source: 'A', target: 'B' }]
+      };
+
+      expect(() => validateNetwork(network)).not.toThrow();
+      expect(() => validateNetwork({ nodes: [{ id: 0 }], edges: [] })).not.toThrow();
+      expect(() => validateNetwork({ edges: network.edges })).not.toThrow();
+    });
+
+    it('should reject a network without nodes or edges', () => {
+      expect(() => validateNetwork({ nodes: [], edges: [] })).toThrow('Network cannot be empty');
+      expect(() => validateNetwork({ nodes: [] })).toThrow(TypeError);
+      expect(() => validateNetwork(null)).toThrow('Network must be an array');
+    });
+
+    it('should reject invalid nodes', () => {
+      expect(() => validateNetwork({ nodes: 'A', edges: [] })).toThrow('nodes must be an array');
+      expect(() => validateNetwork({ nodes: ['A'], edges: [] })).toThrow('Invalid node at index 0: node must be an object');
+      expect(() => validateNetwork({ nodes: [{ label: 'A' }], edges: [] })).toThrow('missing id property');
+      expect(() => validateNetwork({ nodes: [{ id: true }], edges: [] })).toThrow('id must be a string or number');
+      expect(() => validateNetwork({ nodes: [{ id: 'A' }, { id: 'A' }], edges: [] }))
+        .toThrow('Invalid node at index 1: duplicate id A');
+    });
+
+    it('should validate the edges', () => {
+      const network = { nodes: [{ id: 'A' }], edges: [{ source: 'A', target: 'B', weight: -1 }] };
+      expect(() => validateNetwork(network)).toThrow('weight must be non-negative');
+    });
+  });
+});
+
+describe('validateNetworkReport', () => {
+  it('should report a valid network', () => {
+    expect(validateNetworkReport([{ source: 0, target: 1 }])).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('should report empty-string IDs with their own code', () => {
+    const report = validateNetworkReport({ nodes: [{ id: '' }], edges: [{ source: 'A', target: '' }] });
+
+    expect(report.errors.map(({ kind, field, code, message }) => ({ kind, field, code, message }))).toEqual([
+      { kind: 'node', field: 'id', code: 'empty-id', message: 'Invalid node at index 0: id must not be an empty string' },
+      { kind: 'edge', field: 'target', code: 'empty-id', message: 'Invalid edge at index 0: target must not be an empty string' }
+    ]);
+  });
+
+  it('should report every problem with its index, field and code', () => {
+    const report = validateNetworkReport({
+      nodes: [{ id: 'A' }, { id: 'A' }, 'B'],
+      edges: [
+        { source: 'A', target: 'B', weight: -1 },
+        { source: NaN },
+        null,
+        { source: 'A', target: 'C', weight: 'heavy' }
+      ]
+    });
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.map(({ kind, index, field, code }) => ({ kind, index, field, code }))).toEqual([
+      { kind: 'node', index: 1, field: 'id', code: 'duplicate-id' },
+      { kind: 'node', index: 2, field: null, code: 'not-an-object' },
+      { kind: 'edge', index: 0, field: 'weight', code: 'negative' },
+      { kind: 'edge', index: 1, field: 'target', code: 'missing' },
+      { kind: 'edge', index: 1, field: 'source', code: 'not-finite' },
+      { kind: 'edge', index: 2, field: null, code: 'not-an-object' },
+      { kind: 'edge', index: 3, field: 'weight', code: 'not-a-number' }
+    ]);
+    expect(report.errors[0].message).toBe('Invalid node at index 1: duplicate id A');
+  });
+
+  it('should list kept self-loops and multi-edges as warnings', () => {
+    const network = [
+      { source: 'A', target: 'A' },
+      { source: 'A', target: 'B' },
+      { source: 'B', target: 'A' }
+    ];
+
+    const lenient = validateNetworkReport(network);
+    expect(lenient.valid).toBe(true);
+    expect(lenient.warnings.map(({ index, code }) => [index, code])).toEqual([[0, 'self-loop'], [2, 'multi-edge']]);
+    expect(lenient.warnings[1].message).toBe('Edge at index 2: repeats the edge at index 1');
+
+    const strict = validateNetworkReport(network, { strict: true });
+    expect(strict.valid).toBe(false);
+    expect(strict.errors.map(issue => issue.code)).toEqual(['self-loop', 'multi-edge']);
+    expect(strict.warnings).toEqual([]);
+
+    const multigraph = validateNetworkReport(network, { strict: true, multigraph: true });
+    expect(multigraph.errors.map(issue => issue.code)).toEqual(['self-loop']);
+    expect(multigraph.warnings.map(issue => issue.code)).toEqual(['multi-edge']);
+  });
+
+  it('should report a malformed network', () => {
+    expect(validateNetworkReport('edges').errors).toEqual([{
+      kind: 'network',
+      index: null,
+      field: null,
+      code: 'invalid-network',
+      message: 'Network must be an array of edge objects or an object with an edges array'
+    }]);
+    expect(validateNetworkReport([]).errors[0].code).toBe('empty-network');
+  });
 });
@@ -3,33 +3,89 @@
  * @module worker/WorkerPool
  */
 
-import { Worker } from 'worker_threads';
-import { cpus } from 'os';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { Emitter } from '../core/emitter.js';
+import { createAbortError } from '../core/abort.js';
+import { encodeGraph, isEncodedGraph } from '../graph/csr.js';
+import { resolveWeightAttribute } from '../graph/utils.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * @typedef {Object} WorkerHandle
+ * @property {number} threadId - Worker ID
+ * @property {Function} postMessage - Sends a message to the worker
+ * @property {Function} terminate - Stops the worker; resolves once stopped
+ * @property {Function} on - Subscribes to 'message' (data), 'error' (Error) and 'exit' (code) events
+ */
+
+/**
+ * Environment-specific worker factory (see worker/adapters)
+ *
+ * @typedef {Object} WorkerAdapter
+ * @property {string} name - Adapter name ('node', 'browser')
+ * @property {Function} isAvailable - Returns whether workers can be created here
+ * @property {Function} defaultWorkerCount - Returns the default pool size
+ * @property {Function} createWorker - Starts a worker: `({ resourceLimits }) => WorkerHandle`
+ */
+
+/**
+ * Default number of times a task is retried after its worker crashes
+ * @type {number}
+ */
+const DEFAULT_MAX_RETRIES = 1;
 
 /**
  * Manages a pool of worker threads for parallel computation
+ *
+ * The pool heals itself: a worker that crashes (uncaught error, out of memory,
+ * unexpected exit) is replaced, and the task it was running is retried on a
+ * fresh worker until its retry budget runs out.
+ *
+ * Health events:
+ * - `workerExit` `{ threadId, code, error, taskId }` - A worker died unexpectedly
+ *   (without listeners, the exit is logged to the console instead)
+ * - `workerRespawn` `{ threadId }` - A worker started to replace a crashed one, or
+ *   one terminated because its task was aborted or timed out (started once there is work)
+ * - `taskRetry` `{ taskId, attempt, error }` - A crashed task was queued again
+ * - `taskFailed` `{ taskId, error }` - A crashed task ran out of retries
+ *
+ * @example
+ * const pool = new WorkerPool({
+ *   adapter: nodeAdapter,
+ *   maxRetries: 2,
+ *   resourceLimits: { maxOldGenerationSizeMb: 512 }
+ * });
+ * pool.on('workerExit', ({ code, error }) => console.warn('Worker crashed', code, error.message));
  */
-export class WorkerPool {
+export class WorkerPool extends Emitter {
   /**
    * @param {Object} options - Pool configuration
+   * @param {WorkerAdapter} options.adapter - Creates workers for the current environment
+   *   (nodeAdapter, createBrowserAdapter(), createSimulatedAdapter())
    * @param {number} [options.maxWorkers] - Maximum number of workers (defaults to CPU count - 1)
-   * @param {number} [options.taskTimeout=60000] - Task timeout in milliseconds
+   * @param {number} [options.taskTimeout=60000] - Task timeout in milliseconds (covers retries)
+   * @param {number} [options.maxRetries=1] - Times a task is retried after its worker crashes
+   * @param {Object} [options.resourceLimits] - Per-worker worker_threads limits (Node only)
+   *   (e.g. `{ maxOldGenerationSizeMb: 512 }`); a worker exceeding them crashes and is replaced
    */
   constructor(options = {}) {
-    const cpuCount = cpus().length;
-    this.maxWorkers = options.maxWorkers || Math.max(1, cpuCount - 1);
+    super();
+
+    if (!options.adapter) {
+      throw new TypeError('WorkerPool requires a worker adapter');
+    }
+
+    this.adapter = options.adapter;
+    this.maxWorkers = options.maxWorkers || this.adapter.defaultWorkerCount();
     this.taskTimeout = options.taskTimeout || 60000;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.resourceLimits = options.resourceLimits;
 
     this.workers = [];
     this.taskQueue = [];
     this.activeTasks = new Map();
     this.nextTaskId = 0;
     this.initialized = false;
+    this.crashes = 0;
+    this.respawns = 0;
   }
 
   /**
@@ -38,25 +94,55 @@ export class WorkerPool {
   initialize() {
     if (this.initialized) return;
 
-    const workerPath = join(__dirname, 'compute-worker.js');
-
     for (let i = 0; i < this.maxWorkers; i++) {
-      const worker = new Worker(workerPath);
-
-      worker.on('message', (result) => this.handleWorkerMessage(worker, result));
-      worker.on('error', (error) => this.handleWorkerError(worker, error));
-      worker.on('exit', (code) => this.handleWorkerExit(worker, code));
-
-      this.workers.push({
-        worker,
-        busy: false,
-        currentTaskId: null
-      });
+      this.spawnWorker();
     }
 
     this.initialized = true;
   }
 
+  /**
+   * Start a worker thread and add it to the pool
+   */
+  spawnWorker() {
+    const worker = this.adapter.createWorker({ resourceLimits: this.resourceLimits });
+    const workerInfo = {
+      worker,
+      threadId: worker.threadId,
+      busy: false,
+      currentTaskId: null,
+      retired: false,
+      error: null
+    };
+
+    worker.on('message', (result) => this.handleWorkerMessage(worker, result));
+    worker.on('error', (error) => this.handleWorkerError(worker, error));
+    worker.on('exit', (code) => this.handleWorkerExit(workerInfo, code));
+
+    this.workers.push(workerInfo);
+    return workerInfo;
+  }
+
+  /**
+   * Remove a worker from the pool; processQueue() starts a replacement as
+   * soon as there is work for it
+   *
+   * Used for crashed workers, and to terminate workers still computing a
+   * cancelled task so the pool doesn't keep a busy thread around. Respawning
+   * on demand, rather than right away, keeps a worker that crashes while idle
+   * (e.g. resourceLimits too low to even start) from crash-looping.
+   *
+   * @param {Object} workerInfo - Worker to remove
+   */
+  retireWorker(workerInfo) {
+    if (!workerInfo.retired) {
+      workerInfo.retired = true;
+      workerInfo.worker.terminate();
+    }
+    this.workers = this.workers.filter(w => w !== workerInfo);
+    this.processQueue();
+  }
+
   /**
    * Handle message from worker
    */
@@ -67,11 +153,16 @@ export class WorkerPool {
     const task = this.activeTasks.get(result.id);
     if (!task) return;
 
-    // Clear timeout
-    if (task.timeoutId) {
-      clearTimeout(task.timeoutId);
+    // Intermediate progress: route to the caller, the task keeps running
+    if (result.type === 'progress') {
+      if (task.onProgress) {
+        task.onProgress(result.progress);
+      }
+      return;
     }
 
+    this.settleTask(task);
+
     // Resolve or reject the task
     if (result.success) {
       task.resolve(result);
@@ -82,7 +173,6 @@ export class WorkerPool {
     }
 
     // Clean up
-    this.activeTasks.delete(result.id);
     workerInfo.busy = false;
     workerInfo.currentTaskId = null;
 
@@ -97,37 +187,114 @@ export class WorkerPool {
     const workerInfo = this.workers.find(w => w.worker === worker);
     if (!workerInfo) return;
 
-    // Reject current task if any
-    if (workerInfo.currentTaskId !== null) {
-      const task = this.activeTasks.get(workerInfo.currentTaskId);
-      if (task) {
+    // The worker is going down: keep the cause for the exit handler
+    workerInfo.error = error;
+  }
+
+  /**
+   * Handle worker exit: replaces crashed workers and retries their task
+   */
+  handleWorkerExit(workerInfo, code) {
+    // Workers terminated on purpose (cancellation, shutdown) need no healing
+    if (workerInfo.retired) return;
+    workerInfo.retired = true;
+
+    const error = workerInfo.error || new Error(`Worker exited with code ${code}`);
+    const taskId = workerInfo.currentTaskId;
+    this.crashes++;
+
+    if (this.listenerCount('workerExit') > 0) {
+      this.emit('workerExit', { threadId: workerInfo.threadId, code, error, taskId });
+    } else {
+      console.error(`Worker exited with code ${code}: ${error.message}`);
+    }
+
+    const task = taskId !== null ? this.activeTasks.get(taskId) : undefined;
+    if (task) {
+      if (task.attempts < this.maxRetries) {
+        task.attempts++;
+        this.emit('taskRetry', { taskId, attempt: task.attempts, error });
+        this.taskQueue.unshift(task);
+      } else {
+        this.settleTask(task);
+        this.emit('taskFailed', { taskId, error });
         task.reject(error);
-        this.activeTasks.delete(workerInfo.currentTaskId);
       }
     }
 
-    workerInfo.busy = false;
-    workerInfo.currentTaskId = null;
+    this.retireWorker(workerInfo);
   }
 
   /**
-   * Handle worker exit
+   * Stop tracking a task: clears its timeout and abort listener
+   */
+  settleTask(task) {
+    if (task.timeoutId) {
+      clearTimeout(task.timeoutId);
+    }
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+    this.activeTasks.delete(task.id);
+  }
+
+  /**
+   * Cancel a task and reject its promise with `error`
+   *
+   * Queued tasks are dropped from the queue; a running task's worker is
+   * terminated and replaced, since it cannot be interrupted mid-computation.
+   *
+   * @param {number} taskId - Task to cancel
+   * @param {Error} error - Rejection reason
    */
-  handleWorkerExit(worker, code) {
-    if (code !== 0) {
-      console.error(`Worker exited with code ${code}`);
+  cancelTask(taskId, error) {
+    const task = this.activeTasks.get(taskId);
+    if (!task) return;
+
+    this.settleTask(task);
+
+    const queueIndex = this.taskQueue.indexOf(task);
+    if (queueIndex !== -1) {
+      this.taskQueue.splice(queueIndex, 1);
+    } else {
+      const workerInfo = this.workers.find(w => w.currentTaskId === taskId);
+      if (workerInfo) {
+        this.retireWorker(workerInfo);
+      }
     }
+
+    task.reject(error);
   }
 
   /**
    * Execute a task in the worker pool
    *
-   * @param {Array} network - Network edges
+   * Pass the same encodeGraph() result to every task on a graph: it is
+   * encoded once, shared with the workers without copying, and each worker
+   * reuses the graph it built for the previous task on it.
+   *
+   * @param {Array|import('../graph/csr.js').EncodedGraph} network - Network edges, or an
+   *   encoded graph (see graph/csr.js)
    * @param {Array<string>} features - Features to calculate
    * @param {Object} options - Calculation options
+   * @param {Object} [taskOptions] - Task options
+   * @param {Array<string|number>} [taskOptions.sources] - Source node batch; computes
+   *   partial results of partitioned features instead of full ones
+   * @param {Function} [taskOptions.onProgress] - Receives the worker's progress messages
+   *   (`{ feature, completed, total }`)
+   * @param {AbortSignal} [taskOptions.signal] - Cancels the task: it is removed from the
+   *   queue, or its worker is terminated and replaced, and the promise rejects with an AbortError
    * @returns {Promise<Object>} Computation results
    */
-  execute(network, features, options = {}) {
+  execute(network, features, options = {}, { sources = null, onProgress = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const graph = isEncodedGraph(network)
+      ? network
+      : encodeGraph(network, { weight: resolveWeightAttribute(network, options.weight) });
+
     if (!this.initialized) {
       this.initialize();
     }
@@ -136,9 +303,14 @@ export class WorkerPool {
       const taskId = this.nextTaskId++;
       const task = {
         id: taskId,
-        network,
+        graph,
         features,
         options,
+        sources,
+        onProgress,
+        signal,
+        onAbort: null,
+        attempts: 0,
         resolve,
         reject,
         timeoutId: null
@@ -146,10 +318,14 @@ export class WorkerPool {
 
       // Set timeout
       task.timeoutId = setTimeout(() => {
-        this.activeTasks.delete(taskId);
-        reject(new Error(`Task ${taskId} timed out after ${this.taskTimeout}ms`));
+        this.cancelTask(taskId, new Error(`Task ${taskId} timed out after ${this.taskTimeout}ms`));
       }, this.taskTimeout);
 
+      if (signal) {
+        task.onAbort = () => this.cancelTask(taskId, createAbortError());
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
       this.activeTasks.set(taskId, task);
       this.taskQueue.push(task);
       this.processQueue();
@@ -161,8 +337,13 @@ export class WorkerPool {
    */
   processQueue() {
     while (this.taskQueue.length > 0) {
-      // Find available worker
-      const availableWorker = this.workers.find(w => !w.busy);
+      // Find available worker, replacing crashed or cancelled ones as needed
+      let availableWorker = this.workers.find(w => !w.busy);
+      if (!availableWorker && this.initialized && this.workers.length < this.maxWorkers) {
+        availableWorker = this.spawnWorker();
+        this.respawns++;
+        this.emit('workerRespawn', { threadId: availableWorker.threadId });
+      }
       if (!availableWorker) break;
 
       // Get next task
@@ -174,24 +355,32 @@ export class WorkerPool {
 
       availableWorker.worker.postMessage({
         id: task.id,
-        network: task.network,
+        graph: task.graph,
         features: task.features,
-        options: task.options
+        options: task.options,
+        sources: task.sources
       });
     }
   }
 
   /**
    * Terminate all workers and clean up
+   *
+   * Pending tasks are rejected rather than left hanging.
    */
   async terminate() {
+    this.initialized = false;
+    for (const task of [...this.activeTasks.values()]) {
+      this.settleTask(task);
+      task.reject(new Error('Worker pool terminated'));
+    }
+
+    this.workers.forEach(workerInfo => { workerInfo.retired = true; });
     const terminationPromises = this.workers.map(({ worker }) => worker.terminate());
     await Promise.all(terminationPromises);
 
     this.workers = [];
     this.taskQueue = [];
-    this.activeTasks.clear();
-    this.initialized = false;
   }
 
   /**
@@ -202,32 +391,9 @@ export class WorkerPool {
       maxWorkers: this.maxWorkers,
       busyWorkers: this.workers.filter(w => w.busy).length,
       queuedTasks: this.taskQueue.length,
-      activeTasks: this.activeTasks.size
+      activeTasks: this.activeTasks.size,
+      crashes: this.crashes,
+      respawns: this.respawns
     };
   }
 }
-
-/**
- * Singleton worker pool instance
- */
-let sharedPool = null;
-
-/**
- * Get or create the shared worker pool
- */
-export function getSharedPool(options = {}) {
-  if (!sharedPool) {
-    sharedPool = new WorkerPool(options);
-  }
-  return sharedPool;
-}
-
-/**
- * Terminate the shared worker pool
- */
-export async function terminateSharedPool() {
-  if (sharedPool) {
-    await sharedPool.terminate();
-    sharedPool = null;
-  }
-}
@@ -0,0 +1,102 @@
+/**
+ * Worker adapter for browser Web Workers
+ * @module worker/adapters/browser
+ */
+
+import { Emitter } from '../../core/emitter.js';
+
+/**
+ * Next ID handed to a Web Worker, standing in for Node's threadId
+ * @type {number}
+ */
+let nextThreadId = 1;
+
+/**
+ * Wraps a Web Worker in the WorkerHandle interface the pool expects
+ *
+ * Web Workers survive uncaught errors and don't report exits, so an error is
+ * treated like a crash: the worker is terminated and an exit (code 1) is
+ * emitted, as worker_threads does.
+ */
+class WebWorkerHandle extends Emitter {
+  constructor(worker) {
+    super();
+    this.worker = worker;
+    this.threadId = nextThreadId++;
+    this.exited = false;
+
+    worker.onmessage = (event) => this.emit('message', event.data);
+    worker.onerror = (event) => {
+      if (event && typeof event.preventDefault === 'function') {
+        event.preventDefault();
+      }
+      this.emit('error', new Error((event && event.message) || 'Web Worker error'));
+      this.terminate();
+    };
+  }
+
+  postMessage(message) {
+    this.worker.postMessage(message);
+  }
+
+  terminate() {
+    if (!this.exited) {
+      this.exited = true;
+      this.worker.terminate();
+      // worker_threads reports the exit asynchronously too
+      setTimeout(() => this.emit('exit', 1), 0);
+    }
+    return Promise.resolve(1);
+  }
+}
+
+/**
+ * Create a worker adapter for browsers
+ *
+ * Workers are module Web Workers running worker/browser-worker.js, so bundlers
+ * must support `new Worker(new URL(...), { type: 'module' })` (Vite, webpack 5,
+ * Parcel, esbuild with plugins). Pass `workerUrl` to serve the worker script
+ * yourself instead, or `createWebWorker` to create workers without a script
+ * URL at all. `resourceLimits` has no browser equivalent and is ignored.
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {Function} [options.Worker=globalThis.Worker] - Web Worker constructor
+ * @param {number} [options.hardwareConcurrency=navigator.hardwareConcurrency] - Logical CPU count
+ * @param {string|URL} [options.workerUrl] - Worker script URL (defaults to the bundled browser worker)
+ * @param {Function} [options.createWebWorker] - Returns a new Web Worker-like object; replaces
+ *   `Worker` and `workerUrl`
+ * @returns {import('../WorkerPool.js').WorkerAdapter} Worker adapter
+ *
+ * @example
+ * const pool = new WorkerPool({ adapter: createBrowserAdapter() });
+ */
+export function createBrowserAdapter(options = {}) {
+  const {
+    Worker: WorkerClass = globalThis.Worker,
+    hardwareConcurrency = globalThis.navigator && globalThis.navigator.hardwareConcurrency,
+    workerUrl = null,
+    createWebWorker = null
+  } = options;
+
+  return {
+    name: 'browser',
+
+    isAvailable: () => createWebWorker !== null || typeof WorkerClass === 'function',
+
+    defaultWorkerCount: () => Math.max(1, (hardwareConcurrency || 2) - 1),
+
+    createWorker: () => {
+      if (createWebWorker) {
+        return new WebWorkerHandle(createWebWorker());
+      }
+      if (workerUrl) {
+        return new WebWorkerHandle(new WorkerClass(workerUrl, { type: 'module' }));
+      }
+      // Bundlers only find the worker script through this literal expression
+      if (WorkerClass === globalThis.Worker) {
+        return new WebWorkerHandle(new Worker(new URL('../browser-worker.js', import.meta.url), { type: 'module' }));
+      }
+      return new WebWorkerHandle(new WorkerClass(new URL('../browser-worker.js', import.meta.url), { type: 'module' }));
+    }
+  };
+}
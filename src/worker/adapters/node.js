@@ -0,0 +1,28 @@
+/**
+ * Worker adapter for Node.js worker_threads
+ * @module worker/adapters/node
+ */
+
+import { Worker } from 'worker_threads';
+import { cpus } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Runs pool workers as worker_threads; Node workers already speak the
+ * WorkerHandle interface (message/error/exit events)
+ *
+ * @type {import('../WorkerPool.js').WorkerAdapter}
+ */
+export const nodeAdapter = {
+  name: 'node',
+
+  isAvailable: () => true,
+
+  defaultWorkerCount: () => Math.max(1, cpus().length - 1),
+
+  createWorker: ({ resourceLimits } = {}) =>
+    new Worker(join(__dirname, '..', 'compute-worker.js'), { resourceLimits })
+};
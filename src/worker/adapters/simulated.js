@@ -0,0 +1,58 @@
+/**
+ * Simulated Web Worker adapter, for running the browser code path in Node
+ * @module worker/adapters/simulated
+ */
+
+import { createTaskRunner } from '../task.js';
+import { createBrowserAdapter } from './browser.js';
+
+/**
+ * In-process stand-in for the Web Worker API
+ *
+ * Messages are structured-cloned and delivered asynchronously in both
+ * directions, as between a page and a real Web Worker, and tasks run through
+ * the same task runner as browser-worker.js. Computation happens on the
+ * calling thread, so it doesn't run in parallel.
+ */
+export class SimulatedWorker {
+  constructor() {
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+    this.runTask = createTaskRunner();
+  }
+
+  postMessage(message) {
+    const task = structuredClone(message);
+    setTimeout(() => {
+      if (this.terminated) return;
+      this.runTask(task, (reply) => {
+        const data = structuredClone(reply);
+        setTimeout(() => {
+          if (!this.terminated && this.onmessage) {
+            this.onmessage({ data });
+          }
+        }, 0);
+      });
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * Create a browser adapter backed by simulated Web Workers
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {number} [options.hardwareConcurrency=4] - Simulated logical CPU count
+ * @returns {import('../WorkerPool.js').WorkerAdapter} Worker adapter
+ *
+ * @example
+ * const { getNetworkStatsAsync } = createAsyncApi(createSimulatedAdapter());
+ */
+export function createSimulatedAdapter(options = {}) {
+  const { hardwareConcurrency = 4 } = options;
+  return createBrowserAdapter({ hardwareConcurrency, createWebWorker: () => new SimulatedWorker() });
+}
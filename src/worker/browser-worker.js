@@ -0,0 +1,13 @@
+/**
+ * Web Worker entry point for parallel computation in browsers
+ * Loaded as a module worker by the browser adapter
+ * @module worker/browser-worker
+ */
+
+import { createTaskRunner } from './task.js';
+
+const runTask = createTaskRunner();
+
+self.onmessage = (event) => {
+  runTask(event.data, (message) => self.postMessage(message));
+};
@@ -0,0 +1,98 @@
+/**
+ * Task processing shared by the Node and browser worker entry points
+ * @module worker/task
+ */
+
+import { buildGraph } from '../graph/builder.js';
+import { decodeGraph } from '../graph/csr.js';
+import { calculateFeatures, calculateFeaturePartials } from '../features/index.js';
+
+/**
+ * Create a task runner for one worker
+ *
+ * The runner processes a computation task from the main thread and posts
+ * messages back through `post`. The graph arrives CSR-encoded (see
+ * graph/csr.js) and is decoded and built once, then reused by the following
+ * tasks on the same graph.
+ *
+ * With `sources`, computes only that batch's partial results for partitioned
+ * features; the main thread reduces the batches.
+ *
+ * Posts `{ id, type: 'progress', progress: { feature, completed, total } }`
+ * messages before the result: per batch of source nodes for path-based
+ * features, and once per feature for the others.
+ *
+ * @returns {Function} `(task, post) => void` task runner
+ *
+ * @example
+ * const runTask = createTaskRunner();
+ * parentPort.on('message', task => runTask(task, message => parentPort.postMessage(message)));
+ */
+export function createTaskRunner() {
+  // Graph of the previous task, reused while tasks keep sending the same encoding
+  let cached = null;
+
+  const loadGraph = (encoded, options) => {
+    const directed = Boolean(options.directed);
+    const multigraph = Boolean(options.multigraph);
+    const { multiEdges } = options;
+
+    if (!cached || cached.id !== encoded.id || cached.directed !== directed ||
+        cached.multigraph !== multigraph || cached.multiEdges !== multiEdges) {
+      const { nodes, network } = decodeGraph(encoded);
+      const graph = buildGraph(network, { weight: encoded.weight, directed, multigraph, multiEdges, nodes });
+      cached = { id: encoded.id, directed, multigraph, multiEdges, nodes, network, graph };
+    }
+    return cached;
+  };
+
+  return (task, post) => {
+    const { id, features, options, sources } = task;
+
+    try {
+      const { nodes, network, graph } = loadGraph(task.graph, options);
+      const weight = task.graph.weight;
+
+      // Calculate features (or one batch of partitioned features) one at a time
+      const stats = {};
+      for (const feature of features) {
+        let reported = false;
+        const calcOptions = {
+          ...options,
+          weight,
+          verbose: false, // Disable logging in workers
+          onSourceProgress: (completed, total) => {
+            reported = true;
+            post({ id, type: 'progress', progress: { feature, completed, total } });
+          }
+        };
+
+        Object.assign(stats, sources
+          ? calculateFeaturePartials([feature], graph, sources, calcOptions)
+          : calculateFeatures([feature], graph, nodes, network, calcOptions));
+
+        if (!reported) {
+          post({ id, type: 'progress', progress: { feature, completed: 1, total: 1 } });
+        }
+      }
+
+      // Send results back to main thread
+      post({
+        id,
+        success: true,
+        stats,
+        nodes
+      });
+    } catch (error) {
+      // Send error back to main thread
+      post({
+        id,
+        success: false,
+        error: {
+          message: error.message,
+          stack: error.stack
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Type definitions for js-network-stats/async/browser
+ * Async API with Web Worker support
+ */
+
+import { NetworkInput, FeatureType, NodeStats } from './index.js';
+import { AsyncNetworkOptions, WorkerPool, WorkerPoolOptions } from './async.js';
+
+export {
+  AsyncNetworkOptions,
+  ProgressInfo,
+  ResourceLimits,
+  WorkerPool,
+  WorkerPoolOptions,
+  WorkerPoolStats,
+  WorkerPoolEvents
+} from './async.js';
+
+/**
+ * Environment-specific worker factory used by the worker pool
+ */
+export interface WorkerAdapter {
+  /** Adapter name ('node', 'browser') */
+  name: string;
+
+  /** Whether workers can be created in this environment */
+  isAvailable(): boolean;
+
+  /** Default pool size */
+  defaultWorkerCount(): number;
+}
+
+/**
+ * Options for the browser worker adapter
+ */
+export interface BrowserAdapterOptions {
+  /** Web Worker constructor (default: globalThis.Worker) */
+  Worker?: new (url: string | URL, options?: { type?: 'module' | 'classic' }) => unknown;
+
+  /** Logical CPU count (default: navigator.hardwareConcurrency) */
+  hardwareConcurrency?: number;
+
+  /** Worker script URL (default: the bundled browser worker) */
+  workerUrl?: string | URL;
+
+  /** Returns a new Web Worker-like object, in place of Worker and workerUrl */
+  createWebWorker?: () => unknown;
+}
+
+/**
+ * Async API bound to a worker adapter
+ */
+export interface AsyncApi {
+  getNetworkStatsAsync(
+    network: NetworkInput,
+    features?: FeatureType[] | null,
+    options?: AsyncNetworkOptions
+  ): Promise<NodeStats[]>;
+  getWorkerPool(options?: WorkerPoolOptions): WorkerPool;
+  cleanup(): Promise<void>;
+}
+
+/**
+ * Calculate network statistics asynchronously on module Web Workers
+ * (synchronously where Web Workers are unavailable)
+ *
+ * @example
+ * ```typescript
+ * import { getNetworkStatsAsync } from 'js-network-stats/async/browser';
+ *
+ * const stats = await getNetworkStatsAsync(network, ['betweenness'], {
+ *   onProgress: ({ fraction }) => console.log(fraction)
+ * });
+ * ```
+ */
+export function getNetworkStatsAsync(
+  network: NetworkInput,
+  features?: FeatureType[] | null,
+  options?: AsyncNetworkOptions
+): Promise<NodeStats[]>;
+
+/**
+ * Get the shared Web Worker pool, e.g. to subscribe to its health events
+ */
+export function getWorkerPool(options?: WorkerPoolOptions): WorkerPool;
+
+/**
+ * Terminate the shared Web Worker pool
+ */
+export function cleanup(): Promise<void>;
+
+/**
+ * Create an async API with its own worker pool
+ *
+ * @example
+ * ```typescript
+ * // Browser code path under Node, e.g. in unit tests
+ * const { getNetworkStatsAsync, cleanup } = createAsyncApi(createSimulatedAdapter());
+ * ```
+ */
+export function createAsyncApi(adapter: WorkerAdapter): AsyncApi;
+
+/**
+ * Create a Web Worker adapter
+ */
+export function createBrowserAdapter(options?: BrowserAdapterOptions): WorkerAdapter;
+
+/**
+ * Create a browser adapter whose Web Workers are simulated in-process
+ * (messages are structured-cloned and delivered asynchronously)
+ */
+export function createSimulatedAdapter(options?: { hardwareConcurrency?: number }): WorkerAdapter;
+
+/**
+ * Default export
+ */
+export default getNetworkStatsAsync;
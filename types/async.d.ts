@@ -3,23 +3,50 @@
  * Async API with worker thread support
  */
 
-import { NetworkEdge, FeatureType, NodeStats } from './index.js';
+import { NetworkInput, FeatureType, NodeStats, NetworkOptions } from './index.js';
 
 /**
- * Options for async network analysis with worker support
+ * Progress report passed to the onProgress callback
+ *
+ * Each feature accounts for one step per node. Path-based features
+ * (betweenness, closeness) advance per source node; the others complete
+ * all their steps when they finish.
  */
-export interface AsyncNetworkOptions {
-  /**
-   * Enable detailed console output
-   * @default true
-   */
-  verbose?: boolean;
+export interface ProgressInfo {
+  /** Feature that advanced (null in the initial report) */
+  feature: FeatureType | null;
 
-  /**
-   * Maximum iterations for eigenvector centrality calculation
-   * @default 100000
-   */
-  maxIter?: number;
+  /** Steps completed across all features */
+  completed: number;
+
+  /** Total steps across all features */
+  total: number;
+
+  /** completed / total, from 0 to 1 */
+  fraction: number;
+}
+
+/**
+ * Per-worker resource limits, as in Node's worker_threads (ignored by browser workers)
+ */
+export interface ResourceLimits {
+  /** Maximum size of the main heap, in MB */
+  maxOldGenerationSizeMb?: number;
+
+  /** Maximum size of the heap space for recently created objects, in MB */
+  maxYoungGenerationSizeMb?: number;
+
+  /** Size of the pre-allocated memory range used for generated code, in MB */
+  codeRangeSizeMb?: number;
+
+  /** Default maximum stack size for the thread, in MB */
+  stackSizeMb?: number;
+}
+
+/**
+ * Options for async network analysis with worker support
+ */
+export interface AsyncNetworkOptions extends NetworkOptions {
 
   /**
    * Worker mode: true (force workers), false (force sync), 'auto' (smart detection)
@@ -40,21 +67,39 @@ export interface AsyncNetworkOptions {
   maxWorkers?: number;
 
   /**
-   * Task timeout in milliseconds
+   * Task timeout in milliseconds (the worker running a timed-out task is replaced)
    * @default 60000
    */
   taskTimeout?: number;
 
   /**
-   * Progress callback function (receives 0-1 progress value)
+   * Times a task is retried on a fresh worker after its worker crashes
+   * @default 1
+   */
+  maxRetries?: number;
+
+  /**
+   * Per-worker resource limits; a worker exceeding them crashes and is replaced
    */
-  onProgress?: (progress: number) => void;
+  resourceLimits?: ResourceLimits;
+
+  /**
+   * Cancels the computation; the promise rejects with an error named 'AbortError'.
+   * Queued worker tasks are dropped and busy workers are terminated and replaced;
+   * sync mode checks the signal between features.
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Progress callback, called with real progress reported by the calculations
+   */
+  onProgress?: (progress: ProgressInfo) => void;
 }
 
 /**
  * Calculate network statistics asynchronously with worker thread support
  *
- * @param network - Array of edge objects defining the network
+ * @param network - Edge array, or `{ nodes, edges }` with declared (possibly isolated) nodes
  * @param features - Array of features to calculate, or null for all features
  * @param options - Async configuration options
  * @returns Promise resolving to array of node statistics
@@ -73,7 +118,7 @@ export interface AsyncNetworkOptions {
  *
  * // With progress callback
  * const stats = await getNetworkStatsAsync(network, ['betweenness'], {
- *   onProgress: (p) => console.log(`Progress: ${Math.round(p * 100)}%`)
+ *   onProgress: ({ feature, fraction }) => console.log(`${feature}: ${Math.round(fraction * 100)}%`)
  * });
  *
  * // Force workers
@@ -83,11 +128,81 @@ export interface AsyncNetworkOptions {
  * ```
  */
 export function getNetworkStatsAsync(
-  network: NetworkEdge[],
+  network: NetworkInput,
   features?: FeatureType[] | null,
   options?: AsyncNetworkOptions
 ): Promise<NodeStats[]>;
 
+/**
+ * Options for the shared worker pool
+ */
+export interface WorkerPoolOptions {
+  /** Maximum number of worker threads (default: CPU count - 1) */
+  maxWorkers?: number;
+
+  /** Task timeout in milliseconds, retries included (default: 60000) */
+  taskTimeout?: number;
+
+  /** Times a task is retried after its worker crashes (default: 1) */
+  maxRetries?: number;
+
+  /** Per-worker resource limits */
+  resourceLimits?: ResourceLimits;
+}
+
+/**
+ * Worker pool statistics
+ */
+export interface WorkerPoolStats {
+  maxWorkers: number;
+  busyWorkers: number;
+  queuedTasks: number;
+  activeTasks: number;
+  /** Workers that died unexpectedly */
+  crashes: number;
+  /** Workers started to replace crashed or cancelled ones */
+  respawns: number;
+}
+
+/**
+ * Health events emitted by the worker pool
+ */
+export interface WorkerPoolEvents {
+  /** A worker died unexpectedly (logged to the console when nobody listens) */
+  workerExit: { threadId: number; code: number; error: Error; taskId: number | null };
+  /** A replacement worker started */
+  workerRespawn: { threadId: number };
+  /** A crashed task was queued again */
+  taskRetry: { taskId: number; attempt: number; error: Error };
+  /** A crashed task ran out of retries */
+  taskFailed: { taskId: number; error: Error };
+}
+
+/**
+ * Self-healing worker thread pool
+ */
+export interface WorkerPool {
+  on<E extends keyof WorkerPoolEvents>(event: E, listener: (payload: WorkerPoolEvents[E]) => void): this;
+  off<E extends keyof WorkerPoolEvents>(event: E, listener: (payload: WorkerPoolEvents[E]) => void): this;
+  getStats(): WorkerPoolStats;
+}
+
+/**
+ * Get the shared worker pool used by getNetworkStatsAsync, e.g. to subscribe
+ * to its health events. Options only apply when the pool is created (the
+ * first call after cleanup()).
+ *
+ * @example
+ * ```typescript
+ * import { getWorkerPool } from 'js-network-stats/async';
+ *
+ * getWorkerPool().on('workerExit', ({ code, error }) => {
+ *   console.warn(`Worker crashed (${code}): ${error.message}`);
+ * });
+ * ```
+ */
+export function getWorkerPool(options?: WorkerPoolOptions): WorkerPool;
+
 /**
  * Cleanup worker threads and free resources
  * Call this when done with async operations
@@ -7,14 +7,35 @@
  * An edge in a network graph
  */
 export interface NetworkEdge {
-  /** Source node identifier */
-  source: string;
-  /** Target node identifier */
-  target: string;
+  /** Source node identifier (any string or finite number, `0` included) */
+  source: string | number;
+  /** Target node identifier (any string or finite number, `0` included) */
+  target: string | number;
   /** Optional edge weight (default: 1) */
   weight?: number;
+  /** Other attributes, selectable as weight through the `weight` option */
+  [attribute: string]: unknown;
 }
 
+/**
+ * A declared node, with attributes copied into its statistics row
+ */
+export interface NetworkNode {
+  /** Node identifier (unique) */
+  id: string | number;
+  /** Node attributes (label, group, ...) */
+  [attribute: string]: unknown;
+}
+
+/**
+ * Network input: a bare edge array, or declared nodes plus edges
+ *
+ * Declared nodes without edges are kept as isolated nodes. The graph mode
+ * always comes from the `directed` option, so parser output can be passed
+ * as is.
+ */
+export type NetworkInput = NetworkEdge[] | { nodes?: NetworkNode[]; edges: NetworkEdge[] };
+
 /**
  * Configuration options for network analysis
  */
@@ -30,6 +51,114 @@ export interface NetworkOptions {
    * @default true
    */
   verbose?: boolean;
+
+  /**
+   * PageRank damping factor (probability of following an edge)
+   * @default 0.85
+   */
+  alpha?: number;
+
+  /**
+   * PageRank convergence tolerance (per node, L1 norm)
+   * @default 1e-6
+   */
+  tolerance?: number;
+
+  /**
+   * Scale closeness by the reachable fraction of the graph (Wasserman–Faust),
+   * so nodes in small components don't outrank the giant component
+   * @default true
+   */
+  wfImproved?: boolean;
+
+  /**
+   * Edge attribute used as weight, or null to ignore weights.
+   * Betweenness, closeness and harmonic treat weights as distances;
+   * eigenvector, PageRank, clustering, strength, modularity and
+   * labelPropagation treat them as
+   * connection strength.
+   * @default 'weight'
+   */
+  weight?: string | null;
+
+  /**
+   * Treat edges as directed (source -> target). Enables inDegree, outDegree,
+   * hits, strongComponent and weakComponent; cliques, modularity,
+   * labelPropagation, component and transitivity are rejected in this mode.
+   * @default false
+   */
+  directed?: boolean;
+
+  /**
+   * Community detection algorithm behind the `modularity` feature. Leiden
+   * guarantees connected communities; Louvain may return disconnected ones.
+   * @default 'louvain'
+   */
+  communityAlgorithm?: 'louvain' | 'leiden';
+
+  /**
+   * Louvain dendrogram level reported in the per-node `modularity` column
+   * (0 = finest). Levels past the last one are clamped to it.
+   * @default last level
+   */
+  communityLevel?: number;
+
+  /**
+   * Modularity resolution (gamma). Values > 1 give more, smaller communities;
+   * values < 1 give fewer, larger ones.
+   * @default 1
+   */
+  resolution?: number;
+
+  /**
+   * Seed for the random node order (Louvain) or for every random choice
+   * (Leiden, label propagation). Seeded runs return the same communities regardless of input
+   * edge order. Implies `randomOrder`.
+   */
+  seed?: number;
+
+  /**
+   * Visit nodes in random order in Louvain (seeded by `seed` when given)
+   * @default false
+   */
+  randomOrder?: boolean;
+
+  /**
+   * Reject self-loops and multi-edges, unless `selfLoops` / `multiEdges`
+   * explicitly allow them
+   * @default false
+   */
+  strict?: boolean;
+
+  /**
+   * What to do with edges from a node to itself. Dropped self-loops stay out
+   * of every calculation, but their node is kept.
+   * @default 'error' in strict mode, otherwise 'keep'
+   */
+  selfLoops?: 'keep' | 'drop' | 'error';
+
+  /**
+   * What to do with repeated edges between the same pair of nodes (A→B and
+   * B→A are the same pair on undirected graphs). They are merged into the
+   * first copy before any metric is computed: `merge-sum` adds up their
+   * weights, `merge-max` keeps the largest, `first` keeps the first copy's.
+   * On unweighted graphs every merge keeps a single edge. On a multigraph,
+   * this is how parallel edges collapse for metrics other than degree and
+   * strength, and `'error'` is rejected.
+   * @default 'error' in strict mode (except on multigraphs), otherwise 'merge-sum'
+   */
+  multiEdges?: 'merge-sum' | 'merge-max' | 'first' | 'error';
+
+  /**
+   * Build a multigraph: repeated edges between the same pair of nodes are
+   * kept as parallel edges (e.g. one edge per message). `degree`, `strength`,
+   * `inDegree` and `outDegree` count every parallel edge; path-based metrics
+   * (betweenness, closeness, harmonic, the summary's diameter, ...) and every
+   * other metric see one edge per node pair, merged by the `multiEdges`
+   * policy. The `multiplicity` feature is added to the default features.
+   * @default false
+   */
+  multigraph?: boolean;
 }
 
 /**
@@ -37,17 +166,44 @@ export interface NetworkOptions {
  */
 export interface NodeStats {
   /** Node identifier */
-  id: string;
+  id: string | number;
+
+  /** Attributes of declared nodes (statistics win on name clashes) */
+  [attribute: string]: unknown;
 
   /** Number of connections (edges) to this node */
   degree?: number;
 
+  /** Sum of incident edge weights (equals degree on unweighted graphs) */
+  strength?: number;
+
+  /** Number of incoming edges (directed graphs) */
+  inDegree?: number;
+
+  /** Number of outgoing edges (directed graphs) */
+  outDegree?: number;
+
   /** Eigenvector centrality score (0-1) */
   eigenvector?: number;
 
   /** Betweenness centrality score (0-1) */
   betweenness?: number;
 
+  /** Closeness centrality score (0-1) */
+  closeness?: number;
+
+  /** Harmonic centrality score (0 to n-1) */
+  harmonic?: number;
+
+  /** PageRank score (0-1, sums to 1 over all nodes) */
+  pagerank?: number;
+
+  /** HITS hub score (0-1, sums to 1; set by the hits feature) */
+  hub?: number;
+
+  /** HITS authority score (0-1, sums to 1; set by the hits feature) */
+  authority?: number;
+
   /** Clustering coefficient (0-1) */
   clustering?: number;
 
@@ -56,6 +212,31 @@ export interface NodeStats {
 
   /** Community/modularity assignment (integer) */
   modularity?: number;
+
+  /** Label propagation community index (0 = largest) */
+  labelPropagation?: number;
+
+  /** Index of the node's connected component (0 = largest) */
+  component?: number;
+
+  /** Global transitivity of the graph (0-1, same value for every node) */
+  transitivity?: number;
+
+  /** Number of triangles containing this node (set by the transitivity feature) */
+  triangles?: number;
+
+  /** Index of the node's strongly connected component (0 = largest) */
+  strongComponent?: number;
+
+  /** Index of the node's weakly connected component (0 = largest) */
+  weakComponent?: number;
+
+  /**
+   * Average number of parallel edges per connection of the node: degree
+   * divided by the number of distinct connections (1 on simple graphs,
+   * 0 for isolated nodes)
+   */
+  multiplicity?: number;
 }
 
 /**
@@ -63,12 +244,24 @@ export interface NodeStats {
  */
 export type FeatureType =
   | 'degree'
+  | 'strength'
+  | 'inDegree'
+  | 'outDegree'
   | 'eigenvector'
   | 'betweenness'
+  | 'closeness'
+  | 'harmonic'
+  | 'pagerank'
+  | 'hits'
   | 'clustering'
   | 'cliques'
   | 'modularity'
-  | 'transitivity';
+  | 'labelPropagation'
+  | 'component'
+  | 'transitivity'
+  | 'strongComponent'
+  | 'weakComponent'
+  | 'multiplicity';
 
 /**
  * Feature constants
@@ -76,32 +269,56 @@ export type FeatureType =
 export const FEATURES: {
   /** Node degree (number of connections) */
   readonly DEGREE: 'degree';
+  /** Strength (weighted degree) */
+  readonly STRENGTH: 'strength';
+  /** In-degree (directed graphs) */
+  readonly IN_DEGREE: 'inDegree';
+  /** Out-degree (directed graphs) */
+  readonly OUT_DEGREE: 'outDegree';
   /** Eigenvector centrality */
   readonly EIGENVECTOR: 'eigenvector';
   /** Betweenness centrality */
   readonly BETWEENNESS: 'betweenness';
+  /** Closeness centrality */
+  readonly CLOSENESS: 'closeness';
+  /** Harmonic centrality */
+  readonly HARMONIC: 'harmonic';
+  /** PageRank */
+  readonly PAGERANK: 'pagerank';
+  /** HITS hub and authority scores (directed graphs) */
+  readonly HITS: 'hits';
   /** Clustering coefficient */
   readonly CLUSTERING: 'clustering';
   /** Maximal cliques */
   readonly CLIQUES: 'cliques';
   /** Community detection / modularity */
   readonly MODULARITY: 'modularity';
+  /** Label propagation communities */
+  readonly LABEL_PROPAGATION: 'labelPropagation';
+  /** Connected component index */
+  readonly COMPONENT: 'component';
   /** Transitivity */
   readonly TRANSITIVITY: 'transitivity';
-  /** All available features */
+  /** Strongly connected component index (directed graphs) */
+  readonly STRONG_COMPONENT: 'strongComponent';
+  /** Weakly connected component index (directed graphs) */
+  readonly WEAK_COMPONENT: 'weakComponent';
+  /** Average number of parallel edges per connection (multigraphs) */
+  readonly MULTIPLICITY: 'multiplicity';
+  /** Features calculated when none are requested */
   readonly ALL: ReadonlyArray<FeatureType>;
 };
 
 /**
  * Calculate network statistics for a graph
  *
- * @param network - Array of edge objects defining the network
+ * @param network - Edge array, or `{ nodes, edges }` with declared (possibly isolated) nodes
  * @param features - Array of features to calculate, or null for all features
  * @param options - Configuration options
- * @returns Array of node statistics
+ * @returns Array of node statistics, declared nodes first
  *
- * @throws {TypeError} If network is not an array or features is invalid
- * @throws {Error} If network is empty or contains invalid edges
+ * @throws {TypeError} If network is not an edge array or `{ nodes, edges }`, or features is invalid
+ * @throws {Error} If network is empty or contains invalid nodes or edges
  *
  * @example
  * ```typescript
@@ -118,11 +335,449 @@ export const FEATURES: {
  * ```
  */
 export function getNetworkStats(
-  network: NetworkEdge[],
+  network: NetworkInput,
   features?: FeatureType[] | null,
   options?: NetworkOptions
 ): NodeStats[];
 
+/**
+ * Graph-level summary statistics
+ */
+export interface GraphSummary {
+  /** Number of nodes */
+  nodeCount: number;
+
+  /** Number of edges (parallel edges included on multigraphs) */
+  edgeCount: number;
+
+  /** Whether the graph is directed */
+  directed: boolean;
+
+  /** Fraction of possible edges present (0-1); counts node pairs on multigraphs */
+  density: number;
+
+  /** Mean number of edges per node (parallel edges included) */
+  averageDegree: number;
+
+  /** Degree correlation across edges (-1 to 1), null when undefined (e.g. regular graphs) */
+  degreeAssortativity: number | null;
+
+  /** Mean clustering coefficient (0-1) */
+  averageClustering: number;
+
+  /** Global transitivity (0-1), null on directed graphs */
+  transitivity: number | null;
+
+  /** Number of weakly connected components (connected components, if undirected) */
+  componentCount: number;
+
+  /** Number of strongly connected components (equal to componentCount, if undirected) */
+  strongComponentCount: number;
+
+  /** Nodes in the largest (strongly, if directed) connected component */
+  largestComponentSize: number;
+
+  /** Longest shortest path in the largest component, in hops */
+  diameter: number;
+
+  /** Smallest eccentricity in the largest component, in hops */
+  radius: number;
+
+  /** Mean shortest path length in the largest component, in hops */
+  averageShortestPath: number;
+
+  /** Louvain modularity score Q, null on directed graphs */
+  modularity: number | null;
+}
+
+/**
+ * Calculate graph-level summary statistics for a network
+ *
+ * @param network - Edge array, or `{ nodes, edges }` with declared (possibly isolated) nodes
+ * @param options - Configuration options (weight, directed, verbose)
+ * @returns Graph summary
+ *
+ * @example
+ * ```typescript
+ * import { getGraphSummary } from 'js-network-stats';
+ *
+ * const summary = getGraphSummary(network, { verbose: false });
+ * console.log(summary.density, summary.diameter, summary.modularity);
+ * ```
+ */
+export function getGraphSummary(
+  network: NetworkInput,
+  options?: NetworkOptions
+): GraphSummary;
+
+/**
+ * A detected community
+ */
+export interface Community {
+  /** Community ID */
+  id: number;
+  /** Number of member nodes */
+  size: number;
+  /** Member node IDs */
+  members: Array<string | number>;
+}
+
+/**
+ * One level of the Louvain dendrogram (or one Leiden iteration)
+ */
+export interface CommunityLevel {
+  /** Dendrogram level (0 = finest) */
+  level: number;
+  /** Modularity score Q of this level's partition */
+  modularity: number;
+  /** Node ID to community ID mapping */
+  partition: Record<string, number>;
+  /** Communities, ordered by ID */
+  communities: Community[];
+}
+
+/**
+ * Result of Louvain or Leiden community detection
+ */
+export interface CommunityDetectionResult {
+  /** Every level of the dendrogram, finest first */
+  levels: CommunityLevel[];
+  /** Modularity score Q of the final level */
+  modularity: number;
+  /** Node ID to community ID mapping of the final level */
+  partition: Record<string, number>;
+}
+
+/**
+ * Detect communities with Louvain or Leiden, returning every level
+ *
+ * @param network - Edge array, or `{ nodes, edges }` with declared (possibly isolated) nodes
+ * @param options - Configuration options (weight, communityAlgorithm, resolution, seed, randomOrder, verbose)
+ * @returns Partition, modularity and communities for every level
+ *
+ * @throws {Error} If the network is invalid or `directed` is set
+ *
+ * @example
+ * ```typescript
+ * import { detectCommunities } from 'js-network-stats';
+ *
+ * const { levels, modularity } = detectCommunities(network, { verbose: false });
+ * console.log(levels.map(l => l.communities.length), modularity);
+ * ```
+ */
+export function detectCommunities(
+  network: NetworkInput,
+  options?: NetworkOptions
+): CommunityDetectionResult;
+
+/**
+ * Stateful statistics session that keeps the graph between edge updates.
+ *
+ * Degree, strength, in/out-degree, unweighted clustering and triangle counts
+ * are updated in place; other features are marked dirty and recomputed on
+ * the next `getStats()` call.
+ *
+ * @example
+ * ```typescript
+ * import { NetworkStats, FEATURES } from 'js-network-stats';
+ *
+ * const session = new NetworkStats(edges, [FEATURES.DEGREE, FEATURES.BETWEENNESS], { verbose: false });
+ * session.addEdges([{ source: 'A', target: 'D' }]);
+ * const stats = session.getStats(); // betweenness recomputed, degree updated in place
+ * ```
+ */
+export class NetworkStats {
+  /**
+   * @param network - Initial edges (may be empty), or `{ nodes, edges }`;
+   *   declared nodes stay in the graph when their edges are removed
+   * @param features - Features to track (null = all for the graph mode)
+   * @param options - Same options as getNetworkStats
+   * @throws {Error} If nodes, edges, features or options are invalid
+   */
+  constructor(network?: NetworkInput, features?: FeatureType[] | null, options?: NetworkOptions);
+
+  /** Edge list the statistics describe (read-only) */
+  readonly network: ReadonlyArray<NetworkEdge>;
+
+  /** Features tracked by this session */
+  readonly features: ReadonlyArray<FeatureType>;
+
+  /**
+   * Add edges, updating incremental statistics in place
+   * @throws {Error} If any edge is invalid (no edge is added)
+   */
+  addEdges(edges: NetworkEdge[]): this;
+
+  /**
+   * Remove one matching edge list entry per edge (either direction on undirected graphs)
+   * @throws {Error} If an edge is not in the network
+   */
+  removeEdges(edges: NetworkEdge[]): this;
+
+  /** Per-node statistics, recomputing dirty features first */
+  getStats(): NodeStats[];
+
+  /** Features waiting for recomputation on the next getStats() call */
+  getDirtyFeatures(): FeatureType[];
+}
+
+/**
+ * Network read from a graph file by one of the parsers
+ */
+export interface ParsedNetwork {
+  /** Every node in file order, isolated ones included, with its attributes */
+  nodes: Array<{ id: string | number; [attribute: string]: any }>;
+
+  /** Validated edges with their attributes (weights converted to numbers) */
+  edges: NetworkEdge[];
+
+  /** Whether the file declares a directed graph */
+  directed: boolean;
+}
+
+/**
+ * Options shared by the graph file parsers
+ */
+export interface ParserOptions {
+  /**
+   * Edge attribute holding the weight, converted to a number (null = none)
+   * @default 'weight'
+   */
+  weight?: string | null;
+}
+
+/**
+ * Options for the CSV/TSV edge-list parsers
+ */
+export interface CSVParserOptions {
+  /**
+   * Field delimiter (fromTSV always uses a tab)
+   * @default ','
+   */
+  delimiter?: string;
+
+  /**
+   * Whether the first row holds column names
+   * @default true
+   */
+  header?: boolean;
+
+  /** Source column name or index ('source', or 0 without a header) */
+  source?: string | number;
+
+  /** Target column name or index ('target', or 1 without a header) */
+  target?: string | number;
+
+  /** Weight column name or index ('weight', or 2 without a header; null = none) */
+  weight?: string | number | null;
+}
+
+/**
+ * Parse a GraphML document
+ *
+ * @example
+ * ```typescript
+ * import { readFileSync } from 'fs';
+ * import { fromGraphML, getNetworkStats } from 'js-network-stats';
+ *
+ * const { edges, directed } = fromGraphML(readFileSync('graph.graphml', 'utf-8'));
+ * const stats = getNetworkStats(edges, null, { directed });
+ * ```
+ *
+ * @throws {Error} If the document is malformed or the edges are invalid
+ */
+export function fromGraphML(text: string, options?: ParserOptions): ParsedNetwork;
+
+/**
+ * Parse a GEXF document (versions 1.1 to 1.3)
+ * @throws {Error} If the document is malformed or the edges are invalid
+ */
+export function fromGEXF(text: string, options?: ParserOptions): ParsedNetwork;
+
+/**
+ * Parse a Pajek network (.net); vertices are identified by their label
+ * @throws {Error} If the file is malformed or the edges are invalid
+ */
+export function fromPajek(text: string, options?: ParserOptions): ParsedNetwork;
+
+/**
+ * Parse a Graphviz DOT graph (the first graph of the file)
+ * @throws {Error} If the source is not valid DOT or the edges are invalid
+ */
+export function fromDOT(text: string, options?: ParserOptions): ParsedNetwork;
+
+/**
+ * Parse a comma-separated edge list (one edge per row)
+ * @throws {Error} If a column is missing or the edges are invalid
+ */
+export function fromCSV(text: string, options?: CSVParserOptions): ParsedNetwork;
+
+/**
+ * Parse a tab-separated edge list (one edge per row)
+ * @throws {Error} If a column is missing or the edges are invalid
+ */
+export function fromTSV(text: string, options?: Omit<CSVParserOptions, 'delimiter'>): ParsedNetwork;
+
+/**
+ * Options for validateNetworkReport
+ */
+export type ValidationOptions = Pick<
+  NetworkOptions,
+  'weight' | 'directed' | 'strict' | 'selfLoops' | 'multiEdges' | 'multigraph'
+>;
+
+/**
+ * Machine-readable validation problem
+ */
+export type ValidationCode =
+  | 'invalid-network'
+  | 'empty-network'
+  | 'not-an-object'
+  | 'missing'
+  | 'empty-id'
+  | 'invalid-type'
+  | 'not-finite'
+  | 'not-a-number'
+  | 'negative'
+  | 'duplicate-id'
+  | 'self-loop'
+  | 'multi-edge';
+
+/**
+ * A problem found by validateNetworkReport
+ */
+export interface ValidationIssue {
+  /** Whether the problem is in the network itself, a node or an edge */
+  kind: 'network' | 'node' | 'edge';
+
+  /** Index of the node or edge (null for the network itself) */
+  index: number | null;
+
+  /** Offending property (`id`, `source`, `target`, the weight attribute, `nodes`), or null for the whole item */
+  field: string | null;
+
+  /** Problem code */
+  code: ValidationCode;
+
+  /** Human-readable description, the message getNetworkStats would throw */
+  message: string;
+}
+
+/**
+ * Result of validateNetworkReport
+ */
+export interface ValidationReport {
+  /** True when there are no errors */
+  valid: boolean;
+
+  /** Every problem that makes the network invalid */
+  errors: ValidationIssue[];
+
+  /** Self-loops and multi-edges that the policies keep, drop or merge */
+  warnings: ValidationIssue[];
+}
+
+/**
+ * Validate a network and report every problem at once instead of throwing
+ * on the first one
+ *
+ * @example
+ * ```typescript
+ * import { validateNetworkReport } from 'js-network-stats';
+ *
+ * const { valid, errors } = validateNetworkReport(network, { strict: true });
+ * errors.forEach(({ index, field, code }) => console.log(index, field, code));
+ * ```
+ */
+export function validateNetworkReport(network: unknown, options?: ValidationOptions): ValidationReport;
+
+/**
+ * Network accepted by the graph exporters: an edge array, or nodes with
+ * attributes plus edges (e.g. a ParsedNetwork)
+ */
+export type ExportNetwork =
+  | NetworkEdge[]
+  | {
+      nodes?: Array<{ id: string | number; [attribute: string]: any }>;
+      edges: NetworkEdge[];
+      directed?: boolean;
+    };
+
+/**
+ * Options for the GraphML and GEXF exporters
+ */
+export interface GraphExportOptions {
+  /**
+   * Write a directed graph (default: the network's `directed`, else false)
+   */
+  directed?: boolean;
+
+  /**
+   * Edge attribute written as the GEXF edge weight (null = none)
+   * @default 'weight'
+   */
+  weight?: string | null;
+}
+
+/**
+ * Options for the CSV and JSON Lines exporters
+ */
+export interface TableExportOptions {
+  /**
+   * Field delimiter (CSV only)
+   * @default ','
+   */
+  delimiter?: string;
+
+  /**
+   * Columns to write, in order (default: `id`, known metrics in a fixed
+   * order, then other columns alphabetically)
+   */
+  columns?: string[];
+}
+
+/**
+ * Export a network with per-node metrics as node attributes to GraphML
+ *
+ * @example
+ * ```typescript
+ * import { writeFileSync } from 'fs';
+ * import { getNetworkStats, toGraphML } from 'js-network-stats';
+ *
+ * const stats = getNetworkStats(edges, ['degree', 'betweenness'], { verbose: false });
+ * writeFileSync('graph.graphml', toGraphML(edges, stats));
+ * ```
+ *
+ * @throws {Error} If the network or the statistics have the wrong shape
+ */
+export function toGraphML(
+  network: ExportNetwork,
+  stats?: NodeStats[] | null,
+  options?: GraphExportOptions
+): string;
+
+/**
+ * Export a network with per-node metrics as node attributes to GEXF 1.3 (Gephi)
+ * @throws {Error} If the network or the statistics have the wrong shape
+ */
+export function toGEXF(
+  network: ExportNetwork,
+  stats?: NodeStats[] | null,
+  options?: GraphExportOptions
+): string;
+
+/**
+ * Export the statistics table as CSV, with a header row and stable column order
+ * @throws {TypeError} If stats is not an array
+ */
+export function toCSV(stats: NodeStats[], options?: TableExportOptions): string;
+
+/**
+ * Export the statistics table as JSON Lines, one object per node
+ * @throws {TypeError} If stats is not an array
+ */
+export function toJSONL(stats: NodeStats[], options?: Omit<TableExportOptions, 'delimiter'>): string;
+
 /**
  * Default export of getNetworkStats function
  */